@@ -3,10 +3,29 @@ import cors from 'cors';
 import helmet from 'helmet';
 import morgan from 'morgan';
 import cookieParser from 'cookie-parser'; // You included this, keeping it for now
+import { requestContext } from './src/middleware/requestContext.js';
+import { cacheHeaders } from './src/middleware/cacheHeaders.js';
+import { apiKeyAuth } from './src/middleware/apiKeyAuth.js';
+import { selectIdentity } from './src/middleware/identity.js';
+import { selectSchemaVersion } from './src/middleware/schemaVersion.js';
+import { ApiError, toApiError, toErrorBody } from './src/utils/errors.js';
 
 // Import routes - .js extension is required for local files in ES Modules
 import subredditRoutes from './src/routes/subredditRoutes.js';
+import subredditsRoutes from './src/routes/subredditsRoutes.js';
 import postRoutes from './src/routes/postRoutes.js';
+import statusRoutes from './src/routes/statusRoutes.js';
+import authRoutes from './src/routes/authRoutes.js';
+import searchRoutes from './src/routes/searchRoutes.js';
+import userRoutes from './src/routes/userRoutes.js';
+import schemaRoutes from './src/routes/schemaRoutes.js';
+import docsRoutes from './src/routes/docsRoutes.js';
+import watcherRoutes from './src/routes/watcherRoutes.js';
+import archiveRoutes from './src/routes/archiveRoutes.js';
+import batchRoutes from './src/routes/batchRoutes.js';
+import usageRoutes from './src/routes/usageRoutes.js';
+import healthRoutes from './src/routes/healthRoutes.js';
+import { getHealthReport } from './src/services/healthService.js';
 
 // dotenv.config() should be in index.js (or your entry point), not here.
 
@@ -15,11 +34,18 @@ const app = express();
 // --- Middleware ---
 // Security headers
 app.use(helmet());
-// Enable CORS for all origins (adjust in production!)
-app.use(cors({ 
-    origin: process.env.CORS_ORIGIN || '*', // Allow specific origin or all
-    credentials: true // If you need cookies/auth headers
-})); 
+// CORS: CORS_ORIGIN is '*' (default) or a comma separated list of allowed origins.
+// Credentials are only allowed for listed origins, browsers refuse them together with a wildcard.
+const corsOrigins = (process.env.CORS_ORIGIN || '*').split(',').map(origin => origin.trim()).filter(Boolean);
+const allowAnyOrigin = corsOrigins.includes('*');
+app.use(cors({
+    origin: allowAnyOrigin ? '*' : corsOrigins,
+    credentials: !allowAnyOrigin,
+    exposedHeaders: ['Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-Quota-Limit', 'X-Quota-Remaining', 'X-Cache', 'X-Schema-Version', 'X-Request-Id'],
+}));
+// Per-request context (request ID, used by the Reddit API interceptors), opened before the body
+// is parsed so malformed bodies are answered with a request ID too
+app.use(requestContext);
 
 // Parse JSON request bodies
 app.use(express.json({ limit: '16kb' })); // Example: Limit request body size
@@ -36,29 +62,50 @@ if (process.env.NODE_ENV === 'development') {
     app.use(morgan('dev'));
 }
 
+// X-Cache/Cache-Control headers
+app.use(cacheHeaders);
+// API key authentication, rate limits and quotas (off when no keys are configured)
+app.use('/api', apiKeyAuth);
+// Reddit identity selection (X-Reddit-Identity header, or the default identity of the API key)
+app.use(selectIdentity);
+// Response schema version (?schema=v1|v2|raw)
+app.use(selectSchemaVersion);
+
 // --- Routes ---
-// Root route check (updated)
+// Root route check, DEGRADED when a readiness check fails (details at /healthz)
 app.get('/', (req, res) => {
+    const { ready } = getHealthReport();
     res.status(200).json({
         message: 'Reddit Scraper API is running!',
-        status: 'OK',
+        status: ready ? 'OK' : 'DEGRADED',
         timestamp: new Date().toISOString(),
     });
 });
 
+// Health checks and metrics (/healthz, /readyz, /metrics), outside /api so they need no API key
+app.use('/', healthRoutes);
+
 // Mount API routes
 app.use('/api/subreddit', subredditRoutes);
+app.use('/api/subreddits', subredditsRoutes);
 app.use('/api/post', postRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/user', userRoutes);
+app.use('/api/status', statusRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/batch', batchRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/schemas', schemaRoutes);
+app.use('/api/watchers', watcherRoutes);
+app.use('/api/archive', archiveRoutes);
+app.use('/api', docsRoutes); // /api/openapi.json and /api/docs
 // app.use('/api/comments', commentRoutes); // Example for future
 
 // --- Error Handling Middleware ---
 // 404 Handler (if no route matched)
 app.use((req, res, next) => {
-    // Create an error object with a 404 status
-    const error = new Error(`Not Found - ${req.originalUrl}`);
-    error.status = 404;
-    // Pass the error to the next middleware (the general error handler)
-    next(error); 
+    // Pass a 404 to the next middleware (the general error handler)
+    next(new ApiError('NOT_FOUND', `Not Found - ${req.originalUrl}`));
 });
 
 // General Error Handler (catches errors passed via next(error))
@@ -67,13 +114,15 @@ app.use((err, req, res, next) => {
     // **REMOVED:** console.error log to prevent terminal output for handled errors.
     // console.error('Error caught by general error handler:', err.message, err.stack);
 
-    // Set a default status code if none is attached
-    const statusCode = err.status || 500;
-    const message = err.message || 'Internal Server Error';
+    // Errors without a code (thrown by libraries or unexpected) are mapped to one, see src/utils/errors.js
+    const apiError = toApiError(err);
+    if (apiError.retryAfter !== undefined) {
+        res.set('Retry-After', String(apiError.retryAfter));
+    }
 
-    // Send a JSON error response
-    res.status(statusCode).json({
-        message: message,
+    // Send the JSON error envelope
+    res.status(apiError.status).json({
+        error: toErrorBody(apiError),
         // Optionally include stack trace in development only for debugging
         // NOTE: Stack trace is still included in JSON response if NODE_ENV is 'development'
         ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
@@ -7,11 +7,18 @@ dotenv.config({
 
 // Import app AFTER env vars are loaded
 import app from './app.js';
+import { startWatchers } from './src/services/watcherService.js';
+import { startTrendCollector } from './src/services/trendService.js';
+import { flushUsage } from './src/services/apiKeyService.js';
 
 const PORT = process.env.PORT || 3000; // Use PORT from .env, fallback to 3000
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     console.log(`⚙️  Server is running on port: ${PORT}`);
+    // Resume the persisted subreddit watchers
+    startWatchers();
+    // Start taking trend snapshots of the subreddits in TRENDS_SUBREDDITS
+    startTrendCollector();
     // Optional: Add check here again if reddit client initialized successfully
     // Needs app to potentially export the client or a status flag if using ESM strictly
     // For simplicity, the check in app.js startup might be sufficient if app.js requires the service.
@@ -19,4 +26,14 @@ app.listen(PORT, () => {
 .on('error', (err) => {
     console.error('🚨 Failed to start server:', err);
     process.exit(1); // Exit if server fails to start
-});
\ No newline at end of file
+});
+
+// Graceful shutdown: stop accepting connections and write the API key usage counters before exiting
+const shutdown = async (signal) => {
+    console.log(`${signal} received, shutting down...`);
+    server.close();
+    await flushUsage();
+    process.exit(0);
+};
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
\ No newline at end of file
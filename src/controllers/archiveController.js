@@ -0,0 +1,128 @@
+import { ARCHIVE_ENABLED, searchArchivedPosts, searchArchivedComments, getArchivedPost as findArchivedPost, getArchiveStatus as describeArchive } from '../services/archiveService.js';
+import { ApiError } from '../utils/errors.js';
+
+/**
+ * Passes a 503 to the general error handler when the archive is switched off.
+ * Returns true if the request was answered.
+ */
+function rejectIfDisabled(next) {
+    if (ARCHIVE_ENABLED) return false;
+    next(new ApiError('SERVICE_DISABLED', 'The archive is disabled. Set ARCHIVE_ENABLED=true to store the posts and comments the API fetches.'));
+    return true;
+}
+
+/**
+ * Converts a from/to bound (unix seconds or an ISO 8601 date) to unix seconds.
+ * Returns undefined for a missing bound and NaN for an invalid one.
+ */
+const toUnixSeconds = (value) => {
+    if (value === undefined) return undefined;
+    if (/^\d+$/.test(value)) return parseInt(value, 10);
+    return Math.floor(Date.parse(value) / 1000);
+};
+
+/**
+ * Reads the filters shared by the archive searches, passing a 400 for invalid dates.
+ * Returns null if the request was answered.
+ */
+function parseSearchFilters(req, next) {
+    const { from, to, ...filters } = req.validated.query;
+    const bounds = { from: toUnixSeconds(from), to: toUnixSeconds(to) };
+
+    const invalid = Object.entries(bounds).filter(([, value]) => Number.isNaN(value)).map(([name]) => name);
+    if (invalid.length > 0) {
+        next(new ApiError('VALIDATION_FAILED', `Invalid ${invalid.join(' and ')} parameter. Use unix seconds or an ISO 8601 date (e.g. 2024-05-01).`));
+        return null;
+    }
+    return { ...filters, ...bounds };
+}
+
+/**
+ * Searches the archived posts.
+ * GET /api/archive/posts
+ * Query Params (validated by routeSchemas.searchArchivedPosts):
+ *  - subreddit, author (exact, case-insensitive)
+ *  - from / to (creation time, unix seconds or ISO 8601 date)
+ *  - q (text in the title or body, case-insensitive)
+ *  - state ('any' | 'live' | 'deleted' | 'removed', default 'any')
+ *  - sort ('new' | 'old' | 'top' | 'last_seen', default 'new'), limit, offset
+ */
+export const getArchivedPosts = async (req, res, next) => {
+    if (rejectIfDisabled(next)) return;
+    const filters = parseSearchFilters(req, next);
+    if (!filters) return;
+
+    try {
+        const { total, items } = await searchArchivedPosts(filters);
+        console.log(`Archive post search matched ${total} posts.`);
+        res.status(200).json({
+            total: total,
+            offset: filters.offset,
+            post_count: items.length,
+            posts: items,
+        });
+    } catch (error) {
+        console.error('Archive post search failed:', error.message);
+        next(new ApiError('INTERNAL_ERROR', 'Failed to search the archive.', { cause: error }));
+    }
+};
+
+/**
+ * Returns an archived post with its score / num_comments history.
+ * GET /api/archive/posts/:postId
+ */
+export const getArchivedPost = async (req, res, next) => {
+    if (rejectIfDisabled(next)) return;
+    const { postId } = req.validated.params;
+
+    try {
+        const post = await findArchivedPost(postId);
+        if (!post) {
+            return next(new ApiError('POST_NOT_FOUND', `Post '${postId}' is not in the archive.`));
+        }
+        res.status(200).json(post);
+    } catch (error) {
+        console.error(`Archive lookup of post ${postId} failed:`, error.message);
+        next(new ApiError('INTERNAL_ERROR', 'Failed to read the archive.', { cause: error }));
+    }
+};
+
+/**
+ * Searches the archived comments.
+ * GET /api/archive/comments
+ * Query Params (validated by routeSchemas.searchArchivedComments):
+ *  - the filters of GET /api/archive/posts (q matches the comment body)
+ *  - post_id (comments of one post)
+ */
+export const getArchivedComments = async (req, res, next) => {
+    if (rejectIfDisabled(next)) return;
+    const filters = parseSearchFilters(req, next);
+    if (!filters) return;
+
+    try {
+        const { total, items } = await searchArchivedComments(filters);
+        console.log(`Archive comment search matched ${total} comments.`);
+        res.status(200).json({
+            total: total,
+            offset: filters.offset,
+            comment_count: items.length,
+            comments: items,
+        });
+    } catch (error) {
+        console.error('Archive comment search failed:', error.message);
+        next(new ApiError('INTERNAL_ERROR', 'Failed to search the archive.', { cause: error }));
+    }
+};
+
+/**
+ * Describes the archive: whether it's enabled, how many posts/comments/history points it holds.
+ * GET /api/archive/status
+ */
+export const getArchiveStatus = async (req, res, next) => {
+    try {
+        res.status(200).json(await describeArchive());
+    } catch (error) {
+        console.error('Reading the archive status failed:', error.message);
+        next(new ApiError('INTERNAL_ERROR', 'Failed to read the archive.', { cause: error }));
+    }
+};
@@ -0,0 +1,25 @@
+import { getIdentityStatuses, DEFAULT_IDENTITY } from '../services/redditService.js';
+import { countKeysForIdentity } from '../services/apiKeyService.js';
+
+/**
+ * Reports which Reddit identities are configured and whether their tokens are healthy.
+ * GET /api/auth/status
+ * Query Params:
+ *  - verify (boolean, optional) - fetch a token for identities that don't hold one yet
+ */
+export const getAuthStatus = async (req, res, next) => {
+    const { verify } = req.validated.query;
+
+    try {
+        const identities = (await getIdentityStatuses({ verify }))
+            // API keys allowed to use the identity (see identities in apiKeyService.js)
+            .map(identity => ({ ...identity, api_key_count: countKeysForIdentity(identity.name) }));
+        res.status(200).json({
+            default_identity: DEFAULT_IDENTITY,
+            healthy: identities.every(identity => identity.healthy),
+            identities: identities,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
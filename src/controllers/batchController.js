@@ -0,0 +1,244 @@
+import redditApi from '../services/redditService.js'; // Import the configured Axios instance
+import { validateFields } from '../middleware/validateRequest.js';
+import { parsePostId } from '../utils/redditIds.js';
+import { batchItemFields } from '../routes/routeSchemas.js';
+import { TIMED_SORTS } from './subredditController.js';
+import { ApiError, fromUpstreamError, toErrorBody } from '../utils/errors.js';
+import {
+    normalizePost, presentPost,
+    normalizePostDetail, presentPostDetail,
+    normalizeSubreddit, normalizeSubredditAbout, presentSubreddit,
+} from '../normalizers/index.js';
+
+// Things Reddit's /api/info returns per call
+const INFO_CHUNK_SIZE = 100;
+
+const ITEM_TYPE = { type: 'string', required: true, enum: Object.keys(batchItemFields) };
+
+/**
+ * Builds a failed item result, its error is the same object as the 'error' of the JSON error envelope.
+ */
+const failure = (apiError) => ({ status: apiError.status, error: toErrorBody(apiError) });
+
+/**
+ * Builds the failed item result for an upstream error (target as in fromUpstreamError).
+ */
+const upstreamFailure = (error, defaultMessage, target) => {
+    console.error(defaultMessage, error.response ? error.response.data : error.message);
+    return failure(fromUpstreamError(error, defaultMessage, target));
+};
+
+/**
+ * Validates one sub-request. Returns { item } or { result } (the 400 result of an invalid item).
+ */
+const validateItem = (rawItem, index) => {
+    if (rawItem === null || typeof rawItem !== 'object' || Array.isArray(rawItem)) {
+        return { result: { id: String(index), type: null, ...failure(new ApiError('VALIDATION_FAILED', 'Each request must be an object.')) } };
+    }
+
+    const errors = [];
+    const { type } = validateFields({ type: rawItem.type }, { type: ITEM_TYPE }, errors, 'field');
+    const id = typeof rawItem.id === 'string' && rawItem.id.length <= 100 ? rawItem.id : String(index);
+    if (!type) {
+        return { result: { id, type: rawItem.type ?? null, ...failure(new ApiError('VALIDATION_FAILED', errors.join(' '))) } };
+    }
+
+    const { id: _id, type: _type, ...fields } = rawItem;
+    const values = validateFields(fields, batchItemFields[type], errors, 'field');
+    if (type === 'post' && values.post && !parsePostId(values.post)) {
+        errors.push(`Could not find a post ID in '${values.post}'.`);
+    }
+    if (errors.length > 0) {
+        return { result: { id, type, ...failure(new ApiError('VALIDATION_FAILED', errors.join(' '))) } };
+    }
+    return { item: { id, type, ...values } };
+};
+
+/**
+ * Splits a list into chunks of at most size items.
+ */
+const chunk = (list, size) => Array.from({ length: Math.ceil(list.length / size) }, (_, i) => list.slice(i * size, (i + 1) * size));
+
+/**
+ * Runs a batch of sub-requests and reports each one's result, so one failure doesn't fail the batch.
+ * POST /api/batch
+ * Body (validated by routeSchemas.runBatch):
+ *  - requests (array, 1-50 items, see batchItemFields in routeSchemas.js): { type: 'about' | 'validate' | 'posts' | 'post', id?, ...fields }
+ *      about / validate: name (subreddit), about also rules (boolean, default true)
+ *      posts:            name, sort, time, limit, after (like GET /api/subreddit/:name/posts)
+ *      post:             post (ID, fullname or URL, like GET /api/post/:postId)
+ * Subreddits (about / validate) and posts are fetched in bulk through /api/info, 100 per upstream call;
+ * listings need one call each. Results keep the order of the requests.
+ */
+export const runBatch = async (req, res) => {
+    const { requests } = req.validated.body;
+    const results = new Array(requests.length);
+    let upstreamRequests = 0;
+    const countedGet = (url, config) => {
+        upstreamRequests++;
+        return redditApi.get(url, config);
+    };
+
+    // Validate every sub-request; invalid ones fail on their own
+    const items = [];
+    requests.forEach((rawItem, index) => {
+        const { item, result } = validateItem(rawItem, index);
+        if (result) {
+            results[index] = result;
+        } else {
+            items.push({ ...item, index });
+        }
+    });
+
+    /**
+     * Looks subreddits up in bulk (/api/info?sr_name=). Names Reddit leaves out (missing, banned,
+     * private) are retried one by one through /about, which tells those cases apart.
+     * Returns Map(lower-case name -> { data } | { result }).
+     */
+    const fetchSubreddits = async (names) => {
+        const found = new Map();
+        for (const namesChunk of chunk(names, INFO_CHUNK_SIZE)) {
+            const response = await countedGet('/api/info', { params: { sr_name: namesChunk.join(',') } });
+            (response.data?.data?.children || [])
+                .filter(child => child.kind === 't5')
+                .forEach(child => found.set(child.data.display_name.toLowerCase(), { data: child.data }));
+        }
+
+        const missing = names.filter(name => !found.has(name.toLowerCase()));
+        await Promise.all(missing.map(async (name) => {
+            try {
+                const response = await countedGet(`/r/${name}/about`);
+                if (response.data?.kind !== 't5' || !response.data.data) throw new ApiError('UPSTREAM_INVALID_RESPONSE', 'Unexpected response structure from /about endpoint.');
+                found.set(name.toLowerCase(), { data: response.data.data });
+            } catch (error) {
+                // Missing names become SUBREDDIT_NOT_FOUND, private/banned/quarantined ones get their own codes
+                found.set(name.toLowerCase(), { result: upstreamFailure(error, `Error fetching r/${name}`, { subreddit: name }) });
+            }
+        }));
+        return found;
+    };
+
+    /**
+     * Looks posts up in bulk (/api/info?id=t3_...). Returns Map(post ID -> raw post data).
+     */
+    const fetchPosts = async (postIds) => {
+        const found = new Map();
+        for (const idsChunk of chunk(postIds, INFO_CHUNK_SIZE)) {
+            const response = await countedGet('/api/info', { params: { id: idsChunk.map(id => `t3_${id}`).join(',') } });
+            (response.data?.data?.children || [])
+                .filter(child => child.kind === 't3')
+                .forEach(child => found.set(child.data.id, child.data));
+        }
+        return found;
+    };
+
+    const subredditItems = items.filter(item => item.type === 'about' || item.type === 'validate');
+    const postItems = items.filter(item => item.type === 'post');
+    const listingItems = items.filter(item => item.type === 'posts');
+    console.log(`Running batch of ${requests.length} request(s): ${subredditItems.length} subreddit, ${postItems.length} post, ${listingItems.length} listing.`);
+
+    const subredditWork = async () => {
+        if (subredditItems.length === 0) return;
+        const names = [...new Map(subredditItems.map(item => [item.name.toLowerCase(), item.name])).values()];
+        let subreddits;
+        try {
+            subreddits = await fetchSubreddits(names);
+        } catch (error) {
+            const result = upstreamFailure(error, 'Error fetching subreddits in bulk');
+            subredditItems.forEach(item => { results[item.index] = { id: item.id, type: item.type, ...result }; });
+            return;
+        }
+
+        await Promise.all(subredditItems.map(async (item) => {
+            const entry = subreddits.get(item.name.toLowerCase());
+            if (entry.result) {
+                results[item.index] = { id: item.id, type: item.type, ...entry.result };
+                return;
+            }
+            const subData = entry.data;
+            if (item.type === 'validate') {
+                results[item.index] = {
+                    id: item.id,
+                    type: item.type,
+                    status: 200,
+                    data: {
+                        message: `Subreddit 'r/${subData.display_name}' is valid and accessible.`,
+                        ...presentSubreddit(normalizeSubreddit(subData)),
+                    },
+                };
+                return;
+            }
+
+            try {
+                const rules = item.rules ? (await countedGet(`/r/${subData.display_name}/about/rules`)).data?.rules || [] : [];
+                results[item.index] = { id: item.id, type: item.type, status: 200, data: presentSubreddit(normalizeSubredditAbout(subData, rules)) };
+            } catch (error) {
+                results[item.index] = { id: item.id, type: item.type, ...upstreamFailure(error, `Error fetching rules for r/${subData.display_name}`, { subreddit: subData.display_name }) };
+            }
+        }));
+    };
+
+    const postWork = async () => {
+        if (postItems.length === 0) return;
+        const postIds = postItems.map(item => parsePostId(item.post));
+        let posts;
+        try {
+            posts = await fetchPosts([...new Set(postIds)]);
+        } catch (error) {
+            const result = upstreamFailure(error, 'Error fetching posts in bulk');
+            postItems.forEach(item => { results[item.index] = { id: item.id, type: item.type, ...result }; });
+            return;
+        }
+
+        postItems.forEach((item, i) => {
+            const postData = posts.get(postIds[i]);
+            results[item.index] = postData
+                ? { id: item.id, type: item.type, status: 200, data: presentPostDetail(normalizePostDetail(postData)) }
+                : { id: item.id, type: item.type, ...failure(new ApiError('POST_NOT_FOUND', `Post '${postIds[i]}' not found.`)) };
+        });
+    };
+
+    const listingWork = () => Promise.all(listingItems.map(async (item) => {
+        const apiParams = {
+            limit: item.limit,
+            ...(TIMED_SORTS.includes(item.sort) && { t: item.time }),
+            ...(item.after && { after: item.after }),
+        };
+        try {
+            const response = await countedGet(`/r/${item.name}/${item.sort}`, { params: apiParams });
+            if (response.data?.kind !== 'Listing' || !Array.isArray(response.data.data?.children)) {
+                throw new ApiError('UPSTREAM_INVALID_RESPONSE', 'Unexpected response structure received from Reddit API for posts.');
+            }
+            const posts = response.data.data.children.map(postWrapper => presentPost(normalizePost(postWrapper.data)));
+            results[item.index] = {
+                id: item.id,
+                type: item.type,
+                status: 200,
+                data: {
+                    subreddit: item.name,
+                    sort: item.sort,
+                    parameters_used: apiParams,
+                    post_count: posts.length,
+                    after: response.data.data.after,
+                    before: response.data.data.before,
+                    posts: posts,
+                },
+            };
+        } catch (error) {
+            results[item.index] = { id: item.id, type: item.type, ...upstreamFailure(error, `Error fetching posts for r/${item.name}`, { subreddit: item.name }) };
+        }
+    }));
+
+    // The scheduler paces the upstream calls, so the groups can be queued together
+    await Promise.all([subredditWork(), postWork(), listingWork()]);
+
+    const failed = results.filter(result => result.status >= 400).length;
+    console.log(`Batch finished: ${results.length - failed} succeeded, ${failed} failed, ${upstreamRequests} upstream request(s).`);
+    res.status(200).json({
+        request_count: results.length,
+        succeeded: results.length - failed,
+        failed: failed,
+        upstream_requests: upstreamRequests,
+        results: results,
+    });
+};
@@ -0,0 +1,9 @@
+import { getOpenApiDocument } from '../services/openapiService.js';
+
+/**
+ * Serves the OpenAPI document generated from the route definitions.
+ * GET /api/openapi.json
+ */
+export const getOpenApiSpec = (req, res) => {
+    res.status(200).json(getOpenApiDocument());
+};
@@ -0,0 +1,42 @@
+import { getHealthReport } from '../services/healthService.js';
+import { renderMetrics, registry } from '../services/metricsService.js';
+import { getIdentityNames, getTokenStatus, getSchedulerStats } from '../services/redditService.js';
+import { getCacheStats } from '../services/cacheService.js';
+
+/**
+ * Liveness: answers 200 while the process serves requests, with the readiness checks for information
+ * (status 'degraded' when one of them fails).
+ * GET /healthz
+ */
+export const getHealth = (req, res) => {
+    const report = getHealthReport();
+    res.status(200).json({ status: report.ready ? 'ok' : 'degraded', ...report });
+};
+
+/**
+ * Readiness: 200 when requests can be served, 503 when the token, Reddit or the queue backlog fails
+ * its check (see healthService.js), so load balancers stop sending traffic.
+ * GET /readyz
+ */
+export const getReadiness = (req, res) => {
+    const report = getHealthReport();
+    res.status(report.ready ? 200 : 503).json({ status: report.ready ? 'ready' : 'not_ready', ...report });
+};
+
+/**
+ * Prometheus metrics in the text exposition format.
+ * GET /metrics
+ */
+export const getMetrics = async (req, res, next) => {
+    try {
+        const identities = getIdentityNames().map(name => ({
+            name: name,
+            token: getTokenStatus(name),
+            scheduler: getSchedulerStats(name),
+        }));
+        const metrics = await renderMetrics({ identities, cache: await getCacheStats() });
+        res.set('Content-Type', registry.contentType).status(200).send(metrics);
+    } catch (error) {
+        next(error);
+    }
+};
@@ -1,125 +1,245 @@
 import redditApi from '../services/redditService.js'; // Import the configured Axios instance
+import { getStreamFormat, createStreamWriter } from '../utils/streamWriter.js';
+import { getExportFormat, createExportWriter } from '../utils/exportWriter.js';
+import { normalizeComments, presentComment, presentComments, normalizePostDetail, presentPostDetail } from '../normalizers/index.js';
+import { parsePostId } from '../utils/redditIds.js';
+import { ApiError, handleUpstreamError } from '../utils/errors.js';
+import { computeThreadStats } from '../utils/commentStats.js';
+
+// Reddit's /api/morechildren accepts at most 100 comment IDs per call
+const MORECHILDREN_BATCH_SIZE = 100;
+// Upper bound on upstream calls made while expanding a single thread (expand=all)
+export const MAX_EXPAND_REQUESTS = 50;
 
 /**
- * Handles Axios errors specifically, passing them to the general error handler.
- * (Consider moving this to a shared utils file if used in multiple controllers)
+ * Builds a nested tree from a flat list of normalized comments (as returned by /api/morechildren).
+ * Items whose parent is not part of the list are returned as roots.
  */
-function handleAxiosError(error, next, defaultMessage = 'Error interacting with Reddit API') {
-    console.error(defaultMessage, error.response ? error.response.data : error.message);
-    const err = new Error(error.response?.data?.message || defaultMessage);
-    err.status = error.response?.status || 500; // Use status from Reddit response if available
-    next(err);
-}
+const buildCommentTree = (flatComments) => {
+    const byFullname = new Map();
+    flatComments.forEach(item => {
+        if (item.type === 'comment') byFullname.set(`t1_${item.id}`, item);
+    });
+
+    const roots = [];
+    flatComments.forEach(item => {
+        const parent = byFullname.get(item.parent_id);
+        if (parent && parent !== item) {
+            parent.replies.push(item);
+        } else {
+            roots.push(item);
+        }
+    });
+    return roots;
+};
 
 /**
- * Recursive function to format comments from the raw Reddit API structure.
- * Also identifies and formats 'more' comment objects.
+ * Walks a normalized comment tree and collects every 'more' placeholder,
+ * together with the array that holds it (so it can be spliced out later).
  */
-const formatApiComments = (commentArray) => {
-    if (!Array.isArray(commentArray)) return [];
-
-    return commentArray.map(commentWrapper => {
-        const kind = commentWrapper.kind;
-        const comment = commentWrapper.data;
-
-        // Handle 'more' comment placeholders
-        if (kind === 'more') {
-            return {
-                type: 'more',
-                id: comment.id, // ID of the 'more' object itself
-                count: comment.count, // Number of comments hidden
-                parent_id: comment.parent_id, // Parent of these hidden comments
-                children_ids: comment.children || [], // IDs of comments to load
-            };
+const collectMorePlaceholders = (comments, found = []) => {
+    comments.forEach(item => {
+        if (item.type === 'more') {
+            found.push({ placeholder: item, siblings: comments });
+        } else if (item.type === 'comment') {
+            collectMorePlaceholders(item.replies, found);
         }
-        
-        // Handle regular 't1' comments
-        if (kind === 't1') {
-            const repliesData = comment.replies?.data?.children || [];
-            return {
-                type: 'comment',
-                id: comment.id,
-                author: comment.author || '[deleted]',
-                body: comment.body,
-                body_html: comment.body_html,
-                score: comment.score,
-                created_utc: comment.created_utc,
-                stickied: comment.stickied,
-                is_submitter: comment.is_submitter,
-                permalink: `https://www.reddit.com${comment.permalink}`,
-                parent_id: comment.parent_id,
-                replies: formatApiComments(repliesData),
-            };
+    });
+    return found;
+};
+
+/**
+ * Indexes every comment in a normalized tree by its fullname (t1_...).
+ */
+const indexComments = (comments, index = new Map()) => {
+    comments.forEach(item => {
+        if (item.type === 'comment') {
+            index.set(`t1_${item.id}`, item);
+            indexComments(item.replies, index);
+        }
+    });
+    return index;
+};
+
+/**
+ * Attaches newly loaded comments to the existing tree under their parent_id.
+ * Comments whose parent is the post itself (or can't be found) go to the top level.
+ * Returns the attached subtrees.
+ */
+const spliceLoadedComments = (comments, loadedComments) => {
+    const index = indexComments(comments);
+    const roots = buildCommentTree(loadedComments);
+    roots.forEach(item => {
+        const parent = index.get(item.parent_id);
+        if (parent) {
+            parent.replies.push(item);
+        } else {
+            comments.push(item);
         }
-        
-        return null; // Filter out unexpected kinds
-    }).filter(c => c !== null);
+    });
+    return roots;
+};
+
+/**
+ * Flattens a normalized comment tree into a depth-first list of items without 'replies',
+ * each annotated with its depth. parentDepth is the depth of the subtree's parent (-1 for the post).
+ */
+const flattenComments = (comments, parentDepth = -1, flat = []) => {
+    comments.forEach(item => {
+        const { replies, ...rest } = item;
+        flat.push({ ...rest, depth: parentDepth + 1 });
+        if (replies) flattenComments(replies, parentDepth + 1, flat);
+    });
+    return flat;
+};
+
+/**
+ * Loads hidden comments for a post through Reddit's /api/morechildren endpoint.
+ * Returns the loaded comments (and any nested 'more' placeholders) as a flat, normalized list.
+ */
+const fetchMoreChildren = async (postId, childIds, sort) => {
+    const response = await redditApi.get('/api/morechildren', {
+        params: {
+            api_type: 'json',
+            link_id: `t3_${postId}`,
+            children: childIds.join(','),
+            sort: sort,
+            limit_children: false,
+        }
+    });
+
+    const things = response.data?.json?.data?.things;
+    if (!Array.isArray(things)) {
+        throw new ApiError('UPSTREAM_INVALID_RESPONSE', 'Unexpected response structure received from Reddit API for morechildren.');
+    }
+    return normalizeComments(things);
+};
+
+/**
+ * Loads a "continue this thread" branch (a 'more' placeholder without children IDs)
+ * by re-requesting the post's comments focused on the placeholder's parent comment.
+ */
+const fetchContinuedThread = async (postId, parentId, sort) => {
+    const response = await redditApi.get(`/comments/${postId}`, {
+        params: { comment: parentId.replace(/^t1_/, ''), sort: sort }
+    });
+
+    const focused = normalizeComments(response.data?.[1]?.data?.children || []);
+    // The listing is rooted at the parent comment itself, we only want its replies
+    return focused.find(item => item.type === 'comment' && `t1_${item.id}` === parentId)?.replies || [];
+};
+
+/**
+ * Resolves 'more' placeholders in a normalized comment tree, in place.
+ * Placeholder children are batched into /api/morechildren calls, "continue this thread"
+ * placeholders are loaded one at a time once no batchable placeholders are left.
+ * Stops after maxRequests upstream calls. The optional onLoaded callback receives the subtrees
+ * attached by each call, which lets streaming responses write them as they arrive.
+ */
+const expandMoreComments = async (postId, comments, sort, maxRequests, onLoaded) => {
+    let requestsMade = 0;
+
+    while (requestsMade < maxRequests) {
+        const placeholders = collectMorePlaceholders(comments);
+        const batchable = placeholders.filter(({ placeholder }) => placeholder.children_ids.length > 0);
+
+        if (batchable.length > 0) {
+            // Fill one batch with children IDs from as many placeholders as fit
+            const batchIds = [];
+            for (const { placeholder, siblings } of batchable) {
+                if (batchIds.length >= MORECHILDREN_BATCH_SIZE) break;
+                const taken = placeholder.children_ids.slice(0, MORECHILDREN_BATCH_SIZE - batchIds.length);
+                batchIds.push(...taken);
+                placeholder.children_ids = placeholder.children_ids.slice(taken.length);
+                placeholder.count = Math.max(placeholder.count - taken.length, placeholder.children_ids.length);
+                if (placeholder.children_ids.length === 0) {
+                    siblings.splice(siblings.indexOf(placeholder), 1);
+                }
+            }
+
+            const loadedComments = await fetchMoreChildren(postId, batchIds, sort);
+            requestsMade++;
+            const attached = spliceLoadedComments(comments, loadedComments);
+            if (onLoaded) onLoaded(attached, requestsMade);
+            continue;
+        }
+
+        // Only "continue this thread" placeholders remain (they always point at a parent comment)
+        const continued = placeholders.find(({ placeholder }) => placeholder.parent_id?.startsWith('t1_'));
+        if (!continued) break;
+
+        const { placeholder, siblings } = continued;
+        siblings.splice(siblings.indexOf(placeholder), 1);
+        const replies = await fetchContinuedThread(postId, placeholder.parent_id, sort);
+        requestsMade++;
+        siblings.push(...replies);
+        if (onLoaded) onLoaded(replies, requestsMade);
+    }
+
+    return {
+        requests_made: requestsMade,
+        more_remaining: collectMorePlaceholders(comments).length,
+    };
+};
+
+/**
+ * Converts the (validated) 'expand' query parameter into a maximum number of upstream calls.
+ * Returns 0 when expansion is disabled.
+ */
+const parseExpandParam = (expand) => {
+    if (expand === undefined) return 0;
+    if (expand === 'all') return MAX_EXPAND_REQUESTS;
+    return Math.min(parseInt(expand, 10), MAX_EXPAND_REQUESTS);
 };
 
 /**
  * Fetches comments for a specific Reddit post using Axios.
  * GET /api/post/:postId/comments
- * Query Params:
+ * Query Params (validated by routeSchemas.getPostComments):
  *  - limit (number, Reddit default/max applies)
  *  - depth (number, Reddit default/max applies)
  *  - sort (string, default 'confidence' | ...)
  *  - after (string, cursor for pagination - typically a comment ID or 'more' ID)
- *  - threaded (boolean, default: true)
+ *  - comment / context (string / number, optional - focus on one comment and its parents)
+ *  - threaded (boolean, optional)
+ *  - expand ('all' | number, optional - resolve 'more' placeholders server-side,
+ *            a number caps the upstream calls spent on it, 'all' uses the server maximum)
+ *  - format / fields (string, optional - 'csv' | 'tsv' | 'jsonl' download of the flat comments, one row
+ *    per comment with depth and parent_id; 'more' placeholders are left out, use expand to resolve them)
+ * Send 'Accept: application/x-ndjson' or 'Accept: text/event-stream' to receive the comments as a
+ * flat, depth-annotated stream (rebuild the tree with parent_id), with 'progress' events while expanding.
  */
 export const getPostComments = async (req, res, next) => {
-    const { postId } = req.params;
-    // Extract pagination/filtering params
-    const { limit, depth, sort = 'confidence', after, ...otherParams } = req.query; 
-
-    if (!postId) {
-        const err = new Error('Post ID parameter is required.');
-        err.status = 400;
-        return next(err);
-    }
+    const { postId } = req.validated.params;
+    const { limit: parsedLimit, depth: parsedDepth, sort: lowerCaseSort, after, comment, context, threaded, expand } = req.validated.query;
 
-    // --- Input Validation ---
-    const allowedSorts = ['confidence', 'top', 'new', 'controversial', 'old', 'qa'];
-    const lowerCaseSort = sort.toLowerCase();
-    if (!allowedSorts.includes(lowerCaseSort)) {
-         const err = new Error(`Invalid sort parameter. Allowed values: ${allowedSorts.join(', ')}.`);
-         err.status = 400;
-         return next(err);
-    }
-
-    // Validate optional params if provided
-    let parsedDepth = depth ? parseInt(depth, 10) : undefined;
-    if (depth && (isNaN(parsedDepth) || parsedDepth < 0)) {
-        const err = new Error('Invalid depth parameter.');
-        err.status = 400; return next(err);
-    }
     if (parsedDepth && parsedDepth > 15) { // Reddit's effective depth limit can vary
         console.warn(`Requested comment depth ${parsedDepth} might be ignored by Reddit or lead to large responses.`);
     }
 
-    let parsedLimit = limit ? parseInt(limit, 10) : undefined;
-    // Reddit comment limits are less defined than post limits, don't enforce a strict max here
-    if (limit && (isNaN(parsedLimit) || parsedLimit <= 0)) {
-         const err = new Error('Invalid limit parameter.');
-         err.status = 400; return next(err);
-    }
-    
-    // Basic validation for 'after' if provided (should look like t1_... or t3_... or more_...)
-    if (after && !/^(t[13]_|more_)/.test(after)) {
-        const err = new Error('Invalid after parameter format.');
-        err.status = 400; return next(err);
-    }
+    const maxExpandRequests = parseExpandParam(expand);
+
+    // Start the stream before the (paced) upstream call so the client gets headers right away.
+    // Exports (?format=csv|tsv|jsonl) get the same flat, depth-annotated comments as rows.
+    const exportFormat = getExportFormat(req);
+    const streamFormat = getStreamFormat(req);
+    const stream = exportFormat
+        ? createExportWriter(req, res, next, { format: exportFormat, rowEvent: 'comment', filename: `${postId}-comments`, fields: req.validated.query.fields })
+        : streamFormat ? createStreamWriter(req, res, streamFormat) : null;
 
     try {
         console.log(`Fetching comments for post ${postId} (sort: ${lowerCaseSort}, depth: ${parsedDepth ?? 'default'}, limit: ${parsedLimit ?? 'default'}, after: ${after ?? 'none'})`);
 
         // Construct API parameters
         const apiParams = {
-            ...otherParams, // Pass through other relevant params like context, threaded, etc.
             sort: lowerCaseSort,
             article: postId, // The comments endpoint uses 'article' for post ID
             ...(parsedLimit !== undefined && { limit: parsedLimit }),
             ...(parsedDepth !== undefined && { depth: parsedDepth }),
-            ...(after && { after: after }) // Include 'after' if provided
+            ...(after && { after: after }), // Include 'after' if provided
+            ...(comment && { comment: comment.replace(/^t1_/, '') }),
+            ...(context !== undefined && { context: context }),
+            ...(threaded !== undefined && { threaded: threaded }),
         };
 
         // Make the API call - comments endpoint is /comments/:article
@@ -133,12 +253,56 @@ export const getPostComments = async (req, res, next) => {
             const commentListing = response.data[1];
             const postDetails = postListing?.data?.children?.[0]?.data || {};
             const commentsData = commentListing?.data?.children || [];
-            const formattedComments = formatApiComments(commentsData);
+            const normalizedComments = normalizeComments(commentsData);
 
             // Extract the top-level 'after' cursor if present (usually null here, rely on 'more' objects)
             const listingAfter = commentListing?.data?.after;
 
-            console.log(`Successfully fetched comments batch for post ${postId}. Count: ${formattedComments.length}`);
+            // When streaming, comments are written flat; 'more' placeholders are held back
+            // until the end since expansion may still resolve them
+            const depthByFullname = new Map();
+            const writeComments = (subtrees) => {
+                subtrees.forEach(subtree => {
+                    const parentDepth = depthByFullname.get(subtree.parent_id) ?? -1;
+                    flattenComments([subtree], parentDepth)
+                        .filter(item => item.type === 'comment')
+                        .forEach(item => {
+                            depthByFullname.set(`t1_${item.id}`, item.depth);
+                            stream.write('comment', presentComment(item));
+                        });
+                });
+            };
+            if (stream) writeComments(normalizedComments);
+
+            // Optionally resolve 'more' placeholders through /api/morechildren
+            let expansion = null;
+            if (maxExpandRequests > 0) {
+                const onLoaded = stream
+                    ? (subtrees, requestsMade) => {
+                        writeComments(subtrees);
+                        stream.progress({ requests_made: requestsMade, max_requests: maxExpandRequests });
+                    }
+                    : undefined;
+                expansion = await expandMoreComments(postId, normalizedComments, lowerCaseSort, maxExpandRequests, onLoaded);
+                console.log(`Expanded comments for post ${postId} with ${expansion.requests_made} extra request(s), ${expansion.more_remaining} placeholder(s) left.`);
+            }
+
+            if (stream) {
+                collectMorePlaceholders(normalizedComments).forEach(({ placeholder }) => stream.write('more', presentComment(placeholder)));
+                return stream.end({
+                    postId: postId,
+                    postTitle: postDetails.title || 'N/A',
+                    postAuthor: postDetails.author || '[deleted]',
+                    subreddit: postDetails.subreddit_name_prefixed || 'N/A',
+                    sort: lowerCaseSort,
+                    parameters_used: apiParams,
+                    comment_count: depthByFullname.size,
+                    after: listingAfter,
+                    ...(expansion && { expansion: expansion }),
+                });
+            }
+
+            console.log(`Successfully fetched comments batch for post ${postId}. Count: ${normalizedComments.length}`);
             res.status(200).json({
                 postId: postId,
                 postTitle: postDetails.title || 'N/A',
@@ -146,15 +310,149 @@ export const getPostComments = async (req, res, next) => {
                 subreddit: postDetails.subreddit_name_prefixed || 'N/A',
                 sort: lowerCaseSort,
                 parameters_used: apiParams,
-                comment_count_this_batch: formattedComments.length, 
+                comment_count_this_batch: normalizedComments.length, 
                 after: listingAfter, // Include the listing 'after' (often null)
-                comments: formattedComments, // Includes 'more' objects for pagination
+                ...(expansion && { expansion: expansion }),
+                comments: presentComments(normalizedComments), // Includes 'more' objects for pagination
             });
         } else {
-            throw new Error('Unexpected response structure received from Reddit API for comments.');
+            throw new ApiError('UPSTREAM_INVALID_RESPONSE', 'Unexpected response structure received from Reddit API for comments.');
+        }
+
+    } catch (error) {
+         handleUpstreamError(error, stream ? stream.fail : next, `Error fetching comments for post ${postId}`, { post: postId });
+    }
+};
+
+/**
+ * Computes statistics of a post's comment thread: totals and depth, comments per author, the submitter's
+ * share, score distribution, a timeline of comments bucketed by created_utc, the most replied comments
+ * and term frequencies (stopwords left out). Everything is computed from the normalized comment tree.
+ * GET /api/post/:postId/stats
+ * Query Params (validated by routeSchemas.getPostStats):
+ *  - sort / limit / depth (as for /comments)
+ *  - expand ('all' | number, optional - resolve 'more' placeholders first, see /comments)
+ *  - bucket (string, default 'auto' | '5m' | '15m' | '1h' | '6h' | '1d' - timeline bucket size)
+ *  - top (number, default 10 - entries in the authors, most_replied and terms lists)
+ * Comments still hidden behind 'more' placeholders are not counted, see coverage in the response.
+ */
+export const getPostStats = async (req, res, next) => {
+    const { postId } = req.validated.params;
+    const { limit: parsedLimit, depth: parsedDepth, sort: lowerCaseSort, expand, bucket, top } = req.validated.query;
+
+    const maxExpandRequests = parseExpandParam(expand);
+
+    try {
+        console.log(`Computing comment stats for post ${postId} (sort: ${lowerCaseSort}, expand: ${expand ?? 'none'})`);
+
+        const apiParams = {
+            sort: lowerCaseSort,
+            article: postId,
+            ...(parsedLimit !== undefined && { limit: parsedLimit }),
+            ...(parsedDepth !== undefined && { depth: parsedDepth }),
+        };
+        const response = await redditApi.get(`/comments/${postId}`, { params: apiParams });
+
+        if (!Array.isArray(response.data) || response.data.length < 2) {
+            throw new ApiError('UPSTREAM_INVALID_RESPONSE', 'Unexpected response structure received from Reddit API for comments.');
+        }
+        const postDetails = response.data[0]?.data?.children?.[0]?.data || {};
+        const normalizedComments = normalizeComments(response.data[1]?.data?.children || []);
+
+        let expansion = null;
+        if (maxExpandRequests > 0) {
+            expansion = await expandMoreComments(postId, normalizedComments, lowerCaseSort, maxExpandRequests);
+            console.log(`Expanded comments for post ${postId} with ${expansion.requests_made} extra request(s), ${expansion.more_remaining} placeholder(s) left.`);
+        }
+
+        const stats = computeThreadStats(normalizedComments, {
+            post: { author: postDetails.author, created_utc: postDetails.created_utc, num_comments: postDetails.num_comments },
+            bucket: bucket,
+            top: top,
+        });
+
+        console.log(`Successfully computed comment stats for post ${postId}. Comments analyzed: ${stats.coverage.comments_analyzed}`);
+        res.status(200).json({
+            postId: postId,
+            postTitle: postDetails.title || 'N/A',
+            postAuthor: postDetails.author || '[deleted]',
+            subreddit: postDetails.subreddit_name_prefixed || 'N/A',
+            sort: lowerCaseSort,
+            ...(expansion && { expansion: expansion }),
+            ...stats,
+        });
+    } catch (error) {
+        handleUpstreamError(error, next, `Error computing comment stats for post ${postId}`, { post: postId });
+    }
+};
+
+/**
+ * Loads hidden comments ('more' placeholder children) for a post.
+ * GET /api/post/:postId/morechildren
+ * Query Params (validated by routeSchemas.getMoreChildren):
+ *  - ids (string, required - comma separated comment IDs taken from a 'more' object's children_ids, max 100)
+ *  - sort (string, default 'confidence' | ...)
+ */
+export const getMoreChildren = async (req, res, next) => {
+    const { postId } = req.validated.params;
+    const { ids, sort: lowerCaseSort } = req.validated.query;
+
+    // Accept both bare IDs and t1_ fullnames
+    const childIds = ids.split(',').map(id => id.trim().replace(/^t1_/, ''));
+    if (childIds.length > MORECHILDREN_BATCH_SIZE) {
+        return next(new ApiError('VALIDATION_FAILED', `Too many ids. A maximum of ${MORECHILDREN_BATCH_SIZE} comment IDs can be loaded per request.`));
+    }
+
+    try {
+        console.log(`Loading ${childIds.length} more comments for post ${postId} (sort: ${lowerCaseSort})`);
+        const loadedComments = await fetchMoreChildren(postId, childIds, lowerCaseSort);
+        const comments = buildCommentTree(loadedComments);
+
+        console.log(`Successfully loaded more comments for post ${postId}. Count: ${loadedComments.length}`);
+        res.status(200).json({
+            postId: postId,
+            sort: lowerCaseSort,
+            requested_ids: childIds,
+            comment_count_this_batch: loadedComments.filter(c => c.type === 'comment').length,
+            comments: presentComments(comments), // May contain further 'more' objects
+        });
+    } catch (error) {
+         handleUpstreamError(error, next, `Error loading more comments for post ${postId}`, { post: postId });
+    }
+};
+
+/**
+ * Fetches the complete data of a single post.
+ * GET /api/post/:postId
+ * GET /api/post?url=<reddit.com or redd.it URL>
+ * :postId may be a bare ID, a t3_ fullname or a URL-encoded reddit.com/redd.it URL.
+ */
+export const getPostDetail = async (req, res, next) => {
+    const input = req.validated.params.postId || req.validated.query.url;
+    const postId = parsePostId(input);
+
+    if (!postId) {
+        return next(new ApiError('VALIDATION_FAILED', input
+            ? `Could not find a post ID in '${input}'. Use a post ID, t3_ fullname, or reddit.com/redd.it URL.`
+            : 'Post ID parameter (or url query parameter) is required.'));
+    }
+
+    try {
+        console.log(`Fetching details for post ${postId}`);
+        const response = await redditApi.get(`/by_id/t3_${postId}`);
+
+        if (!response.data || response.data.kind !== 'Listing' || !Array.isArray(response.data.data?.children)) {
+            throw new ApiError('UPSTREAM_INVALID_RESPONSE', 'Unexpected response structure received from Reddit API for post details.');
         }
 
+        const postData = response.data.data.children.find(child => child.kind === 't3')?.data;
+        if (!postData) {
+            return next(new ApiError('POST_NOT_FOUND', `Post '${postId}' not found.`));
+        }
+
+        console.log(`Successfully fetched details for post ${postId}.`);
+        res.status(200).json(presentPostDetail(normalizePostDetail(postData)));
     } catch (error) {
-         handleAxiosError(error, next, `Error fetching comments for post ${postId}`);
+        handleUpstreamError(error, next, `Error fetching details for post ${postId}`, { post: postId });
     }
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,32 @@
+import { SCHEMA_VERSIONS, DEFAULT_SCHEMA_VERSION } from '../normalizers/index.js';
+import { getSchemaDocument } from '../normalizers/schemas.js';
+import { ApiError } from '../utils/errors.js';
+
+/**
+ * Lists the available response schema versions.
+ * GET /api/schemas
+ */
+export const listSchemas = (req, res) => {
+    res.status(200).json({
+        default: DEFAULT_SCHEMA_VERSION,
+        versions: SCHEMA_VERSIONS.map(version => ({
+            version: version,
+            // 'raw' passes Reddit's data through, there is no schema of ours for it
+            schema_url: getSchemaDocument(version) ? `/api/schemas/${version}` : null,
+        })),
+    });
+};
+
+/**
+ * Returns the JSON Schema of every object shape in a schema version.
+ * GET /api/schemas/:version
+ */
+export const getSchema = (req, res, next) => {
+    const { version } = req.validated.params;
+
+    const document = getSchemaDocument(version.toLowerCase());
+    if (!document) {
+        return next(new ApiError('NOT_FOUND', `No JSON Schema for version '${version}'. Available: ${SCHEMA_VERSIONS.filter(v => getSchemaDocument(v)).join(', ')}.`));
+    }
+    res.status(200).json(document);
+};
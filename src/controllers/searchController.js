@@ -0,0 +1,112 @@
+import redditApi from '../services/redditService.js'; // Import the configured Axios instance
+import {
+    normalizePost, presentPost,
+    normalizeSubreddit, presentSubreddit,
+    normalizeUser, presentUser,
+} from '../normalizers/index.js';
+import { getExportFormat, createExportWriter } from '../utils/exportWriter.js';
+import { ApiError, handleUpstreamError } from '../utils/errors.js';
+
+// Reddit's result types: posts, subreddits and accounts
+const resultFormatters = {
+    link: { kind: 't3', format: (data) => presentPost(normalizePost(data)) },
+    sr: { kind: 't5', format: (data) => presentSubreddit(normalizeSubreddit(data)) },
+    user: { kind: 't2', format: (data) => presentUser(normalizeUser(data)) },
+};
+
+/**
+ * Runs a search, either site-wide or within a subreddit.
+ * Query Params (validated by routeSchemas.searchReddit / searchSubreddit):
+ *  - q (string, required, max 512 chars)
+ *  - sort (string, default 'relevance' | 'hot' | 'top' | 'new' | 'comments')
+ *  - t (string, default 'all' | 'hour' | 'day' | 'week' | 'month' | 'year')
+ *  - type (string, default 'link' | 'sr' | 'user')
+ *  - restrict_sr (boolean, default true - only accepted for subreddit searches)
+ *  - limit (number, default 25, max 100)
+ *  - after / before (string, fullname cursors for pagination)
+ *  - format / fields (string, optional - 'csv' | 'tsv' | 'jsonl' download of flat rows, see exportWriter.js)
+ */
+const runSearch = async (req, res, next, subredditName = null) => {
+    const {
+        q: query,
+        sort: effectiveSort,
+        t: effectiveTime,
+        type: effectiveType,
+        restrict_sr: restrictSr,
+        limit: effectiveLimit,
+        after,
+        before,
+    } = req.validated.query;
+
+    // Subreddit searches stay inside the subreddit unless restrict_sr is explicitly turned off
+    const restrictToSubreddit = subredditName ? restrictSr : false;
+
+    // --- Construct Reddit API Parameters ---
+    const apiParams = {
+        q: query,
+        sort: effectiveSort,
+        t: effectiveTime,
+        type: effectiveType,
+        limit: effectiveLimit,
+        ...(subredditName && { restrict_sr: restrictToSubreddit }),
+        ...(after && { after: after }),
+        ...(before && { before: before }),
+    };
+    const searchPath = subredditName ? `/r/${subredditName}/search` : '/search';
+    const scope = subredditName ? `r/${subredditName}` : 'all of Reddit';
+
+    try {
+        console.log(`Searching ${scope} for "${query}" (type: ${effectiveType}, sort: ${effectiveSort}, t: ${effectiveTime})`);
+        const response = await redditApi.get(searchPath, { params: apiParams });
+
+        if (!response.data || response.data.kind !== 'Listing' || !Array.isArray(response.data.data?.children)) {
+            throw new ApiError('UPSTREAM_INVALID_RESPONSE', 'Unexpected response structure received from Reddit API for search.');
+        }
+
+        // Listings can mix kinds (e.g. promoted items), keep only the requested type
+        const { kind, format } = resultFormatters[effectiveType];
+        const results = response.data.data.children
+            .filter(child => child.kind === kind)
+            .map(child => format(child.data));
+
+        console.log(`Search in ${scope} returned ${results.length} result(s).`);
+        const exportFormat = getExportFormat(req);
+        if (exportFormat) {
+            const exporter = createExportWriter(req, res, next, {
+                format: exportFormat,
+                rowEvent: effectiveType,
+                filename: `search-${subredditName ? `${subredditName}-` : ''}${query.slice(0, 60)}`,
+                fields: req.validated.query.fields,
+            });
+            exporter.writeRows(results);
+            return exporter.end();
+        }
+        res.status(200).json({
+            query: query,
+            subreddit: subredditName,
+            type: effectiveType,
+            sort: effectiveSort,
+            time: effectiveTime,
+            ...(subredditName && { restrict_sr: restrictToSubreddit }),
+            parameters_used: apiParams,
+            result_count: results.length,
+            after: response.data.data.after,
+            before: response.data.data.before,
+            results: results, // Post, subreddit or user objects depending on 'type'
+        });
+    } catch (error) {
+        handleUpstreamError(error, next, `Error searching ${scope}`, subredditName ? { subreddit: subredditName } : {});
+    }
+};
+
+/**
+ * Searches all of Reddit.
+ * GET /api/search?q=...
+ */
+export const searchReddit = (req, res, next) => runSearch(req, res, next);
+
+/**
+ * Searches within a subreddit.
+ * GET /api/subreddit/:name/search?q=...
+ */
+export const searchSubreddit = (req, res, next) => runSearch(req, res, next, req.validated.params.name);
@@ -0,0 +1,30 @@
+import { getSchedulerStats, getTokenStatus } from '../services/redditService.js';
+import { getCacheStats } from '../services/cacheService.js';
+
+/**
+ * Reports the state of the upstream request scheduler.
+ * GET /api/status/scheduler
+ */
+export const getSchedulerStatus = (req, res) => {
+    res.status(200).json(getSchedulerStats());
+};
+
+/**
+ * Reports response cache counters.
+ * GET /api/status/cache
+ */
+export const getCacheStatus = async (req, res, next) => {
+    try {
+        res.status(200).json(await getCacheStats());
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Reports the state of the application-only access token.
+ * GET /api/status/token
+ */
+export const getTokenState = (req, res) => {
+    res.status(200).json(getTokenStatus());
+};
@@ -1,50 +1,18 @@
 import redditApi from '../services/redditService.js'; // Import the configured Axios instance
-
-/**
- * Handles Axios errors specifically, passing them to the general error handler.
- */
-function handleAxiosError(error, next, defaultMessage = 'Error interacting with Reddit API') {
-    console.error(defaultMessage, error.response ? error.response.data : error.message);
-    const err = new Error(error.response?.data?.message || defaultMessage);
-    err.status = error.response?.status || 500; // Use status from Reddit response if available
-    next(err);
-}
-
-/**
- * Removes common Markdown and HTML formatting from text.
- */
-function cleanDescriptionText(text) {
-    if (!text) return ''; // Return empty string if input is null or undefined
-    
-    let cleanedText = text;
-    
-    // Remove HTML tags
-    cleanedText = cleanedText.replace(/<[^>]*>/g, '');
-    
-    // Remove common Markdown link format [text](url) -> text
-    cleanedText = cleanedText.replace(/\[([^\]]+)\]\([^)]+\)/g, '$1');
-    
-    // Remove markdown headers (###), horizontal rules (----), list markers (*, -), bold/italic markers (*, _)
-    cleanedText = cleanedText.replace(/^#+\s*|---|\*\*|__|\*|_/gm, '');
-    
-    // Replace multiple newlines/whitespace with a single space and trim
-    cleanedText = cleanedText.replace(/\s\s+/g, ' ').trim();
-    
-    return cleanedText;
-}
+import { getStreamFormat, createStreamWriter } from '../utils/streamWriter.js';
+import { getExportFormat, createExportWriter } from '../utils/exportWriter.js';
+import { normalizePost, presentPost, normalizeSubreddit, normalizeSubredditAbout, presentSubreddit, normalizeUserComment, presentComment } from '../normalizers/index.js';
+import { ApiError, handleUpstreamError } from '../utils/errors.js';
+import { compareIds } from '../utils/redditIds.js';
+import { compileFilter, rankPosts } from '../utils/postFilter.js';
+import { TRENDS_ENABLED, TRENDS_RETENTION_DAYS, isTracked, getTrends } from '../services/trendService.js';
 
 /**
  * Validates if a subreddit exists and is accessible by fetching its 'about' info.
  * GET /api/subreddit/:name/validate
  */
 export const validateSubreddit = async (req, res, next) => {
-    const { name: subredditName } = req.params;
-
-    if (!subredditName) {
-        const err = new Error('Subreddit name parameter is required.');
-        err.status = 400;
-        return next(err);
-    }
+    const { name: subredditName } = req.validated.params;
 
     try {
         console.log(`Validating subreddit: r/${subredditName}`);
@@ -55,212 +23,574 @@ export const validateSubreddit = async (req, res, next) => {
             console.log(`Validation successful for r/${subData.display_name}`);
             res.status(200).json({
                 message: `Subreddit 'r/${subData.display_name}' is valid and accessible.`,
-                name: subData.display_name,
-                id: subData.name, 
-                title: subData.title,
-                subscribers: subData.subscribers,
-                created_utc: subData.created_utc,
-                public_description: subData.public_description,
-                over18: subData.over_18,
-                subreddit_type: subData.subreddit_type,
+                ...presentSubreddit(normalizeSubreddit(subData)),
             });
         } else {
-            throw new Error('Unexpected response structure received from Reddit API for subreddit validation.');
+            throw new ApiError('UPSTREAM_INVALID_RESPONSE', 'Unexpected response structure received from Reddit API for subreddit validation.');
         }
     } catch (error) {
-        // Check if it's an Axios error with a response from Reddit
-        if (error.response) {
-            // Specifically interpret 400 from /about as Not Found/Invalid
-            if (error.response.status === 400) { 
-                console.warn(`Subreddit r/${subredditName} validation failed (Reddit returned 400 for /about). Returning 404.`);
-                // Return the 404 response directly instead of passing error to general handler
-                return res.status(404).json({ message: `Subreddit 'r/${subredditName}' not found or invalid.` });
-            } else {
-                // Handle other Axios errors (403, 429, 5xx) using the helper which calls next()
-                handleAxiosError(error, next, `Error validating subreddit r/${subredditName}`);
+        // Reddit's 400/404 become SUBREDDIT_NOT_FOUND, private/banned/quarantined subreddits get their own codes
+        handleUpstreamError(error, next, `Error validating subreddit r/${subredditName}`, { subreddit: subredditName });
+    }
+};
+
+// Sorts that take a time range ('t')
+export const TIMED_SORTS = ['top', 'controversial'];
+
+/**
+ * Builds the upstream parameters of a post listing page from the validated query.
+ */
+const buildListingParams = ({ limit, sort, time, after, before, count }) => ({
+    limit: limit,
+    // Add time parameter 't' only if the sort uses it
+    ...(TIMED_SORTS.includes(sort) && { t: time }),
+    ...(after && { after: after }),
+    ...(before && { before: before }),
+    ...(count !== undefined && { count: count }),
+});
+
+// Upstream page size while filtering, and how many pages a filtered request may read (max_pages)
+const FILTER_PAGE_SIZE = 100; // Reddit's max page size for listings
+export const FILTER_DEFAULT_MAX_PAGES = 5;
+export const FILTER_MAX_PAGES = 20;
+
+/**
+ * Fetches one page of a post listing (/r/<path>/<sort>). Returns the listing's data (children, after, before).
+ */
+const fetchPostPage = async (listingPath, sort, apiParams) => {
+    const response = await redditApi.get(`/r/${listingPath}/${sort}`, {
+        params: apiParams // Send the combined parameters
+    });
+    if (!response.data || response.data.kind !== 'Listing' || !Array.isArray(response.data.data?.children)) {
+        throw new ApiError('UPSTREAM_INVALID_RESPONSE', 'Unexpected response structure received from Reddit API for posts.');
+    }
+    return response.data.data;
+};
+
+/**
+ * Reads listing pages until limit posts match the filter, the listing ends or maxPages pages were read.
+ * onPage receives the matches of every page plus the progress so far; returning false stops the crawl.
+ * The returned 'after' resumes right behind the last post examined (null once the listing ended).
+ */
+const collectMatchingPosts = async ({ listingPath, sort, apiParams, matches, limit, maxPages, onPage }) => {
+    const posts = [];
+    let pagesFetched = 0;
+    let postsExamined = 0;
+    let after = apiParams.after || null;
+    let lastExaminedFullname = null; // Resume cursor when the crawl stops mid-page
+    let stopReason = null;
+
+    while (!stopReason) {
+        const listing = await fetchPostPage(listingPath, sort, {
+            ...apiParams,
+            limit: FILTER_PAGE_SIZE,
+            ...(after && { after: after, count: (apiParams.count ?? 0) + postsExamined }),
+        });
+        pagesFetched++;
+
+        const pageMatches = [];
+        for (const postWrapper of listing.children) {
+            postsExamined++;
+            lastExaminedFullname = postWrapper.data.name || `t3_${postWrapper.data.id}`;
+            const post = normalizePost(postWrapper.data);
+            if (!matches(post)) continue;
+
+            pageMatches.push(post);
+            if (posts.length + pageMatches.length >= limit) {
+                stopReason = 'limit_reached';
+                break;
             }
+        }
+        posts.push(...pageMatches);
+
+        after = listing.after;
+        if (!stopReason && !after) {
+            stopReason = 'listing_end';
+        } else if (!stopReason && pagesFetched >= maxPages) {
+            stopReason = 'max_pages';
+        }
+        const progress = { pages_fetched: pagesFetched, posts_examined: postsExamined, post_count: posts.length, after: stopReason === 'listing_end' ? null : lastExaminedFullname };
+        if (onPage && onPage(pageMatches, progress) === false) {
+            stopReason = stopReason || 'client_disconnected';
+        }
+    }
+
+    return {
+        posts: posts,
+        pages_fetched: pagesFetched,
+        posts_examined: postsExamined,
+        stop_reason: stopReason, // 'limit_reached' | 'listing_end' | 'max_pages' | 'client_disconnected'
+        after: stopReason === 'listing_end' ? null : lastExaminedFullname,
+    };
+};
+
+/**
+ * Answers with a page of a post listing (/r/<path>/<sort>) as JSON, a stream or an export.
+ * With ?filter=, upstream pages are read until 'limit' posts match (see collectMatchingPosts);
+ * with ?rank=, the posts of the page are re-sorted (see utils/postFilter.js).
+ * summary holds the fields describing the listing (written before parameters_used, post_count and the cursors);
+ * withSummary can add fields computed from the posts. label and target describe the listing in logs and errors.
+ */
+const sendPostListing = async (req, res, next, { listingPath, sort, apiParams, summary, withSummary = () => ({}), label, filename, target }) => {
+    const { filter, rank, limit, max_pages: maxPages } = req.validated.query;
+
+    let matches = null;
+    if (filter) {
+        try {
+            matches = compileFilter(filter);
+        } catch (error) {
+            return next(error);
+        }
+        if (apiParams.before) {
+            return next(new ApiError('VALIDATION_FAILED', "Filtered listings only page forward, use 'after' instead of 'before'."));
+        }
+    }
+
+    // Start the stream before the (paced) upstream call so the client gets headers right away.
+    // Exports (?format=csv|tsv|jsonl) are driven the same way, as a file download of flat rows.
+    const exportFormat = getExportFormat(req);
+    const streamFormat = getStreamFormat(req);
+    const stream = exportFormat
+        ? createExportWriter(req, res, next, { format: exportFormat, rowEvent: 'post', filename: filename, fields: req.validated.query.fields })
+        : streamFormat ? createStreamWriter(req, res, streamFormat) : null;
+    // Ranked posts can only be written once all of them are known
+    const writeAsFound = stream && !rank;
+
+    try {
+        console.log(`Fetching posts for ${label} (sort: ${sort}${filter ? `, filter: ${filter}` : ''}) with params:`, apiParams);
+
+        let posts;
+        let cursors;
+        let filtering = null;
+        if (matches) {
+            const onPage = stream
+                ? (pageMatches, progress) => {
+                    if (stream.closed) return false;
+                    if (writeAsFound) pageMatches.forEach(post => stream.write('post', presentPost(post)));
+                    stream.progress(progress);
+                }
+                : undefined;
+            const { posts: matched, after, ...crawl } = await collectMatchingPosts({ listingPath, sort, apiParams, matches, limit, maxPages, onPage });
+            posts = matched;
+            // Filtered listings can't be paged backwards, 'after' resumes behind the last post examined
+            cursors = { after: after, before: null };
+            filtering = { filter: filter, max_pages: maxPages, ...crawl };
         } else {
-            // Handle non-Axios errors (e.g., network issues, code errors) by passing to general handler
-            console.error(`Non-Axios error validating subreddit r/${subredditName}:`, error.message);
-            const genericError = new Error('An unexpected error occurred during subreddit validation.');
-            genericError.status = 500;
-            next(genericError);
+            const listing = await fetchPostPage(listingPath, sort, apiParams);
+            posts = listing.children.map(postWrapper => normalizePost(postWrapper.data));
+            if (writeAsFound) posts.forEach(post => stream.write('post', presentPost(post)));
+            cursors = { after: listing.after, before: listing.before };
         }
+        if (rank) posts = rankPosts(posts, rank);
+
+        const fullSummary = {
+            ...summary,
+            parameters_used: apiParams,
+            ...filtering,
+            ...(rank && { rank: rank }),
+            post_count: posts.length,
+            ...withSummary(posts),
+            ...cursors,
+        };
+
+        if (stream) {
+            if (!writeAsFound) posts.forEach(post => stream.write('post', presentPost(post)));
+            console.log(`Successfully streamed ${posts.length} posts for ${label}.`);
+            return stream.end(fullSummary);
+        }
+
+        console.log(`Successfully fetched ${posts.length} posts for ${label}${filtering ? ` (${filtering.posts_examined} examined over ${filtering.pages_fetched} page(s))` : ''}.`);
+        res.status(200).json({
+            ...fullSummary,
+            posts: posts.map(post => presentPost(post)), // Contains the detailed post objects
+        });
+    } catch (error) {
+        handleUpstreamError(error, stream ? stream.fail : next, `Error fetching posts for ${label}`, target);
     }
 };
 
 /**
- * Fetches posts from a subreddit, allowing manual override of common parameters via query string.
+ * Fetches posts from a subreddit.
  * GET /api/subreddit/:name/posts
- * Query Params:
+ * Query Params (validated by routeSchemas.getSubredditPosts):
  *  - limit (number, default 25, max 100)
- *  - sort (string, default 'hot' | 'new' | 'top' | 'rising')
- *  - time (string, default 'day' | 'hour' | 'week' | 'month' | 'year' | 'all' - only applies if sort='top')
- *  - other params (e.g., after, before, count, show...) are passed through.
+ *  - sort (string, default 'hot' | 'new' | 'top' | 'rising' | 'controversial' | 'best')
+ *  - time (string, default 'day' | 'hour' | 'week' | 'month' | 'year' | 'all' - only applies if sort='top' or 'controversial')
+ *  - after / before (string, fullname cursors for pagination), count (number of items already seen)
+ *  - filter (string, optional - expression such as 'score>100 AND post_type:image AND NOT over_18', see postFilter.js;
+ *    pages are read until 'limit' posts match, at most max_pages, and 'after' resumes behind the last post examined)
+ *  - rank (string, optional - 'comment_ratio' | 'age_weighted', re-sorts the returned posts)
+ *  - format / fields (string, optional - 'csv' | 'tsv' | 'jsonl' download of flat rows, see exportWriter.js)
+ * Send 'Accept: application/x-ndjson' or 'Accept: text/event-stream' to receive each post as it is mapped
+ * (with a 'progress' event after every upstream page when filtering).
  */
 export const getSubredditPosts = async (req, res, next) => {
-    const { name: subredditName } = req.params;
-    // Extract all potential params from query
-    const { limit, sort, time, ...otherParams } = req.query;
-
-    if (!subredditName) {
-        const err = new Error('Subreddit name parameter is required.');
-        err.status = 400;
-        return next(err);
+    const { name: subredditName } = req.validated.params;
+    const { sort: effectiveSort } = req.validated.query;
+
+    return sendPostListing(req, res, next, {
+        listingPath: subredditName,
+        sort: effectiveSort,
+        apiParams: buildListingParams(req.validated.query),
+        summary: { subreddit: subredditName, sort: effectiveSort },
+        label: `r/${subredditName}`,
+        filename: `${subredditName}-${effectiveSort}-posts`,
+        target: { subreddit: subredditName },
+    });
+};
+
+// Front page listings that take exclusions (-name), and the one that takes a geo filter
+const FRONT_PAGES = ['all', 'popular'];
+const GEO_FILTERED_FRONT_PAGE = 'popular';
+// Upper bound on names in a combined listing, keeps the upstream URL well under Reddit's length limit
+export const MAX_COMBINED_SUBREDDITS = 50;
+
+/**
+ * Fetches posts from several subreddits combined, or from r/all / r/popular.
+ * GET /api/subreddits/posts
+ * Query Params (validated by routeSchemas.getCombinedPosts):
+ *  - names (string, required - comma separated subreddit names, combined with Reddit's a+b+c syntax;
+ *    or 'all' / 'popular', optionally followed by exclusions: all,-pics,-funny)
+ *  - geo (string, optional - country or region code such as US, GB or US_CA, only with names=popular and sort='hot')
+ *  - limit / sort / time / after / before / count / filter / rank / format / fields (as for /api/subreddit/:name/posts)
+ * Every post keeps the subreddit it was posted in; subreddit_counts tells how many posts each one contributed.
+ */
+export const getCombinedPosts = async (req, res, next) => {
+    const { names, geo, sort: effectiveSort } = req.validated.query;
+
+    const entries = [...new Set(names.split(',').map(name => name.trim().toLowerCase()).filter(Boolean))];
+    const exclusions = entries.filter(name => name.startsWith('-')).map(name => name.slice(1));
+    const included = entries.filter(name => !name.startsWith('-'));
+    const frontPage = included.find(name => FRONT_PAGES.includes(name));
+
+    let problem = null;
+    if (included.length === 0) {
+        problem = 'Provide at least one subreddit name, or all / popular.';
+    } else if (frontPage && included.length > 1) {
+        problem = `r/${frontPage} can't be combined with other subreddits, exclude subreddits from it with -name instead.`;
+    } else if (exclusions.length > 0 && !frontPage) {
+        problem = 'Exclusions (-name) only work with all or popular.';
+    } else if (included.length + exclusions.length > MAX_COMBINED_SUBREDDITS) {
+        problem = `Too many names. A maximum of ${MAX_COMBINED_SUBREDDITS} subreddits can be combined per request.`;
+    } else if (geo && (frontPage !== GEO_FILTERED_FRONT_PAGE || effectiveSort !== 'hot')) {
+        problem = `The geo filter only works with names=${GEO_FILTERED_FRONT_PAGE} and sort=hot.`;
+    }
+    if (problem) {
+        return next(new ApiError('VALIDATION_FAILED', problem));
     }
 
-    // --- Determine Effective Parameters with Validation and Defaults ---
-    
-    // Sort
-    const allowedSorts = ['hot', 'new', 'top', 'rising'];
-    const effectiveSort = (sort && allowedSorts.includes(sort.toLowerCase())) 
-                            ? sort.toLowerCase() 
-                            : 'hot'; // Default to hot
-
-    // Limit
-    let effectiveLimit = 25; // Default limit
-    if (limit) {
-        const parsedLimit = parseInt(limit, 10);
-        if (!isNaN(parsedLimit) && parsedLimit > 0 && parsedLimit <= 100) {
-            effectiveLimit = parsedLimit;
-        } else {
-            const err = new Error('Invalid limit parameter provided. Must be a number between 1 and 100.');
-            err.status = 400;
-            return next(err);
+    // Reddit's syntax: a+b+c combines subreddits, all-pics-funny excludes from r/all
+    const listingPath = frontPage ? [frontPage, ...exclusions].join('-') : included.join('+');
+
+    return sendPostListing(req, res, next, {
+        listingPath: listingPath,
+        sort: effectiveSort,
+        apiParams: {
+            ...buildListingParams(req.validated.query),
+            ...(geo && { g: geo.toUpperCase() }),
+        },
+        summary: {
+            subreddits: frontPage ? [frontPage] : included,
+            excluded: exclusions,
+            ...(geo && { geo: geo.toUpperCase() }),
+            listing: `r/${listingPath}`,
+            sort: effectiveSort,
+        },
+        // How many posts each subreddit contributed to the page, e.g. to filter a merged feed client-side
+        withSummary: (posts) => ({
+            subreddit_counts: posts.reduce((counts, post) => {
+                const name = post.subreddit || 'unknown';
+                counts[name] = (counts[name] || 0) + 1;
+                return counts;
+            }, {}),
+        }),
+        label: `r/${listingPath}`,
+        filename: `${listingPath.replace(/\+/g, '_')}-${effectiveSort}-posts`,
+        target: { subreddit: listingPath },
+    });
+};
+
+// Page size of the auto-paginating crawl (GET /api/subreddit/:name/posts/all), the max/default
+// number of posts are part of its route schema
+const CRAWL_PAGE_SIZE = 100; // Reddit's max page size for listings
+
+/**
+ * Crawls a subreddit listing by following the 'after' cursor until a stop condition is hit.
+ * GET /api/subreddit/:name/posts/all
+ * Query Params (validated by routeSchemas.crawlSubredditPosts):
+ *  - max (number, default 1000, max 10000) - stop once this many unique posts are collected
+ *  - until (number, UTC seconds, optional) - cutoff timestamp; with sort='new' the crawl stops
+ *    at the first older post, with other sorts older posts are skipped
+ *  - sort (string, default 'hot' | 'new' | 'top' | 'rising' | 'controversial' | 'best')
+ *  - time (string, default 'day' | 'hour' | 'week' | 'month' | 'year' | 'all' - only applies if sort='top' or 'controversial')
+ *  - format / fields (string, optional - 'csv' | 'tsv' | 'jsonl' download of flat rows, see exportWriter.js)
+ * Send 'Accept: application/x-ndjson' or 'Accept: text/event-stream' to receive posts as they are
+ * mapped, with a 'progress' event after every upstream page.
+ */
+export const crawlSubredditPosts = async (req, res, next) => {
+    const { name: subredditName } = req.validated.params;
+    const { max: effectiveMax, until, sort: effectiveSort, time: effectiveTime } = req.validated.query;
+    const cutoffUtc = until ?? null;
+
+    const posts = [];
+    const seenIds = new Set();
+    let pagesFetched = 0;
+    let duplicatesSkipped = 0;
+    let after = null;
+    let lastExaminedFullname = null; // Resume cursor when the crawl stops mid-page
+    let stopReason = null;
+
+    const exportFormat = getExportFormat(req);
+    const streamFormat = getStreamFormat(req);
+    const stream = exportFormat
+        ? createExportWriter(req, res, next, { format: exportFormat, rowEvent: 'post', filename: `${subredditName}-${effectiveSort}-crawl`, fields: req.validated.query.fields })
+        : streamFormat ? createStreamWriter(req, res, streamFormat) : null;
+    let postCount = 0;
+
+    try {
+        console.log(`Crawling posts for r/${subredditName} (sort: ${effectiveSort}, max: ${effectiveMax}, until: ${cutoffUtc ?? 'none'})`);
+
+        while (!stopReason) {
+            const response = await redditApi.get(`/r/${subredditName}/${effectiveSort}`, {
+                priority: 'bulk', // Let interactive requests go ahead of crawl pages in the upstream queue
+                params: {
+                    limit: CRAWL_PAGE_SIZE,
+                    ...(TIMED_SORTS.includes(effectiveSort) && { t: effectiveTime }),
+                    ...(after && { after: after, count: seenIds.size }),
+                }
+            });
+            pagesFetched++;
+
+            if (!response.data || response.data.kind !== 'Listing' || !Array.isArray(response.data.data?.children)) {
+                throw new ApiError('UPSTREAM_INVALID_RESPONSE', 'Unexpected response structure received from Reddit API for posts.');
+            }
+
+            let newPostsThisPage = 0;
+            for (const postWrapper of response.data.data.children) {
+                const post = postWrapper.data;
+                if (seenIds.has(post.id)) {
+                    duplicatesSkipped++;
+                    continue;
+                }
+                seenIds.add(post.id);
+                newPostsThisPage++;
+                lastExaminedFullname = post.name || `t3_${post.id}`;
+
+                if (cutoffUtc !== null && post.created_utc < cutoffUtc) {
+                    // 'new' is ordered by creation time, so nothing after this post can match either
+                    if (effectiveSort === 'new') {
+                        stopReason = 'cutoff_reached';
+                        break;
+                    }
+                    continue;
+                }
+
+                // Streamed posts are written right away instead of being collected
+                if (stream) {
+                    stream.write('post', presentPost(normalizePost(post)));
+                } else {
+                    posts.push(presentPost(normalizePost(post)));
+                }
+                postCount++;
+                if (postCount >= effectiveMax) {
+                    stopReason = 'max_reached';
+                    break;
+                }
+            }
+
+            after = response.data.data.after;
+            if (!stopReason && !after) {
+                stopReason = 'listing_end';
+            } else if (!stopReason && newPostsThisPage === 0) {
+                // Reddit occasionally loops a listing, don't keep paging over the same posts
+                stopReason = 'no_new_posts';
+            }
+
+            if (stream) {
+                if (stream.closed) {
+                    stopReason = 'client_disconnected';
+                } else {
+                    stream.progress({ pages_fetched: pagesFetched, post_count: postCount, after: after });
+                }
+            }
         }
-    }
 
-    // Time (only relevant for sort='top')
-    let effectiveTime = 'day'; // Default time
-    const allowedTimes = ['hour', 'day', 'week', 'month', 'year', 'all'];
-    if (effectiveSort === 'top') {
-        if (time && allowedTimes.includes(time.toLowerCase())) {
-            effectiveTime = time.toLowerCase();
-        } else if (time) { // time provided but invalid for 'top' sort
-            const err = new Error(`Invalid time parameter '${time}' for 'top' sort. Allowed values: ${allowedTimes.join(', ')}.`);
-            err.status = 400;
-            return next(err);
+        const summary = {
+            subreddit: subredditName,
+            sort: effectiveSort,
+            ...(TIMED_SORTS.includes(effectiveSort) && { time: effectiveTime }),
+            max: effectiveMax,
+            until: cutoffUtc,
+            pages_fetched: pagesFetched,
+            duplicates_skipped: duplicatesSkipped,
+            stop_reason: stopReason, // 'max_reached' | 'cutoff_reached' | 'listing_end' | 'no_new_posts' | 'client_disconnected'
+            after: stopReason === 'listing_end' ? null : lastExaminedFullname, // Cursor to resume from, null when the listing ended
+            post_count: postCount,
+        };
+
+        console.log(`Crawl of r/${subredditName} finished: ${postCount} posts over ${pagesFetched} page(s), stop reason: ${stopReason}.`);
+        if (stream) {
+            return stream.end(summary);
         }
-        // If sort is top and no time provided, default 'day' is used
+        res.status(200).json({
+            ...summary,
+            posts: posts,
+        });
+    } catch (error) {
+        handleUpstreamError(error, stream ? stream.fail : next, `Error crawling posts for r/${subredditName} after ${pagesFetched} page(s)`, { subreddit: subredditName });
     }
+};
 
-    // --- Construct Reddit API Parameters ---
-    const apiParams = {
-        // Start with other pass-through parameters
-        ...otherParams,
-        // Add validated/defaulted known parameters
-        limit: effectiveLimit,
-        // Add time parameter 't' only if sort is 'top'
-        ...(effectiveSort === 'top' && { t: effectiveTime }),
-    };
+// Upper bound on the listing pages read to catch up with ?since= (Reddit only keeps the latest ~1000 comments in it)
+const SINCE_MAX_PAGES = 10;
 
-    try {
-        // Use the effectiveSort in the URL path
-        console.log(`Fetching posts for r/${subredditName} (sort: ${effectiveSort}) with params:`, apiParams);
-        
-        const response = await redditApi.get(`/r/${subredditName}/${effectiveSort}`, {
-            params: apiParams // Send the combined parameters
-        });
+/**
+ * Fetches the latest comments made in a subreddit, across all of its posts.
+ * GET /api/subreddit/:name/comments
+ * Query Params (validated by routeSchemas.getSubredditComments):
+ *  - limit (number, default 25, max 100)
+ *  - after / before (string, t1_ fullname cursors for pagination)
+ *  - since (string, comment ID or t1_ fullname, optional) - only return comments newer than this one,
+ *    oldest first, for tailing the subreddit; pass next_since of the response on the next call
+ *  - format / fields (string, optional - 'csv' | 'tsv' | 'jsonl' download of flat rows, see exportWriter.js)
+ * Comments use the same format as the user comments route, with the post they were made on (link_id, link_title).
+ * Send 'Accept: application/x-ndjson' or 'Accept: text/event-stream' to receive each comment as it is mapped.
+ */
+export const getSubredditComments = async (req, res, next) => {
+    const { name: subredditName } = req.validated.params;
+    const { limit, after, before } = req.validated.query;
+    const since = req.validated.query.since?.replace(/^t1_/i, '').toLowerCase();
 
-        // --- Process the response ---
-        if (response.data && response.data.kind === 'Listing' && Array.isArray(response.data.data?.children)) {
-            const postsData = response.data.data.children;
-            const after = response.data.data.after;
-            const before = response.data.data.before;
-            
-            const posts = postsData.map(postWrapper => {
-                const post = postWrapper.data; 
-                
-                // Determine Post Type
-                let post_type = 'link'; // Default type
-                if (post.is_video) {
-                    post_type = 'video';
-                } else if (post.is_gallery) {
-                    post_type = 'gallery';
-                } else if (post.is_self) {
-                    post_type = 'text';
-                } else if (post.post_hint === 'image') {
-                    post_type = 'image';
-                } else if (post.post_hint === 'link') {
-                     post_type = 'link';
-                } // Can add more checks if needed
-
-                // Extract Media URL
-                let media_url = post.url; // Default to post URL
-                if (post_type === 'video' && post.media?.reddit_video?.fallback_url) {
-                    media_url = post.media.reddit_video.fallback_url;
-                } else if (post.url_overridden_by_dest) { // Often used for images/links
-                     media_url = post.url_overridden_by_dest;
-                } 
-
-                // Extract Gallery URLs if applicable
-                let gallery_urls = null;
-                if (post.is_gallery && post.media_metadata) {
-                    gallery_urls = Object.keys(post.media_metadata).map(mediaId => {
-                        const item = post.media_metadata[mediaId];
-                        if (item.status === 'valid' && item.e === 'Image') {
-                            // Construct URL based on media ID and format (mimetype -> extension)
-                            const format = item.m?.split('/')[1] || 'jpg'; // e.g., image/jpeg -> jpeg
-                            return `https://i.redd.it/${item.id}.${format}`; 
-                        }
-                        // Handle other types (videos in galleries?) if needed - more complex
-                        return null;
-                    }).filter(url => url !== null); // Filter out nulls if some items weren't images
-                }
+    if (since && (after || before)) {
+        return next(new ApiError('VALIDATION_FAILED', "'since' can't be combined with 'after' or 'before', it pages through the listing itself."));
+    }
 
-                return {
-                    id: post.id,
-                    title: post.title,                           // Post Title
-                    score: post.score,                           // Likes (Score)
-                    author: post.author || '[deleted]',          // User name
-                    subreddit: post.subreddit_name_prefixed,
-                    created_utc: post.created_utc,               // Created timestamp
-                    permalink: `https://www.reddit.com${post.permalink}`,
-                    num_comments: post.num_comments,
-                    is_self: post.is_self,
-                    selftext: post.is_self ? post.selftext?.substring(0, 2000) : null, // Post Body (limited length)
-                    over_18: post.over_18,                       // NSFW true/false
-                    spoiler: post.spoiler,
-                    stickied: post.stickied,
-                    flair: post.link_flair_text || null,         // Flair / Tags
-                    post_type: post_type,                        // Post Type (derived)
-                    media_url: post_type !== 'text' ? media_url : null, // Media URL (relevant for non-text)
-                    thumbnail: post.thumbnail && !['self', 'default', 'nsfw', 'spoiler', 'image', ''].includes(post.thumbnail) ? post.thumbnail : null,
-                    gallery_urls: gallery_urls                   // Gallery URLs (array or null)
-                };
-            });
+    const exportFormat = getExportFormat(req);
+    const streamFormat = getStreamFormat(req);
+    const stream = exportFormat
+        ? createExportWriter(req, res, next, { format: exportFormat, rowEvent: 'comment', filename: `${subredditName}-comments`, fields: req.validated.query.fields })
+        : streamFormat ? createStreamWriter(req, res, streamFormat) : null;
 
-            console.log(`Successfully fetched ${posts.length} posts for r/${subredditName}.`);
-            res.status(200).json({
+    const fetchPage = async (apiParams) => {
+        const response = await redditApi.get(`/r/${subredditName}/comments`, { params: apiParams });
+        if (!response.data || response.data.kind !== 'Listing' || !Array.isArray(response.data.data?.children)) {
+            throw new ApiError('UPSTREAM_INVALID_RESPONSE', 'Unexpected response structure received from Reddit API for comments.');
+        }
+        return response.data.data;
+    };
+
+    try {
+        if (!since) {
+            const apiParams = {
+                limit: limit,
+                ...(after && { after: after }),
+                ...(before && { before: before }),
+            };
+            console.log(`Fetching comments for r/${subredditName} with params:`, apiParams);
+            const listing = await fetchPage(apiParams);
+            const comments = listing.children
+                .filter(child => child.kind === 't1')
+                .map(child => presentComment(normalizeUserComment(child)));
+
+            const summary = {
                 subreddit: subredditName,
-                sort: effectiveSort,
                 parameters_used: apiParams,
-                post_count: posts.length,
-                after: after, 
-                before: before,
-                posts: posts, // Contains the detailed post objects
-            });
-        } else {
-             throw new Error('Unexpected response structure received from Reddit API for posts.');
+                comment_count: comments.length,
+                after: listing.after,
+                before: listing.before,
+            };
+            console.log(`Successfully fetched ${comments.length} comments for r/${subredditName}.`);
+            if (stream) {
+                comments.forEach(comment => stream.write('comment', comment));
+                return stream.end(summary);
+            }
+            return res.status(200).json({ ...summary, comments: comments });
+        }
+
+        // Tail mode: the listing is newest first, so read pages until the 'since' comment (or an older one) shows up
+        console.log(`Fetching comments for r/${subredditName} newer than ${since}`);
+        const newer = [];
+        let pageAfter = null;
+        let pagesFetched = 0;
+        let reachedSince = false;
+        while (!reachedSince && pagesFetched < SINCE_MAX_PAGES) {
+            const listing = await fetchPage({ limit: 100, ...(pageAfter && { after: pageAfter }) });
+            pagesFetched++;
+            for (const child of listing.children) {
+                if (child.kind !== 't1') continue;
+                if (compareIds(child.data.id, since) <= 0) {
+                    reachedSince = true;
+                    break;
+                }
+                newer.push(child);
+            }
+            pageAfter = listing.after;
+            if (!pageAfter) break;
         }
 
+        // Oldest first, so that the caller can resume from the last comment it got
+        const oldestFirst = newer.reverse();
+        const comments = oldestFirst.slice(0, limit).map(child => presentComment(normalizeUserComment(child)));
+        const summary = {
+            subreddit: subredditName,
+            since: since,
+            pages_fetched: pagesFetched,
+            comment_count: comments.length,
+            // Comments between 'since' and the oldest one returned may be missing (listing end or page limit reached first)
+            gap: !reachedSince,
+            has_more: oldestFirst.length > comments.length,
+            next_since: comments.length ? oldestFirst[comments.length - 1].data.id : since,
+        };
+        console.log(`Successfully fetched ${comments.length} new comments for r/${subredditName} over ${pagesFetched} page(s)${reachedSince ? '' : ', possible gap before them'}.`);
+        if (stream) {
+            comments.forEach(comment => stream.write('comment', comment));
+            return stream.end(summary);
+        }
+        res.status(200).json({ ...summary, comments: comments });
     } catch (error) {
-        handleAxiosError(error, next, `Error fetching posts for r/${subredditName}`);
+        handleUpstreamError(error, stream ? stream.fail : next, `Error fetching comments for r/${subredditName}`, { subreddit: subredditName });
     }
 };
 
+// Seconds per unit of the trends 'range' parameter
+const RANGE_UNITS = { h: 3600, d: 86400, w: 7 * 86400 };
+
+/**
+ * Returns the recorded trend snapshots of a subreddit (see trendService.js) with growth rates.
+ * GET /api/subreddit/:name/trends
+ * Query Params (validated by routeSchemas.getSubredditTrends):
+ *  - range (string, default '7d' - hours, days or weeks back, e.g. 24h, 30d, 4w; capped at the retention period)
+ * Only subreddits listed in TRENDS_SUBREDDITS are tracked, this route doesn't call Reddit.
+ */
+export const getSubredditTrends = (req, res, next) => {
+    const { name: subredditName } = req.validated.params;
+    const { range } = req.validated.query;
+
+    if (!TRENDS_ENABLED) {
+        return next(new ApiError('SERVICE_DISABLED', 'Trend snapshots are disabled. List the subreddits to track in TRENDS_SUBREDDITS.'));
+    }
+    if (!isTracked(subredditName)) {
+        return next(new ApiError('SUBREDDIT_NOT_TRACKED', `r/${subredditName} is not tracked. Add it to TRENDS_SUBREDDITS to record its trends.`));
+    }
+
+    const rangeSeconds = Math.min(parseInt(range, 10) * RANGE_UNITS[range.slice(-1)], TRENDS_RETENTION_DAYS * 86400);
+    const trends = getTrends(subredditName, rangeSeconds);
+
+    console.log(`Returning ${trends.snapshot_count} trend snapshot(s) of r/${subredditName} (range: ${range}).`);
+    res.status(200).json({
+        subreddit: subredditName,
+        range: range,
+        range_seconds: rangeSeconds,
+        ...trends,
+    });
+};
+
 /**
  * Fetches detailed metadata and rules for a given subreddit.
  * GET /api/subreddit/:name/about
  */
 export const getSubredditAbout = async (req, res, next) => {
-    const { name: subredditName } = req.params;
-
-    if (!subredditName) {
-        const err = new Error('Subreddit name parameter is required.');
-        err.status = 400;
-        return next(err);
-    }
+    const { name: subredditName } = req.validated.params;
 
     try {
         console.log(`Fetching metadata for r/${subredditName}`);
@@ -273,7 +603,7 @@ export const getSubredditAbout = async (req, res, next) => {
 
         // Check structure and extract data from /about response
         if (!aboutResponse.data || aboutResponse.data.kind !== 't5' || !aboutResponse.data.data) {
-            throw new Error('Unexpected response structure from /about endpoint.');
+            throw new ApiError('UPSTREAM_INVALID_RESPONSE', 'Unexpected response structure from /about endpoint.');
         }
         const subData = aboutResponse.data.data;
 
@@ -283,36 +613,10 @@ export const getSubredditAbout = async (req, res, next) => {
         console.log(`Successfully fetched metadata for r/${subData.display_name}`);
         
         // Combine and send the desired metadata, cleaning text fields
-        res.status(200).json({
-            name: subData.display_name,
-            id: subData.name, 
-            title: subData.title,
-            subscribers: subData.subscribers,
-            active_user_count: subData.active_user_count, // Added active user count
-            created_utc: subData.created_utc,
-            // Apply cleaning function to description fields
-            public_description: cleanDescriptionText(subData.public_description),
-            header_title: subData.header_title, // Often empty
-            description: cleanDescriptionText(subData.description), // Clean sidebar description
-            // description_html: subData.description_html, // Optionally keep raw HTML
-            over18: subData.over_18, // NSFW status
-            subreddit_type: subData.subreddit_type,
-            lang: subData.lang,
-            url: `https://www.reddit.com${subData.url}`,
-            rules: rules.map(rule => ({ // Format rules for clarity
-                short_name: rule.short_name,
-                // Apply cleaning function to rule description
-                description: cleanDescriptionText(rule.description),
-                // description_html: rule.description_html, // Optionally keep raw rule HTML
-                kind: rule.kind, // e.g., 'link', 'all'
-                created_utc: rule.created_utc,
-                priority: rule.priority,
-                violation_reason: rule.violation_reason,
-            }))
-        });
+        res.status(200).json(presentSubreddit(normalizeSubredditAbout(subData, rules)));
 
     } catch (error) {
-        handleAxiosError(error, next, `Error fetching metadata for r/${subredditName}`);
+        handleUpstreamError(error, next, `Error fetching metadata for r/${subredditName}`, { subreddit: subredditName });
     }
 };
 
@@ -0,0 +1,14 @@
+import { getRequestContext } from '../middleware/requestContext.js';
+import { getUsage as describeUsage } from '../services/apiKeyService.js';
+
+/**
+ * Reports the limits and consumption (requests, upstream requests, cache hits, errors, rejections)
+ * of the calling API key per UTC day. Admin keys see every key, as does anyone while authentication is off.
+ * GET /api/usage
+ * Query Params (validated by routeSchemas.getUsage):
+ *  - days (integer, 1-31, default 7)
+ */
+export const getUsage = (req, res) => {
+    const { days } = req.validated.query;
+    res.status(200).json(describeUsage(getRequestContext()?.apiKey || null, days));
+};
@@ -0,0 +1,175 @@
+import redditApi from '../services/redditService.js'; // Import the configured Axios instance
+import { normalizePost, presentPost, normalizeUserComment, presentComment, normalizeUser, normalizeMissingUser, presentUser } from '../normalizers/index.js';
+import { ApiError, handleUpstreamError } from '../utils/errors.js';
+
+/**
+ * Builds the upstream listing parameters for the user history routes from the validated query
+ * (routeSchemas.getUserSubmitted / getUserComments). Returns { sort, time, apiParams }.
+ */
+function resolveListingParams({ limit, sort, time, after, before }) {
+    // Time only applies to sort='top' / 'controversial'
+    const usesTime = sort === 'top' || sort === 'controversial';
+
+    return {
+        sort: sort,
+        time: usesTime ? time : null,
+        apiParams: {
+            sort: sort,
+            limit: limit,
+            ...(usesTime && { t: time }),
+            ...(after && { after: after }),
+            ...(before && { before: before }),
+        },
+    };
+}
+
+/**
+ * Maps the error of a profile listing request to an account status, or null if it isn't one.
+ * Reddit answers 404 for deleted/nonexistent accounts and 403 for suspended ones.
+ */
+function getAccountStatusFromError(error) {
+    if (error.response?.status === 404) return 'deleted';
+    if (error.response?.status === 403) return 'suspended';
+    return null;
+}
+
+/**
+ * Fetches a user's profile.
+ * GET /api/user/:username/about
+ * Deleted and suspended accounts are returned with status 'deleted' / 'suspended' instead of an error.
+ */
+export const getUserAbout = async (req, res, next) => {
+    const { username } = req.validated.params;
+
+    try {
+        console.log(`Fetching profile for u/${username}`);
+        const response = await redditApi.get(`/user/${username}/about`);
+
+        if (!response.data || response.data.kind !== 't2' || !response.data.data) {
+            throw new ApiError('UPSTREAM_INVALID_RESPONSE', 'Unexpected response structure received from Reddit API for user profile.');
+        }
+
+        const user = normalizeUser(response.data.data);
+        console.log(`Successfully fetched profile for u/${user.username} (status: ${user.status})`);
+        res.status(200).json(presentUser(user));
+    } catch (error) {
+        if (error.response?.status === 404) {
+            console.warn(`u/${username} not found (deleted or never existed).`);
+            return res.status(200).json(presentUser(normalizeMissingUser(username)));
+        }
+        handleUpstreamError(error, next, `Error fetching profile for u/${username}`, { user: username });
+    }
+};
+
+/**
+ * Fetches posts submitted by a user.
+ * GET /api/user/:username/submitted
+ * Query Params (validated by routeSchemas.getUserSubmitted):
+ *  - limit (number, default 25, max 100)
+ *  - sort (string, default 'new' | 'hot' | 'top' | 'controversial')
+ *  - time (string, default 'all' | 'hour' | 'day' | 'week' | 'month' | 'year' - only applies if sort='top' or 'controversial')
+ *  - after / before (string, fullname cursors for pagination)
+ */
+export const getUserSubmitted = async (req, res, next) => {
+    const { username } = req.validated.params;
+
+    const { sort, time, apiParams } = resolveListingParams(req.validated.query);
+
+    try {
+        console.log(`Fetching submitted posts for u/${username} with params:`, apiParams);
+        const response = await redditApi.get(`/user/${username}/submitted`, { params: apiParams });
+
+        if (!response.data || response.data.kind !== 'Listing' || !Array.isArray(response.data.data?.children)) {
+            throw new ApiError('UPSTREAM_INVALID_RESPONSE', 'Unexpected response structure received from Reddit API for user posts.');
+        }
+
+        const posts = response.data.data.children
+            .filter(child => child.kind === 't3')
+            .map(child => presentPost(normalizePost(child.data)));
+
+        console.log(`Successfully fetched ${posts.length} posts for u/${username}.`);
+        res.status(200).json({
+            username: username,
+            account_status: 'active',
+            sort: sort,
+            time: time,
+            parameters_used: apiParams,
+            post_count: posts.length,
+            after: response.data.data.after,
+            before: response.data.data.before,
+            posts: posts,
+        });
+    } catch (error) {
+        const accountStatus = getAccountStatusFromError(error);
+        if (accountStatus) {
+            console.warn(`Posts for u/${username} unavailable, account is ${accountStatus}.`);
+            return res.status(200).json({
+                username: username,
+                account_status: accountStatus,
+                sort: sort,
+                time: time,
+                parameters_used: apiParams,
+                post_count: 0,
+                after: null,
+                before: null,
+                posts: [],
+            });
+        }
+        handleUpstreamError(error, next, `Error fetching posts for u/${username}`, { user: username });
+    }
+};
+
+/**
+ * Fetches a user's comment history.
+ * GET /api/user/:username/comments
+ * Query Params: same as /submitted.
+ * Comments use the same format as the post comments route, plus the post they were made on.
+ */
+export const getUserComments = async (req, res, next) => {
+    const { username } = req.validated.params;
+
+    const { sort, time, apiParams } = resolveListingParams(req.validated.query);
+
+    try {
+        console.log(`Fetching comments for u/${username} with params:`, apiParams);
+        const response = await redditApi.get(`/user/${username}/comments`, { params: apiParams });
+
+        if (!response.data || response.data.kind !== 'Listing' || !Array.isArray(response.data.data?.children)) {
+            throw new ApiError('UPSTREAM_INVALID_RESPONSE', 'Unexpected response structure received from Reddit API for user comments.');
+        }
+
+        const comments = response.data.data.children
+            .filter(child => child.kind === 't1')
+            .map(child => presentComment(normalizeUserComment(child)));
+
+        console.log(`Successfully fetched ${comments.length} comments for u/${username}.`);
+        res.status(200).json({
+            username: username,
+            account_status: 'active',
+            sort: sort,
+            time: time,
+            parameters_used: apiParams,
+            comment_count: comments.length,
+            after: response.data.data.after,
+            before: response.data.data.before,
+            comments: comments,
+        });
+    } catch (error) {
+        const accountStatus = getAccountStatusFromError(error);
+        if (accountStatus) {
+            console.warn(`Comments for u/${username} unavailable, account is ${accountStatus}.`);
+            return res.status(200).json({
+                username: username,
+                account_status: accountStatus,
+                sort: sort,
+                time: time,
+                parameters_used: apiParams,
+                comment_count: 0,
+                after: null,
+                before: null,
+                comments: [],
+            });
+        }
+        handleUpstreamError(error, next, `Error fetching comments for u/${username}`, { user: username });
+    }
+};
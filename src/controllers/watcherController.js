@@ -0,0 +1,130 @@
+import redditApi from '../services/redditService.js'; // Import the configured Axios instance
+import { getRequestContext } from '../middleware/requestContext.js';
+import { checkWebhookUrl, createWatcher as createWatcherEntry, listWatchers as listWatcherEntries, getWatcher as getWatcherEntry, setWatcherStatus, deleteWatcher as deleteWatcherEntry } from '../services/watcherService.js';
+import { ApiError, handleUpstreamError } from '../utils/errors.js';
+
+/**
+ * Returns the API key name the request's watchers are scoped to: the calling key, or null (every
+ * watcher) for admin keys and while authentication is off.
+ */
+const watcherScope = () => {
+    const apiKey = getRequestContext()?.apiKey;
+    return apiKey && !apiKey.admin ? apiKey.name : null;
+};
+
+/**
+ * Passes a 404 for an unknown watcher ID to the general error handler.
+ */
+function watcherNotFound(id, next) {
+    next(new ApiError('NOT_FOUND', `Watcher '${id}' not found.`));
+}
+
+/**
+ * Registers a watcher that polls a subreddit's new posts and POSTs matches to a webhook.
+ * POST /api/watchers
+ * Body (validated by routeSchemas.createWatcher):
+ *  - subreddit (string, required)
+ *  - webhook_url (string, required, http(s) URL, not on a private address unless WATCHER_ALLOW_PRIVATE_WEBHOOKS is set)
+ *  - interval_seconds (number, default 300)
+ *  - keywords (string[], optional - match any, in title or body)
+ *  - flairs (string[], optional - match any link flair)
+ *  - schema (string, schema version of the delivered posts, default 'v1')
+ *  - secret (string, optional - HMAC signing secret, generated if omitted)
+ * The response includes the secret; it is not returned again.
+ * The watcher polls with the Reddit identity selected for this request, and belongs to the calling API key:
+ * only that key (and admin keys) can see, pause, resume or delete it.
+ */
+export const createWatcher = async (req, res, next) => {
+    const { subreddit, ...options } = req.validated.body;
+
+    try {
+        await checkWebhookUrl(options.webhook_url);
+    } catch (error) {
+        const messages = {
+            EPRIVATEADDRESS: error.message,
+            ERR_INVALID_URL: 'webhook_url must be an http(s) URL.',
+        };
+        const message = messages[error.code] || `The webhook host could not be resolved (${error.code || error.message}).`;
+        return next(new ApiError('VALIDATION_FAILED', message, { details: { parameter: 'webhook_url' } }));
+    }
+
+    try {
+        // Make sure the subreddit exists, and use its canonical name
+        console.log(`Validating subreddit r/${subreddit} for a new watcher`);
+        const response = await redditApi.get(`/r/${subreddit}/about`);
+        if (!response.data || response.data.kind !== 't5' || !response.data.data) {
+            throw new ApiError('UPSTREAM_INVALID_RESPONSE', 'Unexpected response structure received from Reddit API for subreddit validation.');
+        }
+
+        const watcher = await createWatcherEntry({
+            ...options,
+            subreddit: response.data.data.display_name,
+            identity: getRequestContext()?.identity,
+            owner: getRequestContext()?.apiKey?.name,
+        });
+        res.status(201).json(watcher);
+    } catch (error) {
+        handleUpstreamError(error, next, `Error creating a watcher for r/${subreddit}`, { subreddit });
+    }
+};
+
+/**
+ * Lists the calling key's watchers (every watcher for admin keys) with their state (last poll, last delivery,
+ * counters). Secrets are never included.
+ * GET /api/watchers
+ */
+export const listWatchers = (req, res) => {
+    const watchers = listWatcherEntries(watcherScope());
+    res.status(200).json({
+        watcher_count: watchers.length,
+        watchers: watchers,
+    });
+};
+
+/**
+ * Returns one watcher. Watchers of other keys are reported as not found, as in the routes below.
+ * GET /api/watchers/:id
+ */
+export const getWatcher = (req, res, next) => {
+    const { id } = req.validated.params;
+
+    const watcher = getWatcherEntry(id, watcherScope());
+    if (!watcher) return watcherNotFound(id, next);
+    res.status(200).json(watcher);
+};
+
+/**
+ * Pauses a watcher: it stops polling but keeps its state.
+ * POST /api/watchers/:id/pause
+ */
+export const pauseWatcher = async (req, res, next) => {
+    const { id } = req.validated.params;
+
+    const watcher = await setWatcherStatus(id, 'paused', watcherScope());
+    if (!watcher) return watcherNotFound(id, next);
+    res.status(200).json(watcher);
+};
+
+/**
+ * Resumes a paused watcher. It polls right away and delivers what was posted while it was paused
+ * (up to one listing page).
+ * POST /api/watchers/:id/resume
+ */
+export const resumeWatcher = async (req, res, next) => {
+    const { id } = req.validated.params;
+
+    const watcher = await setWatcherStatus(id, 'active', watcherScope());
+    if (!watcher) return watcherNotFound(id, next);
+    res.status(200).json(watcher);
+};
+
+/**
+ * Deletes a watcher.
+ * DELETE /api/watchers/:id
+ */
+export const deleteWatcher = async (req, res, next) => {
+    const { id } = req.validated.params;
+
+    if (!(await deleteWatcherEntry(id, watcherScope()))) return watcherNotFound(id, next);
+    res.status(204).end();
+};
@@ -0,0 +1,81 @@
+import { getRequestContext } from './requestContext.js';
+import { AUTH_ENABLED, findApiKey, consumeRequest, recordRequestOutcome } from '../services/apiKeyService.js';
+import { ApiError } from '../utils/errors.js';
+
+// Paths under /api anyone may read: the documentation and the JSON Schemas
+const PUBLIC_PATHS = ['/docs', '/openapi.json', '/schemas'];
+
+/**
+ * Reads the client API key from X-API-Key or Authorization: Bearer <key>.
+ */
+const readApiKey = (req) => {
+    const header = req.get('X-API-Key');
+    if (header) return header;
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+    return match ? match[1].trim() : null;
+};
+
+/**
+ * Authenticates /api requests by API key (see apiKeyService.js) and applies the key's rate limit and
+ * daily quota, answering 429 with Retry-After once either runs out. Upstream requests made for the
+ * key are queued at its priority, and the request's cost is counted towards its usage when it finishes.
+ * Does nothing when no keys are configured.
+ */
+export const apiKeyAuth = (req, res, next) => {
+    if (!AUTH_ENABLED || PUBLIC_PATHS.some(path => req.path === path || req.path.startsWith(`${path}/`))) {
+        return next();
+    }
+
+    const presentedKey = readApiKey(req);
+    const key = findApiKey(presentedKey);
+    if (!key) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return next(presentedKey
+            ? new ApiError('API_KEY_INVALID', 'The API key is not valid.')
+            : new ApiError('API_KEY_REQUIRED', 'An API key is required. Send it in the X-API-Key header (or Authorization: Bearer <key>).'));
+    }
+
+    const { allowed, reason, retryAfter, limits } = consumeRequest(key);
+    res.set({
+        'X-RateLimit-Limit': String(limits.rate_limit_per_minute),
+        'X-RateLimit-Remaining': String(limits.rate_limit_remaining),
+        ...(limits.daily_quota && {
+            'X-Quota-Limit': String(limits.daily_quota),
+            'X-Quota-Remaining': String(limits.daily_quota_remaining),
+        }),
+    });
+    if (!allowed) {
+        console.log(`API key '${key.name}' ${reason === 'quota' ? 'exceeded its daily quota' : 'hit its rate limit'}, retry in ${retryAfter}s.`);
+        return next(reason === 'quota'
+            ? new ApiError('QUOTA_EXCEEDED', `Daily quota of ${limits.daily_quota} requests used up. It resets at midnight UTC.`, { retryAfter })
+            : new ApiError('RATE_LIMITED', `Rate limit of ${limits.rate_limit_per_minute} requests per minute exceeded.`, { retryAfter }));
+    }
+
+    const context = getRequestContext();
+    if (context) {
+        context.apiKey = key;
+        // Read by the request scheduler, bulk keys queue behind interactive ones
+        context.priority = key.priority;
+    }
+
+    res.on('finish', () => {
+        const lookups = context?.cacheLookups || [];
+        recordRequestOutcome(key, {
+            statusCode: res.statusCode,
+            upstreamRequests: lookups.filter(lookup => lookup.status !== 'HIT').length,
+            cacheHits: lookups.filter(lookup => lookup.status === 'HIT').length,
+        });
+    });
+    next();
+};
+
+/**
+ * Limits a route to admin keys (admin in the key definition), for data that isn't scoped to the
+ * calling key. Lets everything through while authentication is off, like apiKeyAuth.
+ */
+export const requireAdminKey = (req, res, next) => {
+    if (AUTH_ENABLED && !getRequestContext()?.apiKey?.admin) {
+        return next(new ApiError('FORBIDDEN', 'This route needs an admin API key.'));
+    }
+    next();
+};
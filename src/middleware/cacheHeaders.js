@@ -0,0 +1,36 @@
+import { getRequestContext } from './requestContext.js';
+
+/**
+ * Adds caching headers derived from the upstream cache lookups made while handling the request:
+ *  - X-Cache: HIT when every upstream response came from the cache, MISS otherwise
+ *  - Cache-Control: max-age set to the shortest remaining TTL of the upstream responses used,
+ *    private for requests made with an API key (their usage and rate limit headers are per key)
+ * ETags are generated by Express itself for JSON bodies (and answered with 304 on If-None-Match).
+ * Headers are applied right before they're written, since the lookups happen inside the controllers.
+ */
+export const cacheHeaders = (req, res, next) => {
+    const context = getRequestContext();
+    const writeHead = res.writeHead;
+
+    res.writeHead = function (...args) {
+        const lookups = context?.cacheLookups || [];
+
+        // Routes that never touch the cache (or streams that start before the first lookup) are left alone
+        if (lookups.length > 0 && !res.headersSent) {
+            const allHits = lookups.every(lookup => lookup.status === 'HIT');
+            res.setHeader('X-Cache', allHits ? 'HIT' : 'MISS');
+
+            const statusCode = typeof args[0] === 'number' ? args[0] : res.statusCode;
+            const maxAge = Math.min(...lookups.map(lookup => lookup.ttlRemaining));
+            if (statusCode >= 400 || maxAge <= 0) {
+                res.setHeader('Cache-Control', 'no-store');
+            } else if (!res.getHeader('Cache-Control')) {
+                res.setHeader('Cache-Control', `${context.apiKey ? 'private' : 'public'}, max-age=${maxAge}`);
+            }
+        }
+
+        return writeHead.apply(this, args);
+    };
+
+    next();
+};
@@ -0,0 +1,37 @@
+import { getRequestContext } from './requestContext.js';
+import { DEFAULT_IDENTITY, hasIdentity } from '../services/redditService.js';
+import { AUTH_ENABLED, isIdentityAllowed } from '../services/apiKeyService.js';
+import { ApiError } from '../utils/errors.js';
+
+/**
+ * Selects the Reddit identity upstream requests are made with, for the rest of the request:
+ *  - X-Reddit-Identity: <name> selects a configured identity explicitly
+ *  - otherwise the first identity the API key lists (identities in the key definition, see apiKeyService.js)
+ * Without either, the application-only identity is used. Runs after apiKeyAuth, which puts the key
+ * in the request context: a key can only select the identities it lists, and requests without a key
+ * (paths outside apiKeyAuth) only the application-only one. While authentication is off, any configured
+ * identity can be selected.
+ */
+export const selectIdentity = (req, res, next) => {
+    const requested = req.get('X-Reddit-Identity');
+    const context = getRequestContext();
+    const apiKey = context?.apiKey || null;
+
+    let identity = null;
+    if (requested) {
+        if (!hasIdentity(requested)) {
+            return next(new ApiError('VALIDATION_FAILED', `Unknown Reddit identity '${requested}'.`));
+        }
+        if (AUTH_ENABLED && requested !== DEFAULT_IDENTITY && !(apiKey && isIdentityAllowed(apiKey, requested))) {
+            return next(new ApiError('FORBIDDEN', `The API key is not allowed to use the Reddit identity '${requested}'.`));
+        }
+        identity = requested;
+    } else if (apiKey) {
+        identity = apiKey.identities[0];
+    }
+
+    if (identity && context) {
+        context.identity = identity;
+    }
+    next();
+};
@@ -0,0 +1,41 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import crypto from 'node:crypto';
+
+/**
+ * Per-request context shared with code that has no access to req/res
+ * (e.g. the Axios interceptors in redditService.js).
+ * Everything awaited inside a route handler sees the context of the request it runs for.
+ */
+const contextStorage = new AsyncLocalStorage();
+
+// Request IDs sent by clients or proxies are kept when they look sane
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Express middleware that opens a context for every incoming request.
+ * Every request gets an ID (X-Request-Id, echoed in the response and in error bodies).
+ */
+export const requestContext = (req, res, next) => {
+    const incomingId = req.get('X-Request-Id');
+    const context = {
+        requestId: incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID(),
+        // ?fresh=1 skips cached upstream responses (the fresh results are still cached), set by validateRequest
+        bypassCache: false,
+        // Filled in by the cache interceptors, one entry per upstream lookup
+        cacheLookups: [],
+    };
+    res.set('X-Request-Id', context.requestId);
+    contextStorage.run(context, () => next());
+};
+
+/**
+ * Returns the context of the request currently being handled, or null outside a request
+ * (e.g. for the initial token fetch).
+ */
+export const getRequestContext = () => contextStorage.getStore() || null;
+
+/**
+ * Runs fn in a context of its own, for upstream requests made outside an HTTP request
+ * (e.g. background polling). Returns what fn returns.
+ */
+export const runInContext = (context, fn) => contextStorage.run({ bypassCache: false, cacheLookups: [], ...context }, fn);
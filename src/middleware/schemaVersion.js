@@ -0,0 +1,26 @@
+import { getRequestContext } from './requestContext.js';
+import { SCHEMA_VERSIONS, DEFAULT_SCHEMA_VERSION } from '../normalizers/index.js';
+import { ApiError } from '../utils/errors.js';
+
+/**
+ * Selects the response schema version for the rest of the request (?schema=v1|v2|raw, default v1)
+ * and reports it in the X-Schema-Version header.
+ */
+export const selectSchemaVersion = (req, res, next) => {
+    const requested = req.query.schema;
+
+    let version = DEFAULT_SCHEMA_VERSION;
+    if (requested !== undefined) {
+        if (typeof requested !== 'string' || !SCHEMA_VERSIONS.includes(requested.toLowerCase())) {
+            return next(new ApiError('VALIDATION_FAILED', `Invalid schema parameter. Allowed values: ${SCHEMA_VERSIONS.join(', ')}.`));
+        }
+        version = requested.toLowerCase();
+    }
+
+    const context = getRequestContext();
+    if (context) {
+        context.schemaVersion = version;
+    }
+    res.set('X-Schema-Version', version);
+    next();
+};
@@ -0,0 +1,230 @@
+/**
+ * Declarative request validation.
+ *
+ * Routes describe their path params, query string and JSON body in src/routes/routeSchemas.js with a
+ * small JSON Schema subset (type, enum, minimum, maximum, pattern, maxLength, minLength, items, minItems, maxItems,
+ * default) plus 'required'. validateRequest(routeSchema) checks a request against it, applies defaults
+ * and exposes the values as req.validated.params / .query / .body (Express 5's req.query is read-only).
+ * Query parameters and body fields a route doesn't declare are rejected, so nothing unchecked reaches Reddit.
+ * The same definitions generate the OpenAPI document (src/services/openapiService.js).
+ */
+import { getRequestContext } from './requestContext.js';
+import { SCHEMA_VERSIONS, DEFAULT_SCHEMA_VERSION } from '../normalizers/index.js';
+import { ApiError } from '../utils/errors.js';
+
+// Parameters every route accepts (fresh is applied below in validateRequest, schema by the selectSchemaVersion middleware)
+export const COMMON_QUERY = {
+    fresh: {
+        type: 'boolean',
+        description: 'Skip cached upstream responses (the fresh responses are still cached).',
+    },
+    schema: {
+        type: 'string',
+        enum: SCHEMA_VERSIONS,
+        default: DEFAULT_SCHEMA_VERSION,
+        description: 'Response schema version, see /api/schemas.',
+    },
+};
+
+const TRUE_VALUES = ['1', 'true'];
+const FALSE_VALUES = ['0', 'false'];
+
+/**
+ * Describes the accepted values of a parameter, for error messages.
+ */
+const describeExpected = (spec) => {
+    if (spec.enum) return `Allowed values: ${spec.enum.join(', ')}.`;
+    if (spec.type === 'boolean') return 'Must be true or false (or 1/0).';
+    if (spec.type === 'integer' || spec.type === 'number') {
+        const kind = spec.type === 'integer' ? 'an integer' : 'a number';
+        if (spec.minimum !== undefined && spec.maximum !== undefined) return `Must be ${kind} between ${spec.minimum} and ${spec.maximum}.`;
+        if (spec.minimum !== undefined) return `Must be ${kind} of at least ${spec.minimum}.`;
+        return `Must be ${kind}.`;
+    }
+    if (spec.patternMessage) return spec.patternMessage;
+    if (spec.maxLength !== undefined) return `Maximum length is ${spec.maxLength} characters.`;
+    return '';
+};
+
+/**
+ * Coerces a raw string value to the parameter's type and checks its constraints.
+ * Returns { value } or { error } (the error being a message).
+ */
+const coerceValue = (name, rawValue, spec, kind = 'parameter') => {
+    const invalid = () => ({ error: `Invalid ${name} ${kind} '${rawValue}'. ${describeExpected(spec)}`.trim() });
+
+    if (Array.isArray(rawValue) || typeof rawValue !== 'string') {
+        return { error: `The ${name} parameter must be given once, as a single value.` };
+    }
+
+    switch (spec.type) {
+        case 'integer': {
+            if (!/^-?\d+$/.test(rawValue)) return invalid();
+            const value = parseInt(rawValue, 10);
+            if ((spec.minimum !== undefined && value < spec.minimum) || (spec.maximum !== undefined && value > spec.maximum)) return invalid();
+            return { value };
+        }
+        case 'number': {
+            const value = Number(rawValue);
+            if (!Number.isFinite(value)) return invalid();
+            if ((spec.minimum !== undefined && value < spec.minimum) || (spec.maximum !== undefined && value > spec.maximum)) return invalid();
+            return { value };
+        }
+        case 'boolean': {
+            const lowered = rawValue.toLowerCase();
+            if (TRUE_VALUES.includes(lowered)) return { value: true };
+            if (FALSE_VALUES.includes(lowered)) return { value: false };
+            return invalid();
+        }
+        default: {
+            // Enum values are matched case-insensitively and passed on lower-cased
+            const value = spec.enum ? rawValue.toLowerCase() : rawValue;
+            if (spec.enum && !spec.enum.includes(value)) return invalid();
+            if (spec.pattern && !new RegExp(spec.pattern).test(value)) return invalid();
+            if (spec.maxLength !== undefined && value.length > spec.maxLength) return invalid();
+            return { value };
+        }
+    }
+};
+
+/**
+ * Checks a JSON body value against its definition. Unlike query values these already have a type,
+ * so nothing is coerced. Returns { value } or { error }.
+ */
+const checkJsonValue = (name, value, spec) => {
+    const invalid = (hint = describeExpected(spec)) => ({ error: `Invalid ${name} field. ${hint}`.trim() });
+
+    switch (spec.type) {
+        case 'integer':
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value) || (spec.type === 'integer' && !Number.isInteger(value))) return invalid();
+            if ((spec.minimum !== undefined && value < spec.minimum) || (spec.maximum !== undefined && value > spec.maximum)) return invalid();
+            return { value };
+        case 'boolean':
+            return typeof value === 'boolean' ? { value } : invalid('Must be true or false.');
+        case 'object':
+            // The fields are checked by whoever handles the object (e.g. batch items)
+            return value !== null && typeof value === 'object' && !Array.isArray(value) ? { value } : invalid('Must be an object.');
+        case 'array': {
+            if (!Array.isArray(value)) return invalid('Must be an array.');
+            if (spec.minItems !== undefined && value.length < spec.minItems) return invalid(`At least ${spec.minItems} item${spec.minItems > 1 ? 's are' : ' is'} required.`);
+            if (spec.maxItems !== undefined && value.length > spec.maxItems) return invalid(`At most ${spec.maxItems} items are allowed.`);
+            const items = [];
+            for (const [index, item] of value.entries()) {
+                const { value: itemValue, error } = checkJsonValue(`${name}[${index}]`, item, spec.items || {});
+                if (error) return { error };
+                items.push(itemValue);
+            }
+            return { value: items };
+        }
+        case 'string': {
+            if (typeof value !== 'string') return invalid('Must be a string.');
+            const trimmed = value.trim();
+            if (spec.minLength !== undefined && trimmed.length < spec.minLength) return invalid(`Minimum length is ${spec.minLength} characters.`);
+            return coerceValue(name, trimmed, spec, 'field');
+        }
+        default:
+            return { value };
+    }
+};
+
+/**
+ * Validates a JSON object (the request body, or an object inside it) against its field definitions.
+ * 'label' names the fields in error messages.
+ */
+export const validateFields = (body, definitions, errors, label = 'body field') => {
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        errors.push('The request body must be a JSON object.');
+        return {};
+    }
+
+    const unknown = Object.keys(body).filter(name => !(name in definitions));
+    if (unknown.length > 0) {
+        errors.push(`Unknown ${label}${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}. Allowed: ${Object.keys(definitions).join(', ')}.`);
+    }
+
+    const values = {};
+    for (const [name, spec] of Object.entries(definitions)) {
+        if (body[name] === undefined || body[name] === null) {
+            if (spec.required) {
+                errors.push(`The ${name} ${label} is required.`);
+            } else if (spec.default !== undefined) {
+                values[name] = spec.default;
+            }
+            continue;
+        }
+
+        const { value, error } = checkJsonValue(name, body[name], spec);
+        if (error) {
+            errors.push(error);
+        } else {
+            values[name] = value;
+        }
+    }
+    return values;
+};
+
+/**
+ * Validates one group of values (path params or query string) against its definitions.
+ * Empty values count as absent, like the hand-written checks before.
+ */
+const validateGroup = (input, definitions, location, errors) => {
+    const values = {};
+
+    for (const [name, spec] of Object.entries(definitions)) {
+        let rawValue = input[name];
+        if (typeof rawValue === 'string') rawValue = rawValue.trim();
+
+        if (rawValue === undefined || rawValue === '') {
+            if (spec.required) {
+                errors.push(`The ${name} ${location} parameter is required.`);
+            } else if (spec.default !== undefined) {
+                values[name] = spec.default;
+            }
+            continue;
+        }
+
+        const { value, error } = coerceValue(name, rawValue, spec);
+        if (error) {
+            errors.push(error);
+        } else {
+            values[name] = value;
+        }
+    }
+    return values;
+};
+
+/**
+ * Returns middleware that validates a request against a route schema (see routeSchemas.js).
+ * Responds 400 (VALIDATION_FAILED) listing every problem, or stores the validated values in req.validated.
+ */
+export const validateRequest = (routeSchema) => {
+    const paramDefinitions = routeSchema.params || {};
+    const queryDefinitions = { ...routeSchema.query, ...COMMON_QUERY };
+
+    return (req, res, next) => {
+        const errors = [];
+
+        const unknown = Object.keys(req.query).filter(name => !(name in queryDefinitions));
+        if (unknown.length > 0) {
+            const allowed = Object.keys(queryDefinitions);
+            errors.push(`Unknown query parameter${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}. Allowed: ${allowed.join(', ')}.`);
+        }
+
+        const params = validateGroup(req.params, paramDefinitions, 'path', errors);
+        const query = validateGroup(req.query, queryDefinitions, 'query', errors);
+        const body = routeSchema.body ? validateFields(req.body ?? {}, routeSchema.body, errors) : undefined;
+
+        if (errors.length > 0) {
+            return next(new ApiError('VALIDATION_FAILED', errors.join(' '), { details: { errors } }));
+        }
+
+        req.validated = { params, query, body };
+        // ?fresh= is read here rather than in requestContext, so it accepts the same values as every boolean
+        const context = getRequestContext();
+        if (context && query.fresh !== undefined) {
+            context.bypassCache = query.fresh;
+        }
+        next();
+    };
+};
@@ -0,0 +1,101 @@
+import { RAW, withRaw, emitNormalized, getSchemaVersion } from './common.js';
+
+/**
+ * Recursive function to normalize comments from the raw Reddit API structure
+ * into canonical comment trees. Also identifies and formats 'more' comment objects.
+ */
+export const normalizeComments = (commentArray) => {
+    if (!Array.isArray(commentArray)) return [];
+
+    return commentArray.map(commentWrapper => {
+        const kind = commentWrapper.kind;
+        const comment = commentWrapper.data;
+
+        // Handle 'more' comment placeholders
+        if (kind === 'more') {
+            return withRaw({
+                type: 'more',
+                id: comment.id, // ID of the 'more' object itself
+                count: comment.count, // Number of comments hidden
+                parent_id: comment.parent_id, // Parent of these hidden comments
+                children_ids: comment.children || [], // IDs of comments to load
+            }, comment);
+        }
+
+        // Handle regular 't1' comments
+        if (kind === 't1') {
+            const repliesData = comment.replies?.data?.children || [];
+            return emitNormalized('comment', withRaw({
+                type: 'comment',
+                id: comment.id,
+                author: comment.author || '[deleted]',
+                body: comment.body,
+                body_html: comment.body_html,
+                score: comment.score,
+                created_utc: comment.created_utc,
+                stickied: comment.stickied,
+                is_submitter: comment.is_submitter,
+                permalink: `https://www.reddit.com${comment.permalink}`,
+                parent_id: comment.parent_id,
+                replies: normalizeComments(repliesData),
+            }, comment));
+        }
+
+        return null; // Filter out unexpected kinds
+    }).filter(c => c !== null);
+};
+
+/**
+ * Normalizes a comment from a comment listing (/user/:username/comments, /r/:name/comments),
+ * which also carries the post it was made on.
+ */
+export const normalizeUserComment = (commentWrapper) => {
+    const comment = normalizeComments([commentWrapper])[0];
+    const raw = commentWrapper.data;
+    return withRaw({
+        ...comment,
+        // Context of the post the comment was made on
+        link_id: raw.link_id,
+        link_title: raw.link_title,
+        link_permalink: raw.link_permalink || null,
+        subreddit: raw.subreddit_name_prefixed,
+    }, raw);
+};
+
+/**
+ * Renders one canonical comment or 'more' placeholder in a schema version.
+ * Works on tree nodes (with 'replies', rendered recursively) and on flattened items
+ * (without 'replies', e.g. from streamed responses).
+ */
+export const presentComment = (item, version = getSchemaVersion()) => {
+    const { replies, [RAW]: raw, ...rest } = item;
+    const renderedReplies = replies ? { replies: presentComments(replies, version) } : {};
+
+    if (version === 'raw') {
+        const { replies: rawReplies, ...rawData } = raw || {};
+        return item.type === 'more' ? raw : { ...rawData, ...('depth' in item && { depth: item.depth }), ...renderedReplies };
+    }
+
+    if (version === 'v2') {
+        const fullnamePrefix = item.type === 'more' ? 'more_' : 't1_';
+        return {
+            type: rest.type,
+            id: rest.id,
+            fullname: `${fullnamePrefix}${rest.id}`,
+            ...rest,
+            ...(rest.subreddit !== undefined && {
+                subreddit: raw?.subreddit ?? rest.subreddit?.replace(/^r\//, ''),
+                subreddit_prefixed: rest.subreddit,
+            }),
+            ...renderedReplies,
+        };
+    }
+
+    return { ...rest, ...renderedReplies };
+};
+
+/**
+ * Renders a canonical comment tree (or flat list) in a schema version.
+ */
+export const presentComments = (comments, version = getSchemaVersion()) =>
+    comments.map(item => presentComment(item, version));
@@ -0,0 +1,59 @@
+import { getRequestContext } from '../middleware/requestContext.js';
+
+/**
+ * Helpers shared by the normalizers (see index.js for how the layer works).
+ */
+
+export const SCHEMA_VERSIONS = ['v1', 'v2', 'raw'];
+export const DEFAULT_SCHEMA_VERSION = 'v1';
+
+// Key under which canonical objects keep the raw Reddit data they were built from
+export const RAW = Symbol('raw');
+
+/**
+ * Attaches raw Reddit data to a canonical object and returns the object.
+ */
+export const withRaw = (canonical, raw) => {
+    canonical[RAW] = raw;
+    return canonical;
+};
+
+/**
+ * Returns the schema version selected for the current request (?schema=), or the default.
+ */
+export const getSchemaVersion = () => getRequestContext()?.schemaVersion || DEFAULT_SCHEMA_VERSION;
+
+/**
+ * Cuts text to maxLength. Returns { value, truncated } so the cut can be flagged in the output.
+ */
+export const truncateText = (text, maxLength) => {
+    if (typeof text !== 'string' || text.length <= maxLength) {
+        return { value: text, truncated: false };
+    }
+    return { value: text.substring(0, maxLength), truncated: true };
+};
+
+// Listeners notified of every post and comment normalized (e.g. the archive, see archiveService.js)
+const normalizedListeners = [];
+
+/**
+ * Registers a listener called as listener(kind, canonical) for every normalized 'post' and 'comment'.
+ * The raw Reddit data is available as canonical[RAW]. Listeners must not modify the object.
+ */
+export const onNormalized = (listener) => {
+    normalizedListeners.push(listener);
+};
+
+/**
+ * Notifies the listeners of a normalized object. A failing listener never breaks a response.
+ */
+export const emitNormalized = (kind, canonical) => {
+    for (const listener of normalizedListeners) {
+        try {
+            listener(kind, canonical);
+        } catch (error) {
+            console.error(`Normalized ${kind} listener failed:`, error.message);
+        }
+    }
+    return canonical;
+};
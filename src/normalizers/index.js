@@ -0,0 +1,22 @@
+/**
+ * Normalization layer for everything this API returns.
+ *
+ * Each normalizer works in two steps:
+ *  1. normalizeX(raw) maps raw Reddit data to a canonical object. Controllers work on canonical
+ *     objects (filtering, comment expansion, ...). The raw data stays attached under the RAW symbol,
+ *     which JSON.stringify ignores.
+ *  2. presentX(canonical, version) renders it in the schema version the client asked for:
+ *     - v1:  the original response shapes. Text cut at a length limit is flagged (e.g. selftext_truncated).
+ *     - v2:  consistent shapes: every object has a bare 'id' and a 'fullname', subreddits are bare
+ *            names next to a '_prefixed' variant, NSFW is always 'over_18', and text is never truncated.
+ *     - raw: Reddit's own data for the object, untouched (comment trees keep our 'replies' nesting).
+ * The JSON Schema of every v1/v2 shape is in schemas.js and served at /api/schemas/:version.
+ * Listeners registered with onNormalized (e.g. the archive) see every post and comment normalized.
+ */
+
+export * from './common.js';
+export * from './media.js';
+export * from './posts.js';
+export * from './comments.js';
+export * from './subreddits.js';
+export * from './users.js';
@@ -0,0 +1,209 @@
+/**
+ * Media resolution for posts: turns Reddit's scattered media fields (media / secure_media,
+ * media_metadata + gallery_data, preview, crosspost parents) into one structured 'media' object.
+ */
+
+// Mime types used in media_metadata.m, mapped to the file extensions i.redd.it serves
+const MIME_EXTENSIONS = {
+    'image/jpg': 'jpg',
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+};
+
+/**
+ * Unescapes the HTML entities Reddit uses in media URLs (&amp; in preview/gallery links).
+ */
+export const decodeMediaUrl = (url) => (url ? url.replace(/&amp;/g, '&') : null);
+
+/**
+ * Maps a Reddit image entry ({ url | u, width | x, height | y }) to { url, width, height }.
+ */
+const toImage = (image) => (image ? {
+    url: decodeMediaUrl(image.url || image.u),
+    width: image.width ?? image.x ?? null,
+    height: image.height ?? image.y ?? null,
+} : null);
+
+/**
+ * Preview images Reddit generated for the post: the source and its downscaled resolutions.
+ */
+const resolvePreview = (post) => {
+    const image = post.preview?.images?.[0];
+    if (!image?.source) return null;
+    return {
+        source: toImage(image.source),
+        resolutions: (image.resolutions || []).map(toImage),
+    };
+};
+
+/**
+ * Audio track of a v.redd.it video. Reddit serves video and audio as separate DASH streams, so the
+ * fallback mp4 is silent. The audio file name depends on when the video was uploaded: current uploads
+ * (DASH_<res>.mp4) use DASH_AUDIO_128.mp4, older ones (DASH_<res> without extension) DASH_audio.
+ * The HLS/DASH manifests always reference the right audio stream.
+ */
+const resolveAudioUrl = (redditVideo) => {
+    if (redditVideo.has_audio === false || redditVideo.is_gif || !redditVideo.fallback_url) return null;
+    const fallbackUrl = decodeMediaUrl(redditVideo.fallback_url).split('?')[0];
+    const match = fallbackUrl.match(/^(.*\/)DASH_[^/]+?(\.mp4)?$/);
+    if (!match) return null;
+    return match[2] ? `${match[1]}DASH_AUDIO_128.mp4` : `${match[1]}DASH_audio`;
+};
+
+/**
+ * Reddit-hosted video: the post's own v.redd.it video, or the mp4 rendition Reddit makes of
+ * externally hosted GIFs/videos (preview.reddit_video_preview).
+ */
+const resolveVideo = (post) => {
+    const redditVideo = post.secure_media?.reddit_video || post.media?.reddit_video;
+    const source = redditVideo || post.preview?.reddit_video_preview;
+    if (!source) return null;
+
+    return {
+        provider: redditVideo ? 'reddit' : 'reddit_preview',
+        hls_url: decodeMediaUrl(source.hls_url),
+        dash_url: decodeMediaUrl(source.dash_url),
+        fallback_url: decodeMediaUrl(source.fallback_url), // mp4 without audio
+        audio_url: resolveAudioUrl(source),
+        has_audio: source.has_audio ?? (source.is_gif ? false : null),
+        width: source.width ?? null,
+        height: source.height ?? null,
+        duration: source.duration ?? null,
+        is_gif: Boolean(source.is_gif),
+    };
+};
+
+/**
+ * Builds ordered gallery items (with captions) for a gallery post.
+ * gallery_data.items holds the order and captions, media_metadata the actual media.
+ */
+const resolveGallery = (post) => {
+    if (!post.is_gallery || !post.media_metadata) return null;
+
+    // Older galleries may lack gallery_data, fall back to media_metadata order without captions
+    const items = post.gallery_data?.items || Object.keys(post.media_metadata).map(mediaId => ({ media_id: mediaId }));
+
+    return items.map((item, index) => {
+        const media = post.media_metadata[item.media_id];
+        if (!media || media.status !== 'valid') return null;
+
+        const isAnimated = media.e === 'AnimatedImage';
+        const extension = MIME_EXTENSIONS[media.m] || (isAnimated ? 'gif' : 'jpg');
+        return {
+            position: index,
+            media_id: item.media_id,
+            type: media.e, // 'Image' | 'AnimatedImage' | ...
+            url: `https://i.redd.it/${item.media_id}.${extension}`,
+            preview_url: decodeMediaUrl(media.s?.u || media.s?.gif),
+            mp4_url: decodeMediaUrl(media.s?.mp4),
+            width: media.s?.x ?? null,
+            height: media.s?.y ?? null,
+            resolutions: (media.p || []).map(toImage),
+            caption: item.caption || null,
+            outbound_url: item.outbound_url || null,
+        };
+    }).filter(item => item !== null);
+};
+
+/**
+ * GIF/mp4 renditions of an animated image: Reddit's preview variants, or imgur's mp4 for .gifv links.
+ */
+const resolveAnimated = (post) => {
+    const variants = post.preview?.images?.[0]?.variants;
+    const gif = variants?.gif?.source;
+    const mp4 = variants?.mp4?.source;
+    if (gif || mp4) {
+        return {
+            gif_url: decodeMediaUrl(gif?.url),
+            mp4_url: decodeMediaUrl(mp4?.url),
+            width: (mp4 || gif).width ?? null,
+            height: (mp4 || gif).height ?? null,
+        };
+    }
+
+    const imgurGifv = post.url?.match(/^https?:\/\/i\.imgur\.com\/(\w+)\.gifv$/i);
+    if (imgurGifv) {
+        return {
+            gif_url: `https://i.imgur.com/${imgurGifv[1]}.gif`,
+            mp4_url: `https://i.imgur.com/${imgurGifv[1]}.mp4`,
+            width: null,
+            height: null,
+        };
+    }
+    return null;
+};
+
+/**
+ * oEmbed data Reddit fetched for externally hosted media (YouTube, imgur, gfycat, ...).
+ */
+const resolveEmbed = (post) => {
+    const media = post.secure_media?.oembed ? post.secure_media : post.media;
+    const oembed = media?.oembed;
+    if (!oembed) return null;
+
+    return {
+        provider: oembed.provider_name || media.type || null,
+        provider_url: oembed.provider_url || null,
+        type: oembed.type || null, // 'video' | 'rich' | 'photo' | 'link'
+        title: oembed.title || null,
+        author_name: oembed.author_name || null,
+        author_url: oembed.author_url || null,
+        thumbnail_url: decodeMediaUrl(oembed.thumbnail_url),
+        thumbnail_width: oembed.thumbnail_width ?? null,
+        thumbnail_height: oembed.thumbnail_height ?? null,
+        // Reddit HTML-escapes the embed markup
+        html: oembed.html ? oembed.html.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&') : null,
+        width: oembed.width ?? null,
+        height: oembed.height ?? null,
+    };
+};
+
+/**
+ * Resolves the media of a raw Reddit post (t3 data).
+ * Crossposts carry no media of their own, so theirs is resolved from the original post.
+ * Returns { type, url, preview, video, gallery, animated, embed }, where type is one of
+ * 'video' | 'gallery' | 'gif' | 'image' | 'embed' | 'link' | 'none' and the other fields are null
+ * when they don't apply.
+ */
+export const resolveMedia = (post) => {
+    const parent = post.crosspost_parent_list?.[0];
+    const source = (!post.media && !post.secure_media && !post.media_metadata && parent) ? parent : post;
+
+    const preview = resolvePreview(source);
+    const video = resolveVideo(source);
+    const gallery = resolveGallery(source);
+    const animated = resolveAnimated(source);
+    const embed = resolveEmbed(source);
+
+    let type = 'link';
+    let url = decodeMediaUrl(source.url_overridden_by_dest || source.url);
+    if (video?.provider === 'reddit') {
+        type = 'video';
+        url = video.fallback_url;
+    } else if (gallery) {
+        type = 'gallery';
+        url = gallery[0]?.url ?? url;
+    } else if (animated) {
+        type = 'gif';
+        url = animated.mp4_url || animated.gif_url;
+    } else if (embed) {
+        type = 'embed';
+    } else if (source.post_hint === 'image') {
+        type = 'image';
+    } else if (source.is_self) {
+        type = 'none';
+        url = null;
+    }
+
+    return {
+        type: type,
+        url: url,
+        preview: preview,
+        video: video,
+        gallery: gallery,
+        animated: animated,
+        embed: embed,
+    };
+};
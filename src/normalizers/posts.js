@@ -0,0 +1,166 @@
+import { RAW, withRaw, emitNormalized, getSchemaVersion, truncateText } from './common.js';
+import { resolveMedia, decodeMediaUrl } from './media.js';
+
+// v1 cut post bodies at this length (kept for compatibility, flagged with selftext_truncated)
+const V1_SELFTEXT_MAX_LENGTH = 2000;
+
+/**
+ * Maps a raw Reddit post (t3 data) to the canonical post used by the listing and search routes.
+ * selftext is kept in full here, the v1 presentation cuts it.
+ */
+export const normalizePost = (post) => {
+    // Determine Post Type
+    let post_type = 'link'; // Default type
+    if (post.is_video) {
+        post_type = 'video';
+    } else if (post.is_gallery) {
+        post_type = 'gallery';
+    } else if (post.is_self) {
+        post_type = 'text';
+    } else if (post.post_hint === 'image') {
+        post_type = 'image';
+    } else if (post.post_hint === 'link') {
+         post_type = 'link';
+    } // Can add more checks if needed
+
+    // Structured media (video streams, gallery items, previews, embeds)
+    const media = resolveMedia(post);
+
+    // Extract Media URL
+    let media_url = post.url; // Default to post URL
+    if (post_type === 'video' && media.video?.fallback_url) {
+        media_url = media.video.fallback_url; // Silent mp4, see media.video for the audio track and manifests
+    } else if (post.url_overridden_by_dest) { // Often used for images/links
+         media_url = post.url_overridden_by_dest;
+    }
+
+    // Gallery URLs (in gallery order) if applicable
+    const gallery_urls = post.is_gallery && media.gallery ? media.gallery.map(item => item.url) : null;
+
+    return emitNormalized('post', withRaw({
+        id: post.id,
+        title: post.title,                           // Post Title
+        score: post.score,                           // Likes (Score)
+        author: post.author || '[deleted]',          // User name
+        subreddit: post.subreddit_name_prefixed,
+        created_utc: post.created_utc,               // Created timestamp
+        permalink: `https://www.reddit.com${post.permalink}`,
+        num_comments: post.num_comments,
+        is_self: post.is_self,
+        selftext: post.is_self ? post.selftext ?? '' : null, // Post Body (full length)
+        over_18: post.over_18,                       // NSFW true/false
+        spoiler: post.spoiler,
+        stickied: post.stickied,
+        flair: post.link_flair_text || null,         // Flair / Tags
+        post_type: post_type,                        // Post Type (derived)
+        media_url: post_type !== 'text' ? media_url : null, // Media URL (relevant for non-text)
+        thumbnail: post.thumbnail && !['self', 'default', 'nsfw', 'spoiler', 'image', ''].includes(post.thumbnail) ? post.thumbnail : null,
+        gallery_urls: gallery_urls,                  // Gallery URLs (array or null)
+        media: media,                                // Structured media (see media.js)
+    }, post));
+};
+
+/**
+ * Maps a raw Reddit post (t3 data) to the canonical complete post returned by GET /api/post/:postId.
+ * Extends normalizePost with the crosspost parent, poll data, gallery captions,
+ * awards, edit state and moderation state.
+ */
+export const normalizePostDetail = (post) => {
+    const crosspostParent = post.crosspost_parent_list?.[0];
+    const editedUtc = typeof post.edited === 'number' ? post.edited : null;
+    const basePost = normalizePost(post);
+
+    return withRaw({
+        ...basePost,
+        selftext_html: post.is_self ? post.selftext_html || null : null,
+        url: post.url,
+        domain: post.domain,
+        upvote_ratio: post.upvote_ratio,
+        author_flair: post.author_flair_text || null,
+        distinguished: post.distinguished || null,
+        is_original_content: Boolean(post.is_original_content),
+        num_crossposts: post.num_crossposts ?? 0,
+        suggested_sort: post.suggested_sort || null,
+
+        // Edit state (Reddit sends false or the edit timestamp)
+        edited: Boolean(post.edited),
+        edited_utc: editedUtc,
+
+        // Moderation / removal state
+        locked: Boolean(post.locked),
+        archived: Boolean(post.archived),
+        pinned: Boolean(post.pinned),
+        removed_by_category: post.removed_by_category || null, // e.g. 'moderator', 'deleted', 'reddit'
+        is_removed: Boolean(post.removed_by_category) || post.selftext === '[removed]',
+        is_deleted: post.author === '[deleted]',
+
+        // Crosspost parent (post shape of the original)
+        crosspost_parent: post.crosspost_parent || null,
+        crosspost_parent_post: crosspostParent ? normalizePost(crosspostParent) : null,
+
+        // Poll
+        poll: post.poll_data ? {
+            options: (post.poll_data.options || []).map(option => ({
+                id: option.id,
+                text: option.text,
+                vote_count: option.vote_count ?? null, // Only visible once voting ended
+            })),
+            total_vote_count: post.poll_data.total_vote_count,
+            voting_end_timestamp: post.poll_data.voting_end_timestamp,
+        } : null,
+
+        // Gallery items in display order, with captions (same as media.gallery)
+        gallery: post.is_gallery ? basePost.media.gallery : null,
+
+        // Awards
+        total_awards_received: post.total_awards_received ?? 0,
+        awards: (post.all_awardings || []).map(award => ({
+            name: award.name,
+            count: award.count,
+            coin_price: award.coin_price,
+            icon_url: decodeMediaUrl(award.icon_url),
+        })),
+    }, post);
+};
+
+/**
+ * v2 naming for the fields every post shape shares.
+ */
+const toPostV2 = (canonical) => {
+    const { id, subreddit, [RAW]: raw = {}, ...rest } = canonical;
+    return {
+        id: id,
+        fullname: `t3_${id}`,
+        ...rest,
+        subreddit: raw.subreddit ?? subreddit?.replace(/^r\//, '') ?? null,
+        subreddit_prefixed: subreddit ?? null,
+    };
+};
+
+/**
+ * Renders a canonical post in a schema version (defaults to the request's ?schema=).
+ */
+export const presentPost = (canonical, version = getSchemaVersion()) => {
+    if (version === 'raw') return canonical[RAW];
+    if (version === 'v2') return toPostV2(canonical);
+
+    // v1: selftext was historically cut at 2000 characters, now with a flag saying so
+    const { value, truncated } = truncateText(canonical.selftext, V1_SELFTEXT_MAX_LENGTH);
+    const { [RAW]: raw, ...post } = canonical;
+    return { ...post, selftext: value, selftext_truncated: truncated };
+};
+
+/**
+ * Renders a canonical complete post in a schema version. The body is never truncated here.
+ */
+export const presentPostDetail = (canonical, version = getSchemaVersion()) => {
+    if (version === 'raw') return canonical[RAW];
+
+    const { crosspost_parent_post: parent, [RAW]: raw, ...detail } = canonical;
+    const parentPost = parent ? presentPost(parent, version) : null;
+
+    if (version === 'v2') {
+        return { ...toPostV2(canonical), crosspost_parent_post: parentPost };
+    }
+    return { ...detail, selftext_truncated: false, crosspost_parent_post: parentPost };
+};
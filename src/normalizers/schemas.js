@@ -0,0 +1,358 @@
+/**
+ * JSON Schema (draft 2020-12) definitions for every object shape the API returns, per schema version.
+ * Served at GET /api/schemas/:version. 'raw' has no schema: it is Reddit's own data.
+ * Keep these in sync with the present* functions of the normalizers.
+ */
+
+const nullable = (type) => ({ type: [type, 'null'] });
+const describe = (schema, description) => ({ ...schema, description });
+
+// --- Fields shared by both versions ---
+
+const postFields = {
+    title: describe({ type: 'string' }, 'Post title.'),
+    score: describe({ type: 'integer' }, 'Score (upvotes minus downvotes, fuzzed by Reddit).'),
+    author: describe({ type: 'string' }, "Author's username, '[deleted]' if the account is gone."),
+    created_utc: describe({ type: 'number' }, 'Creation time, Unix seconds (UTC).'),
+    permalink: describe({ type: 'string', format: 'uri' }, 'Full URL of the post on reddit.com.'),
+    num_comments: describe({ type: 'integer' }, 'Number of comments.'),
+    is_self: describe({ type: 'boolean' }, 'True for text posts.'),
+    selftext: describe(nullable('string'), 'Body of a text post (Markdown), null for other posts.'),
+    over_18: describe({ type: 'boolean' }, 'NSFW flag.'),
+    spoiler: describe({ type: 'boolean' }, 'Spoiler flag.'),
+    stickied: describe({ type: 'boolean' }, 'Pinned by the moderators.'),
+    flair: describe(nullable('string'), 'Link flair text.'),
+    post_type: describe({ enum: ['text', 'link', 'image', 'video', 'gallery'] }, 'Post type derived from the Reddit data.'),
+    media_url: describe(nullable('string'), 'URL of the linked media, null for text posts.'),
+    thumbnail: describe(nullable('string'), 'Thumbnail URL, null if Reddit has none.'),
+    gallery_urls: describe({ type: ['array', 'null'], items: { type: 'string' } }, 'Image URLs of a gallery post in gallery order, null for other posts.'),
+    media: describe({ $ref: '#/$defs/media' }, 'Structured media of the post (of the original post for crossposts).'),
+};
+
+const postDetailFields = {
+    selftext_html: describe(nullable('string'), 'Body of a text post as HTML.'),
+    url: describe({ type: 'string' }, 'URL the post links to (its own permalink for text posts).'),
+    domain: describe({ type: 'string' }, "Domain of 'url'."),
+    upvote_ratio: describe({ type: 'number' }, 'Share of upvotes, 0-1.'),
+    author_flair: describe(nullable('string'), 'Author flair text.'),
+    distinguished: describe(nullable('string'), "'moderator', 'admin' or null."),
+    is_original_content: describe({ type: 'boolean' }, 'Marked as OC.'),
+    num_crossposts: describe({ type: 'integer' }, 'Number of crossposts of this post.'),
+    suggested_sort: describe(nullable('string'), 'Comment sort suggested by the moderators.'),
+    edited: describe({ type: 'boolean' }, 'True if the post was edited.'),
+    edited_utc: describe(nullable('number'), 'Time of the last edit, Unix seconds.'),
+    locked: describe({ type: 'boolean' }, 'Locked (no new comments).'),
+    archived: describe({ type: 'boolean' }, 'Archived (no votes or comments).'),
+    pinned: describe({ type: 'boolean' }, "Pinned to the author's profile."),
+    removed_by_category: describe(nullable('string'), "Who removed the post: 'moderator', 'deleted', 'reddit', ..."),
+    is_removed: describe({ type: 'boolean' }, 'True if the post was removed.'),
+    is_deleted: describe({ type: 'boolean' }, 'True if the author deleted it.'),
+    crosspost_parent: describe(nullable('string'), 'Fullname of the original post of a crosspost.'),
+    poll: describe({
+        type: ['object', 'null'],
+        properties: {
+            options: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        text: { type: 'string' },
+                        vote_count: describe(nullable('integer'), 'Only visible once voting ended.'),
+                    },
+                },
+            },
+            total_vote_count: { type: 'integer' },
+            voting_end_timestamp: describe({ type: 'number' }, 'End of voting, Unix milliseconds.'),
+        },
+    }, 'Poll data, null for other posts.'),
+    gallery: describe({ type: ['array', 'null'], items: { $ref: '#/$defs/gallery_item' } }, 'Gallery items in display order (same as media.gallery), null for other posts.'),
+    total_awards_received: { type: 'integer' },
+    awards: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                name: { type: 'string' },
+                count: { type: 'integer' },
+                coin_price: { type: 'integer' },
+                icon_url: nullable('string'),
+            },
+        },
+    },
+};
+
+const commentFields = {
+    type: { const: 'comment' },
+    author: describe({ type: 'string' }, "Author's username, '[deleted]' if the account is gone."),
+    body: describe({ type: 'string' }, 'Comment text (Markdown).'),
+    body_html: describe({ type: 'string' }, 'Comment text as HTML.'),
+    score: { type: 'integer' },
+    created_utc: describe({ type: 'number' }, 'Creation time, Unix seconds (UTC).'),
+    stickied: { type: 'boolean' },
+    is_submitter: describe({ type: 'boolean' }, 'True if the author also wrote the post.'),
+    permalink: describe({ type: 'string', format: 'uri' }, 'Full URL of the comment on reddit.com.'),
+    parent_id: describe({ type: 'string' }, 'Fullname of the parent comment (t1_) or post (t3_).'),
+    depth: describe({ type: 'integer' }, 'Nesting level, only on streamed (flattened) comments.'),
+    replies: describe({ type: 'array', items: { $ref: '#/$defs/comment_or_more' } }, 'Replies, same shape. Absent on streamed comments.'),
+    link_id: describe({ type: 'string' }, 'Fullname of the post, only in comment listings (user histories, subreddit comments).'),
+    link_title: describe({ type: 'string' }, 'Title of the post, only in comment listings (user histories, subreddit comments).'),
+    link_permalink: describe(nullable('string'), 'URL of the post, only in comment listings (user histories, subreddit comments).'),
+};
+
+const moreFields = {
+    type: { const: 'more' },
+    count: describe({ type: 'integer' }, 'Number of comments not loaded.'),
+    parent_id: describe({ type: 'string' }, 'Fullname of the parent of the hidden comments.'),
+    children_ids: describe({ type: 'array', items: { type: 'string' } }, 'IDs to pass to /api/post/:postId/morechildren.'),
+};
+
+const subredditFields = {
+    name: describe({ type: 'string' }, 'Subreddit name without prefix.'),
+    title: { type: 'string' },
+    subscribers: { type: 'integer' },
+    created_utc: describe({ type: 'number' }, 'Creation time, Unix seconds (UTC).'),
+    public_description: describe({ type: 'string' }, 'Short description (cleaned of Markdown in /about).'),
+    subreddit_type: describe({ type: 'string' }, "'public', 'restricted', 'private', ..."),
+};
+
+const subredditAboutFields = {
+    active_user_count: nullable('integer'),
+    header_title: nullable('string'),
+    description: describe({ type: 'string' }, 'Sidebar text, cleaned of Markdown and HTML.'),
+    lang: { type: 'string' },
+    url: { type: 'string', format: 'uri' },
+    rules: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                short_name: { type: 'string' },
+                description: { type: 'string' },
+                kind: describe({ type: 'string' }, "What the rule applies to: 'link', 'comment' or 'all'."),
+                created_utc: { type: 'number' },
+                priority: { type: 'integer' },
+                violation_reason: { type: 'string' },
+            },
+        },
+    },
+};
+
+const userFields = {
+    username: { type: 'string' },
+    status: describe({ enum: ['active', 'suspended', 'deleted'] }, 'Account status.'),
+    created_utc: nullable('number'),
+    account_age_days: nullable('integer'),
+    karma: describe({
+        type: ['object', 'null'],
+        properties: {
+            post: { type: 'integer' },
+            comment: { type: 'integer' },
+            awardee: { type: 'integer' },
+            awarder: { type: 'integer' },
+            total: { type: 'integer' },
+        },
+    }, 'Null for suspended and deleted accounts.'),
+    verified: nullable('boolean'),
+    has_verified_email: nullable('boolean'),
+    is_gold: nullable('boolean'),
+    is_mod: nullable('boolean'),
+    is_employee: nullable('boolean'),
+    icon_img: nullable('string'),
+    profile_description: nullable('string'),
+    profile_over_18: nullable('boolean'),
+    profile_url: { type: 'string', format: 'uri' },
+};
+
+const object = (description, properties) => ({ type: 'object', description, properties });
+
+// --- Media (same in both versions) ---
+
+const image = {
+    type: 'object',
+    properties: {
+        url: { type: 'string' },
+        width: nullable('integer'),
+        height: nullable('integer'),
+    },
+};
+
+const mediaDefs = {
+    image: image,
+    gallery_item: object('Item of a gallery post.', {
+        position: describe({ type: 'integer' }, 'Position in the gallery, from 0.'),
+        media_id: { type: 'string' },
+        type: describe({ type: 'string' }, "'Image', 'AnimatedImage', ..."),
+        url: describe({ type: 'string' }, 'Full size i.redd.it URL.'),
+        preview_url: describe(nullable('string'), 'preview.redd.it URL of the source image (or GIF).'),
+        mp4_url: describe(nullable('string'), 'mp4 rendition of animated items.'),
+        width: nullable('integer'),
+        height: nullable('integer'),
+        resolutions: describe({ type: 'array', items: { $ref: '#/$defs/image' } }, 'Downscaled previews.'),
+        caption: nullable('string'),
+        outbound_url: nullable('string'),
+    }),
+    media: object('Structured media of a post. Fields that don\'t apply are null.', {
+        type: describe({ enum: ['video', 'gallery', 'gif', 'image', 'embed', 'link', 'none'] }, "Main kind of media, 'none' for text posts."),
+        url: describe(nullable('string'), 'Primary media URL for the type (silent mp4 for videos, first item for galleries).'),
+        preview: describe({
+            type: ['object', 'null'],
+            properties: {
+                source: { $ref: '#/$defs/image' },
+                resolutions: { type: 'array', items: { $ref: '#/$defs/image' } },
+            },
+        }, 'Preview images generated by Reddit.'),
+        video: describe({
+            type: ['object', 'null'],
+            properties: {
+                provider: describe({ enum: ['reddit', 'reddit_preview'] }, "'reddit' for v.redd.it videos, 'reddit_preview' for Reddit's mp4 of an external GIF/video."),
+                hls_url: describe(nullable('string'), 'HLS manifest (video and audio).'),
+                dash_url: describe(nullable('string'), 'DASH manifest (video and audio).'),
+                fallback_url: describe(nullable('string'), 'Single mp4 file, without audio.'),
+                audio_url: describe(nullable('string'), 'Audio track derived from the fallback URL, null without audio. The manifests are authoritative.'),
+                has_audio: nullable('boolean'),
+                width: nullable('integer'),
+                height: nullable('integer'),
+                duration: describe(nullable('number'), 'Seconds.'),
+                is_gif: { type: 'boolean' },
+            },
+        }, 'Reddit-hosted video.'),
+        gallery: describe({ type: ['array', 'null'], items: { $ref: '#/$defs/gallery_item' } }, 'Gallery items in display order.'),
+        animated: describe({
+            type: ['object', 'null'],
+            properties: {
+                gif_url: nullable('string'),
+                mp4_url: nullable('string'),
+                width: nullable('integer'),
+                height: nullable('integer'),
+            },
+        }, 'GIF/mp4 renditions of an animated image.'),
+        embed: describe({
+            type: ['object', 'null'],
+            properties: {
+                provider: nullable('string'),
+                provider_url: nullable('string'),
+                type: describe(nullable('string'), "oEmbed type: 'video', 'rich', 'photo' or 'link'."),
+                title: nullable('string'),
+                author_name: nullable('string'),
+                author_url: nullable('string'),
+                thumbnail_url: nullable('string'),
+                thumbnail_width: nullable('integer'),
+                thumbnail_height: nullable('integer'),
+                html: describe(nullable('string'), 'Embed markup (unescaped).'),
+                width: nullable('integer'),
+                height: nullable('integer'),
+            },
+        }, 'oEmbed data of externally hosted media (YouTube, imgur, ...).'),
+    }),
+};
+
+// --- v1: the original shapes ---
+
+const v1Post = object('Post as returned by listings, crawls and searches.', {
+    id: describe({ type: 'string' }, 'Post ID without prefix.'),
+    ...postFields,
+    subreddit: describe({ type: 'string' }, "Subreddit with prefix, e.g. 'r/javascript'."),
+    selftext: describe(nullable('string'), 'Body of a text post, cut at 2000 characters. Null for other posts.'),
+    selftext_truncated: describe({ type: 'boolean' }, 'True if selftext was cut.'),
+});
+
+const v1Subreddit = {
+    id: describe({ type: 'string' }, "Fullname, e.g. 't5_2qh30'."),
+    ...subredditFields,
+    over18: describe({ type: 'boolean' }, 'NSFW flag.'),
+};
+
+const v1 = {
+    post: v1Post,
+    post_detail: object('Complete post returned by GET /api/post/:postId.', {
+        ...v1Post.properties,
+        selftext: describe(nullable('string'), 'Body of a text post, never cut here.'),
+        selftext_truncated: describe({ const: false }, 'Always false.'),
+        ...postDetailFields,
+        crosspost_parent_post: describe({ anyOf: [{ $ref: '#/$defs/post' }, { type: 'null' }] }, 'Original post of a crosspost.'),
+    }),
+    comment: object('Comment.', {
+        id: describe({ type: 'string' }, 'Comment ID without prefix.'),
+        ...commentFields,
+        subreddit: describe({ type: 'string' }, 'Subreddit with prefix, only in comment listings (user histories, subreddit comments).'),
+    }),
+    more: object("Placeholder for comments Reddit didn't include.", {
+        id: { type: 'string' },
+        ...moreFields,
+    }),
+    comment_or_more: { anyOf: [{ $ref: '#/$defs/comment' }, { $ref: '#/$defs/more' }] },
+    ...mediaDefs,
+    subreddit: object('Subreddit as returned by validate and search.', v1Subreddit),
+    subreddit_about: object('Subreddit metadata and rules returned by /about.', { ...v1Subreddit, ...subredditAboutFields }),
+    user: object('Reddit account.', {
+        id: describe(nullable('string'), "Fullname, e.g. 't2_abc12'. Null for deleted accounts."),
+        ...userFields,
+    }),
+};
+
+// --- v2: consistent ids, subreddit names and flags, no truncation ---
+
+const idFields = (prefix, what) => ({
+    id: describe({ type: 'string' }, `${what} ID without prefix.`),
+    fullname: describe({ type: 'string' }, `Fullname, i.e. the ID prefixed with '${prefix}'.`),
+});
+
+const subredditNameFields = {
+    subreddit: describe({ type: 'string' }, "Subreddit name without prefix, e.g. 'javascript'."),
+    subreddit_prefixed: describe({ type: 'string' }, "Subreddit name with prefix, e.g. 'r/javascript'."),
+};
+
+const v2Post = object('Post as returned by listings, crawls and searches.', {
+    ...idFields('t3_', 'Post'),
+    ...postFields,
+    ...subredditNameFields,
+});
+
+const v2Subreddit = {
+    ...idFields('t5_', 'Subreddit'),
+    ...subredditFields,
+    over_18: describe({ type: 'boolean' }, 'NSFW flag.'),
+};
+
+const v2 = {
+    post: v2Post,
+    post_detail: object('Complete post returned by GET /api/post/:postId.', {
+        ...v2Post.properties,
+        ...postDetailFields,
+        crosspost_parent_post: describe({ anyOf: [{ $ref: '#/$defs/post' }, { type: 'null' }] }, 'Original post of a crosspost.'),
+    }),
+    comment: object('Comment.', {
+        ...idFields('t1_', 'Comment'),
+        ...commentFields,
+        ...subredditNameFields, // Only in comment listings (user histories, subreddit comments)
+    }),
+    more: object("Placeholder for comments Reddit didn't include.", {
+        ...idFields('more_', "Placeholder's"),
+        ...moreFields,
+    }),
+    comment_or_more: { anyOf: [{ $ref: '#/$defs/comment' }, { $ref: '#/$defs/more' }] },
+    ...mediaDefs,
+    subreddit: object('Subreddit as returned by validate and search.', v2Subreddit),
+    subreddit_about: object('Subreddit metadata and rules returned by /about.', { ...v2Subreddit, ...subredditAboutFields }),
+    user: object('Reddit account.', {
+        id: describe(nullable('string'), 'Account ID without prefix. Null for deleted accounts.'),
+        fullname: describe(nullable('string'), "Fullname, i.e. the ID prefixed with 't2_'."),
+        ...userFields,
+    }),
+};
+
+const definitions = { v1, v2 };
+
+/**
+ * Returns the JSON Schema document of a schema version, or null if there is none.
+ */
+export const getSchemaDocument = (version) => {
+    if (!definitions[version]) return null;
+    return {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        $id: `/api/schemas/${version}`,
+        title: `Reddit API wrapper response objects (${version})`,
+        $defs: definitions[version],
+    };
+};
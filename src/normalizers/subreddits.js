@@ -0,0 +1,88 @@
+import { RAW, withRaw, getSchemaVersion } from './common.js';
+
+/**
+ * Removes common Markdown and HTML formatting from text.
+ */
+export function cleanDescriptionText(text) {
+    if (!text) return ''; // Return empty string if input is null or undefined
+
+    let cleanedText = text;
+
+    // Remove HTML tags
+    cleanedText = cleanedText.replace(/<[^>]*>/g, '');
+
+    // Remove common Markdown link format [text](url) -> text
+    cleanedText = cleanedText.replace(/\[([^\]]+)\]\([^)]+\)/g, '$1');
+
+    // Remove markdown headers (###), horizontal rules (----), list markers (*, -), bold/italic markers (*, _)
+    cleanedText = cleanedText.replace(/^#+\s*|---|\*\*|__|\*|_/gm, '');
+
+    // Replace multiple newlines/whitespace with a single space and trim
+    cleanedText = cleanedText.replace(/\s\s+/g, ' ').trim();
+
+    return cleanedText;
+}
+
+/**
+ * Maps raw subreddit (t5) data to the canonical subreddit used by the validate and search routes.
+ */
+export const normalizeSubreddit = (subData) => withRaw({
+    name: subData.display_name,
+    id: subData.name,
+    title: subData.title,
+    subscribers: subData.subscribers,
+    created_utc: subData.created_utc,
+    public_description: subData.public_description,
+    over18: subData.over_18,
+    subreddit_type: subData.subreddit_type,
+}, subData);
+
+/**
+ * Maps raw subreddit (t5) data plus its rules to the canonical metadata returned by /about.
+ * The raw data of the result is the /about data with Reddit's rules array attached.
+ */
+export const normalizeSubredditAbout = (subData, rules = []) => withRaw({
+    name: subData.display_name,
+    id: subData.name,
+    title: subData.title,
+    subscribers: subData.subscribers,
+    active_user_count: subData.active_user_count, // Added active user count
+    created_utc: subData.created_utc,
+    // Apply cleaning function to description fields
+    public_description: cleanDescriptionText(subData.public_description),
+    header_title: subData.header_title, // Often empty
+    description: cleanDescriptionText(subData.description), // Clean sidebar description
+    over18: subData.over_18, // NSFW status
+    subreddit_type: subData.subreddit_type,
+    lang: subData.lang,
+    url: `https://www.reddit.com${subData.url}`,
+    rules: rules.map(rule => ({ // Format rules for clarity
+        short_name: rule.short_name,
+        // Apply cleaning function to rule description
+        description: cleanDescriptionText(rule.description),
+        kind: rule.kind, // e.g., 'link', 'all'
+        created_utc: rule.created_utc,
+        priority: rule.priority,
+        violation_reason: rule.violation_reason,
+    })),
+}, { ...subData, rules: rules });
+
+/**
+ * Renders a canonical subreddit (plain or /about) in a schema version.
+ * v2 uses the bare id next to the t5_ fullname and 'over_18' like every other object.
+ */
+export const presentSubreddit = (canonical, version = getSchemaVersion()) => {
+    if (version === 'raw') return canonical[RAW];
+
+    const { [RAW]: raw, ...subreddit } = canonical;
+    if (version === 'v2') {
+        const { id: fullname, over18, ...rest } = subreddit;
+        return {
+            id: raw?.id ?? fullname?.replace(/^t5_/, '') ?? null,
+            fullname: fullname ?? null,
+            ...rest,
+            over_18: over18 ?? null,
+        };
+    }
+    return subreddit;
+};
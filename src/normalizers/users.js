@@ -0,0 +1,66 @@
+import { RAW, withRaw, getSchemaVersion } from './common.js';
+
+/**
+ * Maps raw account (t2) data to the canonical user used by the user and search routes.
+ * Suspended accounts only expose their name, so every other field may be null.
+ */
+export const normalizeUser = (user) => {
+    const isSuspended = Boolean(user.is_suspended);
+    const ageDays = user.created_utc ? Math.floor((Date.now() / 1000 - user.created_utc) / 86400) : null;
+
+    return withRaw({
+        username: user.name,
+        id: user.id ? `t2_${user.id}` : null,
+        status: isSuspended ? 'suspended' : 'active',
+        created_utc: user.created_utc ?? null,
+        account_age_days: ageDays,
+        karma: isSuspended ? null : {
+            post: user.link_karma ?? 0,
+            comment: user.comment_karma ?? 0,
+            awardee: user.awardee_karma ?? 0,
+            awarder: user.awarder_karma ?? 0,
+            total: user.total_karma ?? ((user.link_karma ?? 0) + (user.comment_karma ?? 0)),
+        },
+        verified: user.verified ?? null,
+        has_verified_email: user.has_verified_email ?? null,
+        is_gold: user.is_gold ?? null,
+        is_mod: user.is_mod ?? null,
+        is_employee: user.is_employee ?? null,
+        icon_img: user.icon_img ? user.icon_img.split('?')[0] : null,
+        profile_description: user.subreddit?.public_description || null, // Profile "about" text
+        profile_over_18: user.subreddit?.over_18 ?? null,
+        profile_url: `https://www.reddit.com/user/${user.name}`,
+    }, user);
+};
+
+/**
+ * Canonical user for accounts Reddit doesn't return at all (deleted, or never existed).
+ * There is no Reddit data for these, so the raw presentation is just the name.
+ */
+export const normalizeMissingUser = (username) => withRaw({
+    username: username,
+    id: null,
+    status: 'deleted',
+    created_utc: null,
+    account_age_days: null,
+    karma: null,
+    profile_url: `https://www.reddit.com/user/${username}`,
+}, { name: username });
+
+/**
+ * Renders a canonical user in a schema version. v2 uses the bare id next to the t2_ fullname.
+ */
+export const presentUser = (canonical, version = getSchemaVersion()) => {
+    if (version === 'raw') return canonical[RAW];
+
+    const { [RAW]: raw, ...user } = canonical;
+    if (version === 'v2') {
+        const { id: fullname, ...rest } = user;
+        return {
+            id: raw?.id ?? null,
+            fullname: fullname,
+            ...rest,
+        };
+    }
+    return user;
+};
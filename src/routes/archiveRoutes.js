@@ -0,0 +1,31 @@
+import express from 'express';
+// Import specific controller functions - .js extension required
+import { getArchivedPosts, getArchivedPost, getArchivedComments, getArchiveStatus } from '../controllers/archiveController.js';
+import { requireAdminKey } from '../middleware/apiKeyAuth.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { routeSchemas } from './routeSchemas.js';
+
+const router = express.Router();
+
+// The archive holds everything fetched through every key and identity (private subreddits included),
+// so only admin keys may query it
+router.use(requireAdminKey);
+
+// Route to check whether the archive is enabled and how much it holds
+// Example: GET /api/archive/status
+router.get('/status', validateRequest(routeSchemas.getArchiveStatus), getArchiveStatus);
+
+// Route to search archived posts
+// Example: GET /api/archive/posts?subreddit=javascript&from=2024-05-01&q=typescript&state=removed
+router.get('/posts', validateRequest(routeSchemas.searchArchivedPosts), getArchivedPosts);
+
+// Route to get an archived post with its score / comment count history
+// Example: GET /api/archive/posts/19x4wqm
+router.get('/posts/:postId', validateRequest(routeSchemas.getArchivedPost), getArchivedPost);
+
+// Route to search archived comments
+// Example: GET /api/archive/comments?post_id=19x4wqm&author=spez
+router.get('/comments', validateRequest(routeSchemas.searchArchivedComments), getArchivedComments);
+
+// Export the router as the default export
+export default router;
@@ -0,0 +1,14 @@
+import express from 'express';
+// Import specific controller function - .js extension required
+import { getAuthStatus } from '../controllers/authController.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { routeSchemas } from './routeSchemas.js';
+
+const router = express.Router();
+
+// Route to list configured Reddit identities and the health of their tokens
+// Example: GET /api/auth/status?verify=1
+router.get('/status', validateRequest(routeSchemas.getAuthStatus), getAuthStatus);
+
+// Export the router as the default export
+export default router;
@@ -0,0 +1,14 @@
+import express from 'express';
+// Import specific controller functions - .js extension required
+import { runBatch } from '../controllers/batchController.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { routeSchemas } from './routeSchemas.js';
+
+const router = express.Router();
+
+// Route to run several subreddit / post requests at once
+// Example: POST /api/batch {"requests": [{"type": "about", "name": "javascript"}, {"type": "post", "post": "19x4wqm"}]}
+router.post('/', validateRequest(routeSchemas.runBatch), runBatch);
+
+// Export the router as the default export
+export default router;
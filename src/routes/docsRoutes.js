@@ -0,0 +1,21 @@
+import express from 'express';
+import swaggerUi from 'swagger-ui-express';
+// Import specific controller function - .js extension required
+import { getOpenApiSpec } from '../controllers/docsController.js';
+
+const router = express.Router();
+
+// Route to get the OpenAPI document of this API
+// Example: GET /api/openapi.json
+router.get('/openapi.json', getOpenApiSpec);
+
+// Interactive API docs (Swagger UI), loading the document above
+// Example: GET /api/docs
+router.use('/docs', swaggerUi.serve);
+router.get('/docs', swaggerUi.setup(null, {
+    customSiteTitle: 'Reddit Scraper API docs',
+    swaggerOptions: { url: '/api/openapi.json' },
+}));
+
+// Export the router as the default export
+export default router;
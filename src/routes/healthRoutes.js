@@ -0,0 +1,22 @@
+import express from 'express';
+// Import specific controller functions - .js extension required
+import { getHealth, getReadiness, getMetrics } from '../controllers/healthController.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { routeSchemas } from './routeSchemas.js';
+
+const router = express.Router();
+
+// Route to check that the process is up (always 200, with the readiness checks)
+// Example: GET /healthz
+router.get('/healthz', validateRequest(routeSchemas.getHealth), getHealth);
+
+// Route to check whether requests can be served (503 when not)
+// Example: GET /readyz
+router.get('/readyz', validateRequest(routeSchemas.getReadiness), getReadiness);
+
+// Route to scrape Prometheus metrics
+// Example: GET /metrics
+router.get('/metrics', validateRequest(routeSchemas.getMetrics), getMetrics);
+
+// Export the router as the default export
+export default router;
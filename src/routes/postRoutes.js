@@ -1,12 +1,28 @@
 import express from 'express';
 // Import specific controller function - .js extension required
-import { getPostComments } from '../controllers/postController.js';
+import { getPostComments, getMoreChildren, getPostDetail, getPostStats } from '../controllers/postController.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { routeSchemas } from './routeSchemas.js';
 
 const router = express.Router();
 
+// Route to get the complete data of a single post, by ID or reddit.com/redd.it URL
+// Example: GET /api/post/19x4wqm
+// Example: GET /api/post?url=https://redd.it/19x4wqm
+router.get('/', validateRequest(routeSchemas.getPostByUrl), getPostDetail);
+router.get('/:postId', validateRequest(routeSchemas.getPostDetail), getPostDetail);
+
 // Route to get comments for a specific post
 // Example: GET /api/post/19x4wqm/comments?depth=3&sort=new
-router.get('/:postId/comments', getPostComments);
+router.get('/:postId/comments', validateRequest(routeSchemas.getPostComments), getPostComments);
+
+// Route to load hidden comments listed in a 'more' object's children_ids
+// Example: GET /api/post/19x4wqm/morechildren?ids=kf1abc,kf1abd&sort=top
+router.get('/:postId/morechildren', validateRequest(routeSchemas.getMoreChildren), getMoreChildren);
+
+// Route to get statistics of a post's comment thread (authors, scores, timeline, terms)
+// Example: GET /api/post/19x4wqm/stats?expand=5&bucket=1h&top=20
+router.get('/:postId/stats', validateRequest(routeSchemas.getPostStats), getPostStats);
 
 // --- Future Post/Comment Interaction Routes ---
 // router.get('/comment/:commentId', getCommentDetails); // Example
@@ -0,0 +1,1119 @@
+/**
+ * Declarative definitions of every API route: path params, query string, and what it returns.
+ * The routers validate requests against these (validateRequest), and the OpenAPI document
+ * served at /api/openapi.json is generated from them.
+ *
+ * Parameter definitions use a JSON Schema subset (type, enum, minimum, maximum, pattern, maxLength,
+ * default) plus 'required' and 'patternMessage' (the error hint for a failed pattern).
+ * 'body' lists the fields of a JSON request body the same way (types: string, integer, number,
+ * boolean, array). 'response' is the JSON Schema of the success body (status 'successStatus', default
+ * 200), '$ref: <name>' pointing at the response object schemas of src/normalizers/schemas.js.
+ * 'streaming' routes also answer NDJSON / SSE, 'exportable' routes CSV / TSV / JSONL downloads (exportQuery).
+ */
+import { MAX_EXPAND_REQUESTS } from '../controllers/postController.js';
+import { MAX_COMBINED_SUBREDDITS, FILTER_DEFAULT_MAX_PAGES, FILTER_MAX_PAGES } from '../controllers/subredditController.js';
+import { WATCHER_MIN_INTERVAL_SECONDS } from '../services/watcherService.js';
+import { SCHEMA_VERSIONS, DEFAULT_SCHEMA_VERSION } from '../normalizers/index.js';
+import { EXPORT_FORMATS } from '../utils/exportWriter.js';
+import { TIMELINE_BUCKETS } from '../utils/commentStats.js';
+import { RANKINGS } from '../utils/postFilter.js';
+
+const ref = (name) => ({ $ref: name });
+const arrayOf = (name) => ({ type: 'array', items: ref(name) });
+
+// --- Shared parameter definitions ---
+
+const TIME_VALUES = ['hour', 'day', 'week', 'month', 'year', 'all'];
+// Limits for the auto-paginating crawl (GET /api/subreddit/:name/posts/all)
+const CRAWL_DEFAULT_MAX = 1000;
+const CRAWL_MAX_POSTS = 10000;
+const COMMENT_SORTS = ['confidence', 'top', 'new', 'controversial', 'old', 'qa'];
+
+// Sort and time range of the post listings (listing and crawl routes, batch 'posts' items)
+const postSort = { type: 'string', enum: ['hot', 'new', 'top', 'rising', 'controversial', 'best'], default: 'hot' };
+const postSortTime = { type: 'string', enum: TIME_VALUES, default: 'day', description: "Time range, only used with sort 'top' or 'controversial'." };
+
+const subredditName = {
+    type: 'string',
+    required: true,
+    pattern: '^[A-Za-z0-9_]{1,21}$',
+    patternMessage: 'Subreddit names are up to 21 letters, digits or underscores.',
+    description: "Subreddit name without the 'r/' prefix.",
+};
+
+const username = {
+    type: 'string',
+    required: true,
+    pattern: '^[A-Za-z0-9_-]{3,20}$',
+    patternMessage: 'Reddit usernames are 3-20 characters of letters, digits, _ or -.',
+    description: "Username without the 'u/' prefix.",
+};
+
+const postId = {
+    type: 'string',
+    required: true,
+    pattern: '^[A-Za-z0-9]+$',
+    patternMessage: 'Expected a post ID such as 19x4wqm.',
+    description: "Post ID (without the 't3_' prefix).",
+};
+
+const limit = (defaultValue, description = 'Number of items to return.') => ({
+    type: 'integer', minimum: 1, maximum: 100, default: defaultValue, description,
+});
+
+const fullnameCursor = (kinds, description) => ({
+    type: 'string',
+    pattern: `^t[${kinds}]_[A-Za-z0-9]+$`,
+    patternMessage: 'Expected a fullname such as t3_abc123.',
+    description,
+});
+
+const listingCursors = (kinds) => ({
+    after: fullnameCursor(kinds, "Fullname of the last item of the previous page ('after' of the previous response)."),
+    before: fullnameCursor(kinds, "Fullname of the first item of the next page ('before' of the previous response)."),
+});
+
+// ?format= / ?fields= of the routes that can export flat tables (see src/utils/exportWriter.js)
+const exportQuery = {
+    format: {
+        type: 'string',
+        enum: ['json', ...EXPORT_FORMATS],
+        default: 'json',
+        description: "'csv', 'tsv' or 'jsonl' download the items as flat rows (nested objects become dotted columns) instead of the JSON response.",
+    },
+    fields: {
+        type: 'string',
+        pattern: '^[A-Za-z0-9_.]+(,[A-Za-z0-9_.]+)*$',
+        patternMessage: 'Expected comma separated field names, e.g. id,title,score,media.type.',
+        maxLength: 1000,
+        description: 'Columns of the export. Defaults to the top-level scalar fields; naming a nested object (e.g. media) selects all its columns. Unknown names are rejected.',
+    },
+};
+
+// Query of the post listing routes (GET /api/subreddit/:name/posts, /api/subreddits/posts)
+const postListingQuery = {
+    limit: limit(25),
+    sort: postSort,
+    time: postSortTime,
+    ...listingCursors('3'),
+    count: { type: 'integer', minimum: 0, description: 'Number of items already seen (Reddit uses it for numbering).' },
+    filter: {
+        type: 'string',
+        maxLength: 1000,
+        description: 'Only return posts matching this expression, e.g. score>100 AND post_type:image AND NOT over_18. ' +
+            'Fields: id, title, author, subreddit, flair, post_type, selftext, media_url, score, num_comments, created_utc, age_hours, ' +
+            'is_self, over_18, spoiler, stickied. Operators: > >= < <= = (or :) != ~ (contains) IN (a, b); AND, OR, NOT and parentheses. ' +
+            "Upstream pages are read until limit posts match (at most max_pages); 'after' then resumes behind the last post examined.",
+    },
+    max_pages: {
+        type: 'integer',
+        minimum: 1,
+        maximum: FILTER_MAX_PAGES,
+        default: FILTER_DEFAULT_MAX_PAGES,
+        description: 'With filter: upstream pages (of 100 posts) to read at most.',
+    },
+    rank: {
+        type: 'string',
+        enum: Object.keys(RANKINGS),
+        description: "Re-sort the returned posts: 'comment_ratio' (comments per point of score) or 'age_weighted' (score decayed by age).",
+    },
+    ...exportQuery,
+};
+
+// Fields the post listing routes add to their response with ?filter= / ?rank=
+const postListingFilterResponse = {
+    filter: { type: 'string' },
+    max_pages: { type: 'integer' },
+    pages_fetched: { type: 'integer', description: 'With filter: upstream pages read.' },
+    posts_examined: { type: 'integer', description: 'With filter: posts checked against the filter.' },
+    stop_reason: { enum: ['limit_reached', 'listing_end', 'max_pages', 'client_disconnected'], description: 'With filter: why reading stopped.' },
+    rank: { type: 'string' },
+};
+
+const searchQuery = {
+    q: { type: 'string', required: true, maxLength: 512, description: 'Search query (Reddit search syntax).' },
+    sort: { type: 'string', enum: ['relevance', 'hot', 'top', 'new', 'comments'], default: 'relevance' },
+    t: { type: 'string', enum: TIME_VALUES, default: 'all', description: 'Time range.' },
+    type: {
+        type: 'string',
+        enum: ['link', 'sr', 'user'],
+        default: 'link',
+        description: "Result type: posts ('link'), subreddits ('sr') or accounts ('user').",
+    },
+    limit: limit(25),
+    ...listingCursors('1-6'),
+};
+
+const userListingQuery = {
+    limit: limit(25),
+    sort: { type: 'string', enum: ['new', 'hot', 'top', 'controversial'], default: 'new' },
+    time: { type: 'string', enum: TIME_VALUES, default: 'all', description: "Time range, only used with sort 'top' or 'controversial'." },
+    ...listingCursors('13'),
+};
+
+const userListingResponse = (itemsName, itemSchema) => ({
+    type: 'object',
+    properties: {
+        username: { type: 'string' },
+        account_status: { enum: ['active', 'deleted', 'suspended'] },
+        sort: { type: 'string' },
+        time: { type: ['string', 'null'] },
+        parameters_used: { type: 'object' },
+        [`${itemsName.replace(/s$/, '')}_count`]: { type: 'integer' },
+        after: { type: ['string', 'null'] },
+        before: { type: ['string', 'null'] },
+        [itemsName]: arrayOf(itemSchema),
+    },
+});
+
+const searchResponse = {
+    type: 'object',
+    properties: {
+        query: { type: 'string' },
+        subreddit: { type: ['string', 'null'] },
+        type: { type: 'string' },
+        sort: { type: 'string' },
+        time: { type: 'string' },
+        restrict_sr: { type: 'boolean' },
+        parameters_used: { type: 'object' },
+        result_count: { type: 'integer' },
+        after: { type: ['string', 'null'] },
+        before: { type: ['string', 'null'] },
+        results: {
+            type: 'array',
+            items: { anyOf: [ref('post'), ref('subreddit'), ref('user')] },
+            description: "Posts, subreddits or users depending on 'type'.",
+        },
+    },
+};
+
+const archiveDateBound = (description) => ({
+    type: 'string',
+    pattern: '^(\\d{1,10}|\\d{4}-\\d{2}-\\d{2}([T ][0-9:.]+(Z|[+-]\\d{2}:?\\d{2})?)?)$',
+    patternMessage: 'Use unix seconds or an ISO 8601 date (e.g. 2024-05-01).',
+    description,
+});
+
+const archiveSearchQuery = {
+    subreddit: { ...subredditName, required: false, description: "Subreddit name without the 'r/' prefix (case-insensitive)." },
+    author: { ...username, required: false, description: 'Author username (case-insensitive).' },
+    from: archiveDateBound('Created at or after (unix seconds or ISO 8601).'),
+    to: archiveDateBound('Created at or before (unix seconds or ISO 8601).'),
+    q: { type: 'string', maxLength: 256, description: 'Text to look for (case-insensitive substring).' },
+    state: {
+        type: 'string',
+        enum: ['any', 'live', 'deleted', 'removed'],
+        default: 'any',
+        description: "'deleted' / 'removed' only return items that were deleted or removed after they were archived (their content is kept).",
+    },
+    sort: { type: 'string', enum: ['new', 'old', 'top', 'last_seen'], default: 'new' },
+    limit: limit(25),
+    offset: { type: 'integer', minimum: 0, maximum: 100000, default: 0, description: 'Number of matches to skip.' },
+};
+
+const archiveInfo = {
+    type: 'object',
+    description: 'When the archive saw the item.',
+    properties: {
+        first_seen_at: { type: 'string', format: 'date-time' },
+        last_seen_at: { type: 'string', format: 'date-time' },
+        times_seen: { type: 'integer' },
+        deleted_detected_at: { type: ['string', 'null'], format: 'date-time' },
+        removed_detected_at: { type: ['string', 'null'], format: 'date-time' },
+    },
+};
+
+const archivedItem = (name, extraProperties = {}) => ({
+    allOf: [ref(name), {
+        type: 'object',
+        properties: {
+            is_deleted: { type: 'boolean' },
+            is_removed: { type: 'boolean' },
+            archive: archiveInfo,
+            ...extraProperties,
+        },
+    }],
+});
+
+// Sub-requests accepted per batch (POST /api/batch)
+const BATCH_MAX_ITEMS = 50;
+
+/**
+ * Fields of each POST /api/batch sub-request type (checked per item by the batch controller, so an
+ * invalid item fails on its own). Every item also has 'type' and an optional client-chosen 'id'.
+ */
+export const batchItemFields = {
+    about: {
+        name: subredditName,
+        rules: { type: 'boolean', default: true, description: 'Also fetch the rules (one extra upstream call per subreddit).' },
+    },
+    validate: {
+        name: subredditName,
+    },
+    posts: {
+        name: subredditName,
+        sort: postSort,
+        time: postSortTime,
+        limit: limit(25),
+        after: fullnameCursor('3', 'Fullname of the last post of the previous page.'),
+    },
+    post: {
+        post: { type: 'string', required: true, maxLength: 512, description: 'Post ID, t3_ fullname or reddit.com / redd.it URL.' },
+    },
+};
+
+const batchItemSchema = {
+    type: 'object',
+    description: 'A sub-request: its type plus the fields of that type (about, validate: name, rules; posts: name, sort, time, limit, after; post: post).',
+    properties: {
+        type: { type: 'string', enum: Object.keys(batchItemFields) },
+        id: { type: 'string', maxLength: 100, description: "Returned with the item's result, defaults to its position." },
+        ...Object.fromEntries(Object.values(batchItemFields).flatMap(fields => Object.entries(fields))
+            .map(([name, { required, patternMessage, ...schema }]) => [name, schema])),
+    },
+    required: ['type'],
+};
+
+const watcherId = {
+    type: 'string',
+    required: true,
+    pattern: '^w_[a-f0-9]{12}$',
+    patternMessage: 'Expected a watcher ID such as w_1a2b3c4d5e6f.',
+    description: 'Watcher ID.',
+};
+
+const watcherResponse = {
+    type: 'object',
+    properties: {
+        id: { type: 'string' },
+        subreddit: { type: 'string' },
+        keywords: { type: 'array', items: { type: 'string' } },
+        flairs: { type: 'array', items: { type: 'string' } },
+        interval_seconds: { type: 'integer' },
+        webhook_url: { type: 'string' },
+        schema: { type: 'string', enum: SCHEMA_VERSIONS },
+        identity: { type: ['string', 'null'] },
+        owner: { type: ['string', 'null'], description: 'Name of the API key that created the watcher.' },
+        status: { type: 'string', enum: ['active', 'paused'] },
+        created_at: { type: 'string', format: 'date-time' },
+        last_polled_at: { type: ['string', 'null'], format: 'date-time' },
+        last_error: { type: ['string', 'null'] },
+        last_seen_id: { type: ['string', 'null'], description: 'ID of the newest post seen.' },
+        last_seen_created_utc: { type: ['number', 'null'] },
+        last_delivery: {
+            type: ['object', 'null'],
+            properties: {
+                id: { type: 'string' },
+                at: { type: 'string', format: 'date-time' },
+                status: { type: ['integer', 'null'], description: "The webhook's HTTP status." },
+                post_count: { type: 'integer' },
+                error: { type: ['string', 'null'] },
+            },
+        },
+        stats: {
+            type: 'object',
+            properties: {
+                polls: { type: 'integer' },
+                posts_matched: { type: 'integer' },
+                deliveries: { type: 'integer' },
+                failed_deliveries: { type: 'integer' },
+            },
+        },
+        next_poll_at: { type: ['string', 'null'], format: 'date-time' },
+    },
+};
+
+// --- Routes ---
+
+export const routeSchemas = {
+    // Subreddits
+    validateSubreddit: {
+        method: 'get',
+        path: '/api/subreddit/{name}/validate',
+        tag: 'Subreddits',
+        summary: 'Check that a subreddit exists and is accessible',
+        params: { name: subredditName },
+        response: {
+            allOf: [ref('subreddit'), { type: 'object', properties: { message: { type: 'string' } } }],
+        },
+    },
+    getSubredditPosts: {
+        method: 'get',
+        path: '/api/subreddit/{name}/posts',
+        tag: 'Subreddits',
+        summary: 'One page of a subreddit listing',
+        streaming: true,
+        exportable: true,
+        params: { name: subredditName },
+        query: postListingQuery,
+        response: {
+            type: 'object',
+            properties: {
+                subreddit: { type: 'string' },
+                sort: { type: 'string' },
+                parameters_used: { type: 'object', description: 'Parameters sent to Reddit.' },
+                ...postListingFilterResponse,
+                post_count: { type: 'integer' },
+                after: { type: ['string', 'null'] },
+                before: { type: ['string', 'null'] },
+                posts: arrayOf('post'),
+            },
+        },
+    },
+    getCombinedPosts: {
+        method: 'get',
+        path: '/api/subreddits/posts',
+        tag: 'Subreddits',
+        summary: 'One page of several subreddits combined, or of r/all / r/popular',
+        description: "Subreddits are combined with Reddit's a+b+c syntax. all and popular can't be combined with other names, " +
+            'but take exclusions: names=all,-pics,-funny. Every post keeps the subreddit it was posted in, ' +
+            'subreddit_counts tells how many posts of the page each subreddit contributed.',
+        streaming: true,
+        exportable: true,
+        query: {
+            names: {
+                type: 'string',
+                required: true,
+                maxLength: 1200,
+                pattern: '^-?[A-Za-z0-9_]{1,21}(,\\s*-?[A-Za-z0-9_]{1,21})*$',
+                patternMessage: 'Provide comma separated subreddit names, e.g. javascript,node or all,-pics.',
+                description: `Comma separated subreddit names (max ${MAX_COMBINED_SUBREDDITS}), or all / popular followed by -name exclusions.`,
+            },
+            geo: {
+                type: 'string',
+                pattern: '^(GLOBAL|global|[A-Za-z]{2}(_[A-Za-z]{2})?)$',
+                patternMessage: 'Use GLOBAL or a country / region code such as US, GB or US_CA.',
+                description: "Geo filter of r/popular (only with names=popular and sort 'hot').",
+            },
+            ...postListingQuery,
+        },
+        response: {
+            type: 'object',
+            properties: {
+                subreddits: { type: 'array', items: { type: 'string' } },
+                excluded: { type: 'array', items: { type: 'string' } },
+                geo: { type: 'string' },
+                listing: { type: 'string', description: "The listing requested from Reddit, e.g. 'r/javascript+node'." },
+                sort: { type: 'string' },
+                parameters_used: { type: 'object', description: 'Parameters sent to Reddit.' },
+                ...postListingFilterResponse,
+                post_count: { type: 'integer' },
+                subreddit_counts: { type: 'object', additionalProperties: { type: 'integer' }, description: 'Posts on this page per subreddit.' },
+                after: { type: ['string', 'null'] },
+                before: { type: ['string', 'null'] },
+                posts: arrayOf('post'),
+            },
+        },
+    },
+    getSubredditComments: {
+        method: 'get',
+        path: '/api/subreddit/{name}/comments',
+        tag: 'Subreddits',
+        summary: 'Latest comments of a subreddit',
+        description: 'Comments across all posts of the subreddit, newest first, each with the post it was made on (link_id, link_title). ' +
+            "With since, only the comments newer than that one are returned, oldest first: pass next_since on the next call to tail the subreddit. " +
+            'gap is true when the listing ran out before reaching the since comment, so comments may have been missed.',
+        streaming: true,
+        exportable: true,
+        params: { name: subredditName },
+        query: {
+            limit: limit(25),
+            ...listingCursors('1'),
+            since: {
+                type: 'string',
+                pattern: '^(t1_)?[A-Za-z0-9]+$',
+                patternMessage: 'Expected a comment ID such as kf1abc.',
+                description: "Only return comments newer than this comment (ID or t1_ fullname). Can't be combined with after / before.",
+            },
+            ...exportQuery,
+        },
+        response: {
+            type: 'object',
+            properties: {
+                subreddit: { type: 'string' },
+                parameters_used: { type: 'object', description: 'Parameters sent to Reddit (without since).' },
+                since: { type: 'string', description: 'With since.' },
+                pages_fetched: { type: 'integer', description: 'With since.' },
+                comment_count: { type: 'integer' },
+                gap: { type: 'boolean', description: 'With since: the since comment was not reached, comments may be missing.' },
+                has_more: { type: 'boolean', description: 'With since: more new comments than limit, call again with next_since.' },
+                next_since: { type: 'string', description: 'With since: the since value for the next call.' },
+                after: { type: ['string', 'null'] },
+                before: { type: ['string', 'null'] },
+                comments: arrayOf('comment'),
+            },
+        },
+    },
+    getSubredditTrends: {
+        method: 'get',
+        path: '/api/subreddit/{name}/trends',
+        tag: 'Subreddits',
+        summary: 'Subscriber and activity trends of a tracked subreddit',
+        description: 'Snapshots recorded every TRENDS_INTERVAL_SECONDS for the subreddits listed in TRENDS_SUBREDDITS: subscribers and active users, ' +
+            'post velocity (new posts per hour in /new) and the average score and comment count in /hot. ' +
+            'growth summarizes each metric over the range (first, last, change, change in percent and per day). Reddit is not called.',
+        params: { name: subredditName },
+        query: {
+            range: {
+                type: 'string',
+                pattern: '^[1-9]\\d{0,3}[hdw]$',
+                patternMessage: 'Use a number of hours, days or weeks, e.g. 24h, 7d or 4w.',
+                default: '7d',
+                description: 'How far back to look (capped at the retention period, TRENDS_RETENTION_DAYS).',
+            },
+        },
+        response: {
+            type: 'object',
+            properties: {
+                subreddit: { type: 'string' },
+                range: { type: 'string' },
+                range_seconds: { type: 'integer' },
+                interval_seconds: { type: 'integer' },
+                retention_days: { type: 'integer' },
+                snapshot_count: { type: 'integer' },
+                last_attempt_at: { type: ['string', 'null'], format: 'date-time' },
+                last_error: { type: ['string', 'null'] },
+                next_snapshot_at: { type: 'string', format: 'date-time' },
+                growth: {
+                    type: 'object',
+                    description: 'Per metric, null without data.',
+                    additionalProperties: {
+                        type: ['object', 'null'],
+                        properties: {
+                            first: { type: 'number' },
+                            last: { type: 'number' },
+                            min: { type: 'number' },
+                            max: { type: 'number' },
+                            avg: { type: 'number' },
+                            change: { type: 'number' },
+                            change_percent: { type: ['number', 'null'] },
+                            per_day: { type: ['number', 'null'] },
+                        },
+                    },
+                },
+                snapshots: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            taken_at: { type: 'string', format: 'date-time' },
+                            taken_utc: { type: 'integer' },
+                            subscribers: { type: ['integer', 'null'] },
+                            active_user_count: { type: ['integer', 'null'] },
+                            new_posts_per_hour: { type: 'number' },
+                            velocity_window_hours: { type: 'number' },
+                            hot_posts_sampled: { type: 'integer' },
+                            hot_avg_score: { type: ['number', 'null'] },
+                            hot_avg_comments: { type: ['number', 'null'] },
+                        },
+                    },
+                },
+            },
+        },
+    },
+    crawlSubredditPosts: {
+        method: 'get',
+        path: '/api/subreddit/{name}/posts/all',
+        tag: 'Subreddits',
+        summary: 'Crawl a subreddit listing across pages',
+        description: 'Follows the listing cursor until max posts are collected, the until cutoff is reached or the listing ends.',
+        streaming: true,
+        exportable: true,
+        params: { name: subredditName },
+        query: {
+            max: { type: 'integer', minimum: 1, maximum: CRAWL_MAX_POSTS, default: CRAWL_DEFAULT_MAX, description: 'Stop once this many unique posts are collected.' },
+            until: {
+                type: 'number',
+                minimum: 0,
+                description: "Cutoff, UTC seconds. With sort 'new' the crawl stops at the first older post, with other sorts older posts are skipped.",
+            },
+            sort: postSort,
+            time: postSortTime,
+            ...exportQuery,
+        },
+        response: {
+            type: 'object',
+            properties: {
+                subreddit: { type: 'string' },
+                sort: { type: 'string' },
+                max: { type: 'integer' },
+                until: { type: ['number', 'null'] },
+                pages_fetched: { type: 'integer' },
+                duplicates_skipped: { type: 'integer' },
+                stop_reason: { enum: ['max_reached', 'cutoff_reached', 'listing_end', 'no_new_posts', 'client_disconnected'] },
+                after: { type: ['string', 'null'], description: 'Fullname of the last post examined, null at the end of the listing.' },
+                post_count: { type: 'integer' },
+                posts: arrayOf('post'),
+            },
+        },
+    },
+    getSubredditAbout: {
+        method: 'get',
+        path: '/api/subreddit/{name}/about',
+        tag: 'Subreddits',
+        summary: 'Subreddit metadata and rules',
+        params: { name: subredditName },
+        response: ref('subreddit_about'),
+    },
+    searchSubreddit: {
+        method: 'get',
+        path: '/api/subreddit/{name}/search',
+        tag: 'Search',
+        summary: 'Search within a subreddit',
+        exportable: true,
+        params: { name: subredditName },
+        query: {
+            ...searchQuery,
+            restrict_sr: { type: 'boolean', default: true, description: 'Only return results from this subreddit.' },
+            ...exportQuery,
+        },
+        response: searchResponse,
+    },
+
+    // Posts
+    getPostByUrl: {
+        method: 'get',
+        path: '/api/post',
+        tag: 'Posts',
+        summary: 'Complete data of a post, by reddit.com or redd.it URL',
+        query: {
+            url: { type: 'string', required: true, maxLength: 2048, description: 'reddit.com or redd.it URL of the post.' },
+        },
+        response: ref('post_detail'),
+    },
+    getPostDetail: {
+        method: 'get',
+        path: '/api/post/{postId}',
+        tag: 'Posts',
+        summary: 'Complete data of a post',
+        params: {
+            postId: {
+                type: 'string',
+                required: true,
+                maxLength: 2048,
+                description: 'Post ID, t3_ fullname or URL-encoded reddit.com/redd.it URL.',
+            },
+        },
+        response: ref('post_detail'),
+    },
+    getPostComments: {
+        method: 'get',
+        path: '/api/post/{postId}/comments',
+        tag: 'Posts',
+        summary: 'Comment tree of a post',
+        description: "Streamed and exported comments are flat and carry their depth (rebuild the tree with parent_id); 'progress' events are sent while expanding. " +
+            "Exports leave out 'more' placeholders, use expand to resolve them.",
+        streaming: true,
+        exportable: true,
+        params: { postId },
+        query: {
+            limit: { type: 'integer', minimum: 1, description: 'Maximum number of comments (Reddit caps it).' },
+            depth: { type: 'integer', minimum: 0, description: 'Maximum reply depth (Reddit caps it).' },
+            sort: { type: 'string', enum: COMMENT_SORTS, default: 'confidence' },
+            after: { type: 'string', pattern: '^(t[13]_|more_)[A-Za-z0-9]+$', patternMessage: 'Expected a fullname such as t1_abc123.' },
+            comment: { type: 'string', pattern: '^(t1_)?[A-Za-z0-9]+$', description: 'Only return this comment and its replies.' },
+            context: { type: 'integer', minimum: 0, maximum: 8, description: "Number of parent comments to include with 'comment'." },
+            threaded: { type: 'boolean', description: 'Ask Reddit for a threaded (true) or flat (false) listing.' },
+            expand: {
+                type: 'string',
+                pattern: '^(all|\\d+)$',
+                patternMessage: "Use 'all' or a non-negative number.",
+                description: `Resolve 'more' placeholders server-side. A number caps the upstream calls spent on it, 'all' uses the server maximum (${MAX_EXPAND_REQUESTS}).`,
+            },
+            ...exportQuery,
+        },
+        response: {
+            type: 'object',
+            properties: {
+                postId: { type: 'string' },
+                postTitle: { type: 'string' },
+                postAuthor: { type: 'string' },
+                subreddit: { type: 'string' },
+                sort: { type: 'string' },
+                parameters_used: { type: 'object' },
+                comment_count_this_batch: { type: 'integer' },
+                after: { type: ['string', 'null'] },
+                expansion: {
+                    type: 'object',
+                    properties: { requests_made: { type: 'integer' }, more_remaining: { type: 'integer' } },
+                },
+                comments: arrayOf('comment_or_more'),
+            },
+        },
+    },
+    getMoreChildren: {
+        method: 'get',
+        path: '/api/post/{postId}/morechildren',
+        tag: 'Posts',
+        summary: "Load the comments of a 'more' placeholder",
+        params: { postId },
+        query: {
+            ids: {
+                type: 'string',
+                required: true,
+                pattern: '^(t1_)?[A-Za-z0-9]+(,\\s*(t1_)?[A-Za-z0-9]+)*$',
+                patternMessage: 'Provide a comma separated list of comment IDs.',
+                description: "Comma separated comment IDs from a 'more' object's children_ids (max 100).",
+            },
+            sort: { type: 'string', enum: COMMENT_SORTS, default: 'confidence' },
+        },
+        response: {
+            type: 'object',
+            properties: {
+                postId: { type: 'string' },
+                sort: { type: 'string' },
+                requested_ids: { type: 'array', items: { type: 'string' } },
+                comment_count_this_batch: { type: 'integer' },
+                comments: arrayOf('comment_or_more'),
+            },
+        },
+    },
+    getPostStats: {
+        method: 'get',
+        path: '/api/post/{postId}/stats',
+        tag: 'Posts',
+        summary: 'Statistics of a comment thread',
+        description: "Totals and depth, comments per author, the submitter's share, score distribution, a timeline bucketed by created_utc, " +
+            'the most replied comments and term frequencies (stopwords left out), computed from the comment tree. ' +
+            "Comments still hidden behind 'more' placeholders are not counted (see coverage), use expand to resolve them first.",
+        params: { postId },
+        query: {
+            limit: { type: 'integer', minimum: 1, description: 'Maximum number of comments (Reddit caps it).' },
+            depth: { type: 'integer', minimum: 0, description: 'Maximum reply depth (Reddit caps it).' },
+            sort: { type: 'string', enum: COMMENT_SORTS, default: 'confidence' },
+            expand: {
+                type: 'string',
+                pattern: '^(all|\\d+)$',
+                patternMessage: "Use 'all' or a non-negative number.",
+                description: `Resolve 'more' placeholders before counting. A number caps the upstream calls spent on it, 'all' uses the server maximum (${MAX_EXPAND_REQUESTS}).`,
+            },
+            bucket: { type: 'string', enum: ['auto', ...Object.keys(TIMELINE_BUCKETS)], default: 'auto', description: "Timeline bucket size, 'auto' keeps it to about 48 buckets." },
+            top: { type: 'integer', minimum: 1, maximum: 100, default: 10, description: 'Entries in the authors, most_replied and terms lists.' },
+        },
+        response: {
+            type: 'object',
+            properties: {
+                postId: { type: 'string' },
+                postTitle: { type: 'string' },
+                postAuthor: { type: 'string' },
+                subreddit: { type: 'string' },
+                sort: { type: 'string' },
+                expansion: {
+                    type: 'object',
+                    properties: { requests_made: { type: 'integer' }, more_remaining: { type: 'integer' } },
+                },
+                coverage: {
+                    type: 'object',
+                    properties: {
+                        comments_analyzed: { type: 'integer' },
+                        more_placeholders: { type: 'integer' },
+                        hidden_comments: { type: 'integer' },
+                        post_num_comments: { type: ['integer', 'null'] },
+                    },
+                },
+                totals: {
+                    type: 'object',
+                    properties: {
+                        comments: { type: 'integer' },
+                        top_level: { type: 'integer' },
+                        deleted_or_removed: { type: 'integer' },
+                        unique_authors: { type: 'integer' },
+                        max_depth: { type: ['integer', 'null'] },
+                        avg_depth: { type: ['number', 'null'] },
+                        by_depth: { type: 'object', additionalProperties: { type: 'integer' } },
+                    },
+                },
+                submitter: {
+                    type: 'object',
+                    properties: { author: { type: ['string', 'null'] }, comments: { type: 'integer' }, share: { type: 'number' } },
+                },
+                authors: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            author: { type: 'string' },
+                            comments: { type: 'integer' },
+                            total_score: { type: 'integer' },
+                            avg_score: { type: 'number' },
+                            is_submitter: { type: 'boolean' },
+                        },
+                    },
+                },
+                scores: {
+                    type: 'object',
+                    properties: {
+                        min: { type: ['integer', 'null'] },
+                        max: { type: ['integer', 'null'] },
+                        mean: { type: ['number', 'null'] },
+                        median: { type: ['integer', 'null'] },
+                        p90: { type: ['integer', 'null'] },
+                        total: { type: 'integer' },
+                        distribution: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: { min: { type: ['integer', 'null'] }, max: { type: ['integer', 'null'] }, count: { type: 'integer' } },
+                            },
+                        },
+                    },
+                },
+                timeline: {
+                    type: 'object',
+                    properties: {
+                        bucket_seconds: { type: ['integer', 'null'] },
+                        start_utc: { type: ['number', 'null'] },
+                        buckets: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    start_utc: { type: 'number' },
+                                    comments: { type: 'integer' },
+                                    top_level: { type: 'integer' },
+                                    replies: { type: 'integer' },
+                                    cumulative: { type: 'integer' },
+                                    per_hour: { type: 'number' },
+                                },
+                            },
+                        },
+                    },
+                },
+                most_replied: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            id: { type: 'string' },
+                            author: { type: 'string' },
+                            score: { type: 'integer' },
+                            depth: { type: 'integer' },
+                            direct_replies: { type: 'integer' },
+                            total_replies: { type: 'integer' },
+                            created_utc: { type: 'number' },
+                            permalink: { type: 'string' },
+                            body_excerpt: { type: 'string' },
+                        },
+                    },
+                },
+                terms: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: { term: { type: 'string' }, count: { type: 'integer' }, comments: { type: 'integer' } },
+                    },
+                },
+            },
+        },
+    },
+
+    // Search
+    searchReddit: {
+        method: 'get',
+        path: '/api/search',
+        tag: 'Search',
+        summary: 'Search all of Reddit',
+        exportable: true,
+        query: { ...searchQuery, ...exportQuery },
+        response: searchResponse,
+    },
+
+    // Users
+    getUserAbout: {
+        method: 'get',
+        path: '/api/user/{username}/about',
+        tag: 'Users',
+        summary: 'Profile of an account',
+        description: "Deleted and suspended accounts are returned with status 'deleted' / 'suspended' instead of an error.",
+        params: { username },
+        response: ref('user'),
+    },
+    getUserSubmitted: {
+        method: 'get',
+        path: '/api/user/{username}/submitted',
+        tag: 'Users',
+        summary: 'Posts submitted by an account',
+        params: { username },
+        query: userListingQuery,
+        response: userListingResponse('posts', 'post'),
+    },
+    getUserComments: {
+        method: 'get',
+        path: '/api/user/{username}/comments',
+        tag: 'Users',
+        summary: 'Comment history of an account',
+        params: { username },
+        query: userListingQuery,
+        response: userListingResponse('comments', 'comment'),
+    },
+
+    // Service status
+    getSchedulerStatus: {
+        method: 'get',
+        path: '/api/status/scheduler',
+        tag: 'Status',
+        summary: 'Upstream request queue: depth, wait times, rate limit headers',
+    },
+    getCacheStatus: {
+        method: 'get',
+        path: '/api/status/cache',
+        tag: 'Status',
+        summary: 'Response cache counters',
+    },
+    getTokenState: {
+        method: 'get',
+        path: '/api/status/token',
+        tag: 'Status',
+        summary: 'Access token state of the default identity',
+    },
+    getAuthStatus: {
+        method: 'get',
+        path: '/api/auth/status',
+        tag: 'Status',
+        summary: 'Configured Reddit identities and the health of their tokens',
+        query: {
+            verify: { type: 'boolean', default: false, description: "Fetch a token for identities that don't hold one yet." },
+        },
+    },
+
+    // Health
+    getHealth: {
+        method: 'get',
+        path: '/healthz',
+        tag: 'Health',
+        summary: 'Liveness, always 200 while the process runs, with the readiness checks',
+    },
+    getReadiness: {
+        method: 'get',
+        path: '/readyz',
+        tag: 'Health',
+        summary: 'Readiness: token validity, upstream reachability and queue backlog (503 when not ready)',
+    },
+    getMetrics: {
+        method: 'get',
+        path: '/metrics',
+        tag: 'Health',
+        summary: 'Prometheus metrics',
+        contentType: 'text/plain',
+    },
+
+    // Schemas
+    listSchemas: {
+        method: 'get',
+        path: '/api/schemas',
+        tag: 'Schemas',
+        summary: 'Available response schema versions',
+    },
+    getSchema: {
+        method: 'get',
+        path: '/api/schemas/{version}',
+        tag: 'Schemas',
+        summary: 'JSON Schema of the response objects of a version',
+        params: {
+            version: { type: 'string', required: true, description: "Schema version, e.g. 'v2'." },
+        },
+    },
+
+    // Batch
+    runBatch: {
+        method: 'post',
+        path: '/api/batch',
+        tag: 'Batch',
+        summary: 'Run many subreddit / post requests in one call',
+        description: 'Subreddit (about, validate) and post lookups are bundled into /api/info calls of up to 100 things; listings cost one call each. ' +
+            'Every item reports its own status, so one failing item does not fail the batch.',
+        body: {
+            requests: { type: 'array', required: true, minItems: 1, maxItems: BATCH_MAX_ITEMS, items: batchItemSchema },
+        },
+        response: {
+            type: 'object',
+            properties: {
+                request_count: { type: 'integer' },
+                succeeded: { type: 'integer' },
+                failed: { type: 'integer' },
+                upstream_requests: { type: 'integer', description: 'Reddit API calls the batch made.' },
+                results: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            id: { type: 'string' },
+                            type: { type: ['string', 'null'] },
+                            status: { type: 'integer', description: 'HTTP status the single request would have had.' },
+                            data: { description: "The single route's response body (absent on failure)." },
+                            error: {
+                                type: 'object',
+                                description: "Same object as the 'error' of the JSON error envelope (absent on success).",
+                                properties: { code: { type: 'string' }, message: { type: 'string' }, status: { type: 'integer' }, request_id: { type: 'string' } },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+    },
+
+    // Archive
+    getArchiveStatus: {
+        method: 'get',
+        path: '/api/archive/status',
+        tag: 'Archive',
+        summary: 'Whether the archive is enabled and how much it holds',
+        description: 'The archive routes need an admin API key.',
+    },
+    searchArchivedPosts: {
+        method: 'get',
+        path: '/api/archive/posts',
+        tag: 'Archive',
+        summary: 'Search the posts stored in the local archive',
+        description: 'Every post the API returns is stored when ARCHIVE_ENABLED=true. Posts are returned in the canonical (v1, untruncated) shape regardless of ?schema=. Needs an admin API key.',
+        query: archiveSearchQuery,
+        response: {
+            type: 'object',
+            properties: {
+                total: { type: 'integer', description: 'Number of matching posts.' },
+                offset: { type: 'integer' },
+                post_count: { type: 'integer' },
+                posts: { type: 'array', items: archivedItem('post') },
+            },
+        },
+    },
+    getArchivedPost: {
+        method: 'get',
+        path: '/api/archive/posts/{postId}',
+        tag: 'Archive',
+        summary: 'An archived post with its score and comment count history',
+        description: 'Needs an admin API key.',
+        params: { postId: postId },
+        response: archivedItem('post', {
+            history: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        at: { type: 'string', format: 'date-time' },
+                        score: { type: 'integer' },
+                        num_comments: { type: 'integer' },
+                    },
+                },
+            },
+        }),
+    },
+    searchArchivedComments: {
+        method: 'get',
+        path: '/api/archive/comments',
+        tag: 'Archive',
+        summary: 'Search the comments stored in the local archive',
+        description: 'Comments are stored flat (without replies), with the ID of their post. Needs an admin API key.',
+        query: {
+            ...archiveSearchQuery,
+            post_id: { ...postId, required: false, description: 'Only comments of this post.' },
+        },
+        response: {
+            type: 'object',
+            properties: {
+                total: { type: 'integer', description: 'Number of matching comments.' },
+                offset: { type: 'integer' },
+                comment_count: { type: 'integer' },
+                comments: { type: 'array', items: archivedItem('comment', { post_id: { type: ['string', 'null'] } }) },
+            },
+        },
+    },
+
+    // Watchers
+    createWatcher: {
+        method: 'post',
+        path: '/api/watchers',
+        tag: 'Watchers',
+        summary: 'Register a watcher that delivers new subreddit posts to a webhook',
+        description: "Polls the subreddit's new posts every interval_seconds and POSTs the ones matching the filters to webhook_url as " +
+            "{event: 'posts.new', delivery_id, watcher_id, subreddit, post_count, posts}. Requests are signed: X-Watcher-Signature is " +
+            "'sha256=' + hex HMAC-SHA256 of '<X-Watcher-Timestamp>.<body>' with the watcher's secret. Failed deliveries are retried with " +
+            'backoff, then again on the next poll. The secret is only returned in this response. The watcher belongs to the calling API key: ' +
+            'other keys (except admin keys) cannot see or change it.',
+        successStatus: 201,
+        body: {
+            subreddit: { ...subredditName, description: "Subreddit to watch, without the 'r/' prefix." },
+            webhook_url: {
+                type: 'string',
+                required: true,
+                pattern: '^https?://[^\\s]+$',
+                patternMessage: 'Must be an http(s) URL.',
+                maxLength: 2048,
+                description: 'Must not resolve to a loopback, link-local or private address (unless WATCHER_ALLOW_PRIVATE_WEBHOOKS is set). Redirects are not followed.',
+            },
+            interval_seconds: { type: 'integer', minimum: WATCHER_MIN_INTERVAL_SECONDS, maximum: 86400, default: 300, description: 'Polling interval.' },
+            keywords: {
+                type: 'array',
+                items: { type: 'string', minLength: 1, maxLength: 100 },
+                maxItems: 50,
+                description: 'Only deliver posts whose title or body contains one of these (case-insensitive).',
+            },
+            flairs: {
+                type: 'array',
+                items: { type: 'string', minLength: 1, maxLength: 64 },
+                maxItems: 50,
+                description: 'Only deliver posts with one of these link flairs (case-insensitive).',
+            },
+            schema: { type: 'string', enum: SCHEMA_VERSIONS, default: DEFAULT_SCHEMA_VERSION, description: 'Schema version of the delivered posts.' },
+            secret: { type: 'string', minLength: 16, maxLength: 256, description: 'HMAC signing secret, generated when omitted.' },
+        },
+        response: { ...watcherResponse, properties: { ...watcherResponse.properties, secret: { type: 'string' } } },
+    },
+    listWatchers: {
+        method: 'get',
+        path: '/api/watchers',
+        tag: 'Watchers',
+        summary: 'The watchers of the calling API key (every watcher for admin keys) and their state',
+        response: {
+            type: 'object',
+            properties: {
+                watcher_count: { type: 'integer' },
+                watchers: { type: 'array', items: watcherResponse },
+            },
+        },
+    },
+    getWatcher: {
+        method: 'get',
+        path: '/api/watchers/{id}',
+        tag: 'Watchers',
+        summary: 'A watcher and its state',
+        params: { id: watcherId },
+        response: watcherResponse,
+    },
+    pauseWatcher: {
+        method: 'post',
+        path: '/api/watchers/{id}/pause',
+        tag: 'Watchers',
+        summary: 'Stop polling (the watcher keeps its state)',
+        params: { id: watcherId },
+        response: watcherResponse,
+    },
+    resumeWatcher: {
+        method: 'post',
+        path: '/api/watchers/{id}/resume',
+        tag: 'Watchers',
+        summary: 'Resume a paused watcher (polls right away)',
+        params: { id: watcherId },
+        response: watcherResponse,
+    },
+    deleteWatcher: {
+        method: 'delete',
+        path: '/api/watchers/{id}',
+        tag: 'Watchers',
+        summary: 'Delete a watcher',
+        successStatus: 204,
+        params: { id: watcherId },
+    },
+
+    // API keys
+    getUsage: {
+        method: 'get',
+        path: '/api/usage',
+        tag: 'Usage',
+        summary: 'Limits and consumption of the calling API key (every key for admin keys)',
+        query: {
+            days: { type: 'integer', minimum: 1, maximum: 31, default: 7, description: 'Number of days of per-day usage to include.' },
+        },
+    },
+};
@@ -0,0 +1,18 @@
+import express from 'express';
+// Import specific controller functions - .js extension required
+import { listSchemas, getSchema } from '../controllers/schemaController.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { routeSchemas } from './routeSchemas.js';
+
+const router = express.Router();
+
+// Route to list the response schema versions (selected per request with ?schema=)
+// Example: GET /api/schemas
+router.get('/', validateRequest(routeSchemas.listSchemas), listSchemas);
+
+// Route to get the JSON Schema of a version's response objects
+// Example: GET /api/schemas/v2
+router.get('/:version', validateRequest(routeSchemas.getSchema), getSchema);
+
+// Export the router as the default export
+export default router;
@@ -0,0 +1,14 @@
+import express from 'express';
+// Import specific controller function - .js extension required
+import { searchReddit } from '../controllers/searchController.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { routeSchemas } from './routeSchemas.js';
+
+const router = express.Router();
+
+// Route to search all of Reddit (posts, subreddits or users)
+// Example: GET /api/search?q=javascript&type=link&sort=top&t=week
+router.get('/', validateRequest(routeSchemas.searchReddit), searchReddit);
+
+// Export the router as the default export
+export default router;
@@ -0,0 +1,22 @@
+import express from 'express';
+// Import specific controller functions - .js extension required
+import { getSchedulerStatus, getCacheStatus, getTokenState } from '../controllers/statusController.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { routeSchemas } from './routeSchemas.js';
+
+const router = express.Router();
+
+// Route to inspect the upstream request queue (depth, wait times, rate limit headers)
+// Example: GET /api/status/scheduler
+router.get('/scheduler', validateRequest(routeSchemas.getSchedulerStatus), getSchedulerStatus);
+
+// Route to inspect response cache counters
+// Example: GET /api/status/cache
+router.get('/cache', validateRequest(routeSchemas.getCacheStatus), getCacheStatus);
+
+// Route to inspect the access token state (validity, expiry, last refresh error)
+// Example: GET /api/status/token
+router.get('/token', validateRequest(routeSchemas.getTokenState), getTokenState);
+
+// Export the router as the default export
+export default router;
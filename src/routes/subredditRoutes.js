@@ -3,23 +3,44 @@ import express from 'express';
 import {
     validateSubreddit,
     getSubredditPosts,
-    getSubredditAbout
+    crawlSubredditPosts,
+    getSubredditAbout,
+    getSubredditComments,
+    getSubredditTrends
 } from '../controllers/subredditController.js';
+import { searchSubreddit } from '../controllers/searchController.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { routeSchemas } from './routeSchemas.js';
 
 const router = express.Router();
 
 // Route to validate subreddit existence and accessibility
 // Example: GET /api/subreddit/learnjavascript/validate
-router.get('/:name/validate', validateSubreddit);
+router.get('/:name/validate', validateRequest(routeSchemas.validateSubreddit), validateSubreddit);
 
 // Route to get posts from a subreddit (sort determined by query param)
 // Example: GET /api/subreddit/learnjavascript/posts?sort=new&limit=10
-router.get('/:name/posts', getSubredditPosts);
+router.get('/:name/posts', validateRequest(routeSchemas.getSubredditPosts), getSubredditPosts);
+
+// Route to crawl a subreddit listing across pages (follows 'after' internally)
+// Example: GET /api/subreddit/learnjavascript/posts/all?sort=new&max=2000&until=1700000000
+router.get('/:name/posts/all', validateRequest(routeSchemas.crawlSubredditPosts), crawlSubredditPosts);
 
 // Route to get detailed subreddit metadata (about + rules)
-router.get('/:name/about', getSubredditAbout);
+router.get('/:name/about', validateRequest(routeSchemas.getSubredditAbout), getSubredditAbout);
+
+// Route to get the recorded subscriber / activity snapshots of a tracked subreddit, with growth rates
+// Example: GET /api/subreddit/learnjavascript/trends?range=30d
+router.get('/:name/trends', validateRequest(routeSchemas.getSubredditTrends), getSubredditTrends);
+
+// Route to search within a subreddit
+// Example: GET /api/subreddit/learnjavascript/search?q=closures&sort=top&t=year
+router.get('/:name/search', validateRequest(routeSchemas.searchSubreddit), searchSubreddit);
 
-// GET /api/subreddit/:name/comments
+// Route to get the latest comments of a subreddit (or, with since, the ones newer than a comment already seen)
+// Example: GET /api/subreddit/learnjavascript/comments?limit=50
+// Example: GET /api/subreddit/learnjavascript/comments?since=kf1abc
+router.get('/:name/comments', validateRequest(routeSchemas.getSubredditComments), getSubredditComments);
 
 // Export the router as the default export
 export default router; 
\ No newline at end of file
@@ -0,0 +1,16 @@
+import express from 'express';
+// Import specific controller function - .js extension required
+import { getCombinedPosts } from '../controllers/subredditController.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { routeSchemas } from './routeSchemas.js';
+
+const router = express.Router();
+
+// Route to get posts from several subreddits combined, or from r/all / r/popular
+// Example: GET /api/subreddits/posts?names=javascript,node,reactjs&sort=new
+// Example: GET /api/subreddits/posts?names=all,-pics,-funny&sort=top&time=week
+// Example: GET /api/subreddits/posts?names=popular&geo=GB
+router.get('/posts', validateRequest(routeSchemas.getCombinedPosts), getCombinedPosts);
+
+// Export the router as the default export
+export default router;
@@ -0,0 +1,14 @@
+import express from 'express';
+// Import specific controller functions - .js extension required
+import { getUsage } from '../controllers/usageController.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { routeSchemas } from './routeSchemas.js';
+
+const router = express.Router();
+
+// Route to get the usage of the calling API key
+// Example: GET /api/usage?days=30
+router.get('/', validateRequest(routeSchemas.getUsage), getUsage);
+
+// Export the router as the default export
+export default router;
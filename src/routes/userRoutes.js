@@ -0,0 +1,26 @@
+import express from 'express';
+// Import specific controller functions - .js extension required
+import {
+    getUserAbout,
+    getUserSubmitted,
+    getUserComments
+} from '../controllers/userController.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { routeSchemas } from './routeSchemas.js';
+
+const router = express.Router();
+
+// Route to get a user's profile (karma breakdown, account age, suspended/deleted state)
+// Example: GET /api/user/spez/about
+router.get('/:username/about', validateRequest(routeSchemas.getUserAbout), getUserAbout);
+
+// Route to get posts submitted by a user
+// Example: GET /api/user/spez/submitted?sort=top&time=year&limit=10
+router.get('/:username/submitted', validateRequest(routeSchemas.getUserSubmitted), getUserSubmitted);
+
+// Route to get a user's comment history
+// Example: GET /api/user/spez/comments?sort=new&limit=50
+router.get('/:username/comments', validateRequest(routeSchemas.getUserComments), getUserComments);
+
+// Export the router as the default export
+export default router;
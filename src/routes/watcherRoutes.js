@@ -0,0 +1,34 @@
+import express from 'express';
+// Import specific controller functions - .js extension required
+import { createWatcher, listWatchers, getWatcher, pauseWatcher, resumeWatcher, deleteWatcher } from '../controllers/watcherController.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { routeSchemas } from './routeSchemas.js';
+
+const router = express.Router();
+
+// Route to register a subreddit watcher that delivers new posts to a webhook
+// Example: POST /api/watchers {"subreddit": "javascript", "webhook_url": "https://example.com/hook", "keywords": ["release"]}
+router.post('/', validateRequest(routeSchemas.createWatcher), createWatcher);
+
+// Route to list all watchers
+// Example: GET /api/watchers
+router.get('/', validateRequest(routeSchemas.listWatchers), listWatchers);
+
+// Route to get one watcher's state
+// Example: GET /api/watchers/w_1a2b3c4d5e6f
+router.get('/:id', validateRequest(routeSchemas.getWatcher), getWatcher);
+
+// Route to pause a watcher
+// Example: POST /api/watchers/w_1a2b3c4d5e6f/pause
+router.post('/:id/pause', validateRequest(routeSchemas.pauseWatcher), pauseWatcher);
+
+// Route to resume a paused watcher
+// Example: POST /api/watchers/w_1a2b3c4d5e6f/resume
+router.post('/:id/resume', validateRequest(routeSchemas.resumeWatcher), resumeWatcher);
+
+// Route to delete a watcher
+// Example: DELETE /api/watchers/w_1a2b3c4d5e6f
+router.delete('/:id', validateRequest(routeSchemas.deleteWatcher), deleteWatcher);
+
+// Export the router as the default export
+export default router;
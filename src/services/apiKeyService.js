@@ -0,0 +1,268 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import fsPromises from 'node:fs/promises';
+import path from 'node:path';
+import dotenv from 'dotenv';
+import { PRIORITIES } from './requestScheduler.js';
+import { DEFAULT_IDENTITY, hasIdentity } from './redditService.js';
+
+// Load environment variables immediately, this module is evaluated before index.js runs dotenv.config()
+dotenv.config();
+
+/**
+ * Client API keys: who may use the API, how fast (requests per minute) and how much (requests per
+ * UTC day), and at which priority their upstream requests are queued. Usage per key is counted
+ * per day and persisted to DATA_DIR/usage.json.
+ *
+ * Keys come from:
+ *  - API_KEYS: comma separated 'name:key' pairs, using the default limits below
+ *  - API_KEYS_FILE: JSON array of
+ *    { name, key, rate_limit_per_minute?, daily_quota?, priority?: 'interactive' | 'bulk', admin?, identities?: [] }
+ * Without any key, authentication is off and the API stays open.
+ *
+ * identities lists the Reddit identities (see redditService.js) the key may make upstream requests
+ * with. The first one is used when a request doesn't select one with X-Reddit-Identity, and the
+ * application-only identity is always allowed. Keys without the list only get the application-only identity.
+ */
+
+// Configurable options (from .env)
+const DEFAULT_RATE_LIMIT_PER_MINUTE = parseInt(process.env.API_KEY_RATE_LIMIT_PER_MINUTE, 10) || 60;
+const DEFAULT_DAILY_QUOTA = parseInt(process.env.API_KEY_DAILY_QUOTA, 10) || 0; // 0 = unlimited
+const DATA_DIR = process.env.DATA_DIR || './data';
+const USAGE_FILE = path.join(DATA_DIR, 'usage.json');
+const USAGE_SAVE_INTERVAL_MS = 30 * 1000;
+const USAGE_HISTORY_DAYS = 31; // Days of per-day usage kept per key
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Reads the key definitions from the environment. Exits on a broken configuration, like the identities.
+ */
+function loadKeyConfigs() {
+    const configs = [];
+
+    (process.env.API_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+        const separator = entry.indexOf(':');
+        configs.push(separator > 0
+            ? { name: entry.slice(0, separator), key: entry.slice(separator + 1) }
+            : { name: `key${configs.length + 1}`, key: entry });
+    });
+
+    if (process.env.API_KEYS_FILE) {
+        try {
+            configs.push(...JSON.parse(fs.readFileSync(process.env.API_KEYS_FILE, 'utf8')));
+        } catch (error) {
+            console.error(`FATAL ERROR: Could not read API keys from ${process.env.API_KEYS_FILE}:`, error.message);
+            process.exit(1);
+        }
+    }
+
+    const names = new Set();
+    return configs.map(config => {
+        if (!config.name || !config.key || names.has(config.name)) {
+            console.error(`FATAL ERROR: API keys need a unique name and a key (got '${config.name}').`);
+            process.exit(1);
+        }
+        if (config.priority && !PRIORITIES.includes(config.priority)) {
+            console.error(`FATAL ERROR: Unknown priority '${config.priority}' for API key '${config.name}'. Use one of: ${PRIORITIES.join(', ')}.`);
+            process.exit(1);
+        }
+        if (config.identities !== undefined && !Array.isArray(config.identities)) {
+            console.error(`FATAL ERROR: identities of API key '${config.name}' must be a list of identity names.`);
+            process.exit(1);
+        }
+        const unknownIdentity = (config.identities || []).find(identity => !hasIdentity(identity));
+        if (unknownIdentity) {
+            console.error(`FATAL ERROR: Unknown Reddit identity '${unknownIdentity}' for API key '${config.name}'.`);
+            process.exit(1);
+        }
+        names.add(config.name);
+        return {
+            name: config.name,
+            keyHash: hashKey(config.key),
+            rateLimitPerMinute: config.rate_limit_per_minute ?? DEFAULT_RATE_LIMIT_PER_MINUTE,
+            dailyQuota: config.daily_quota ?? DEFAULT_DAILY_QUOTA,
+            priority: config.priority || 'interactive',
+            admin: Boolean(config.admin),
+            identities: config.identities?.length ? config.identities : [DEFAULT_IDENTITY],
+            // Token bucket of the per-minute rate limit, starts full
+            tokens: config.rate_limit_per_minute ?? DEFAULT_RATE_LIMIT_PER_MINUTE,
+            lastRefill: Date.now(),
+        };
+    });
+}
+
+const keys = new Map(loadKeyConfigs().map(key => [key.keyHash, key])); // sha256(key) -> key state
+
+export const AUTH_ENABLED = keys.size > 0;
+
+// name -> { total: counters, days: { 'YYYY-MM-DD': counters } }
+let usage = {};
+let usageDirty = false;
+let saveQueue = Promise.resolve();
+
+const emptyCounters = () => ({ requests: 0, upstream_requests: 0, cache_hits: 0, errors: 0, rate_limited: 0, quota_exceeded: 0 });
+const currentDay = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Returns the usage entry of a key for today (creating it), plus its totals.
+ */
+const getUsageEntry = (name) => {
+    const entry = usage[name] || (usage[name] = { total: emptyCounters(), days: {} });
+    const day = currentDay();
+    if (!entry.days[day]) {
+        entry.days[day] = emptyCounters();
+        // Drop days that fell out of the history window
+        Object.keys(entry.days).sort().slice(0, -USAGE_HISTORY_DAYS).forEach(oldDay => delete entry.days[oldDay]);
+    }
+    return { total: entry.total, today: entry.days[day] };
+};
+
+/**
+ * Adds to a key's counters for today and in total.
+ */
+const count = (name, counters) => {
+    const { total, today } = getUsageEntry(name);
+    Object.entries(counters).forEach(([counter, amount]) => {
+        total[counter] += amount;
+        today[counter] += amount;
+    });
+    usageDirty = true;
+};
+
+/**
+ * Writes the usage counters to disk (atomically) if they changed. Writes are serialized, so the
+ * returned promise also waits for a write that was already running.
+ */
+const saveUsage = () => {
+    saveQueue = saveQueue.then(async () => {
+        if (!usageDirty) return;
+        usageDirty = false;
+        try {
+            await fsPromises.mkdir(DATA_DIR, { recursive: true });
+            const tempFile = `${USAGE_FILE}.${process.pid}.tmp`;
+            await fsPromises.writeFile(tempFile, JSON.stringify(usage, null, 2));
+            await fsPromises.rename(tempFile, USAGE_FILE);
+        } catch (error) {
+            usageDirty = true;
+            console.error('Failed to save API key usage:', error.message);
+        }
+    });
+    return saveQueue;
+};
+
+/**
+ * Writes pending usage counters now, called on shutdown so a restart doesn't lose up to
+ * USAGE_SAVE_INTERVAL_MS of consumption (and hand keys a fresh share of their daily quota).
+ */
+export const flushUsage = () => (AUTH_ENABLED ? saveUsage() : Promise.resolve());
+
+if (AUTH_ENABLED) {
+    try {
+        usage = JSON.parse(fs.readFileSync(USAGE_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.error(`Failed to load API key usage from ${USAGE_FILE}:`, error.message);
+    }
+    setInterval(saveUsage, USAGE_SAVE_INTERVAL_MS).unref();
+    console.log(`API key authentication enabled (${keys.size} key(s)).`);
+} else {
+    console.warn('No API keys configured (API_KEYS / API_KEYS_FILE), the API is open to anyone who can reach it.');
+}
+
+/**
+ * Finds the key state for a presented API key, or null.
+ */
+export const findApiKey = (presentedKey) => (presentedKey ? keys.get(hashKey(presentedKey)) || null : null);
+
+/**
+ * Whether a key may make upstream requests with a Reddit identity.
+ */
+export const isIdentityAllowed = (key, identity) => identity === DEFAULT_IDENTITY || key.identities.includes(identity);
+
+/**
+ * Number of API keys that may use a Reddit identity.
+ */
+export const countKeysForIdentity = (identity) => [...keys.values()].filter(key => isIdentityAllowed(key, identity)).length;
+
+/**
+ * Seconds until the next UTC midnight, when daily quotas reset.
+ */
+const secondsUntilQuotaReset = () => {
+    const now = new Date();
+    return Math.ceil((Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1) - now.getTime()) / 1000);
+};
+
+/**
+ * Takes one request from a key's rate limit and daily quota.
+ * Returns { allowed: true, limits } or { allowed: false, reason, retryAfter, limits } where
+ * retryAfter is in seconds and limits describes what's left (for the X-RateLimit-* headers).
+ */
+export const consumeRequest = (key) => {
+    // Refill the per-minute bucket
+    const now = Date.now();
+    const perMs = key.rateLimitPerMinute / 60000;
+    key.tokens = Math.min(key.rateLimitPerMinute, key.tokens + (now - key.lastRefill) * perMs);
+    key.lastRefill = now;
+
+    const { today } = getUsageEntry(key.name);
+    const limits = () => ({
+        rate_limit_per_minute: key.rateLimitPerMinute,
+        rate_limit_remaining: Math.floor(key.tokens),
+        daily_quota: key.dailyQuota || null,
+        daily_quota_remaining: key.dailyQuota ? Math.max(0, key.dailyQuota - today.requests) : null,
+    });
+
+    if (key.dailyQuota && today.requests >= key.dailyQuota) {
+        count(key.name, { quota_exceeded: 1 });
+        return { allowed: false, reason: 'quota', retryAfter: secondsUntilQuotaReset(), limits: limits() };
+    }
+    if (key.tokens < 1) {
+        count(key.name, { rate_limited: 1 });
+        return { allowed: false, reason: 'rate_limit', retryAfter: Math.ceil((1 - key.tokens) / perMs / 1000), limits: limits() };
+    }
+
+    key.tokens -= 1;
+    count(key.name, { requests: 1 });
+    return { allowed: true, limits: limits() };
+};
+
+/**
+ * Records what an accepted request cost once it finished.
+ */
+export const recordRequestOutcome = (key, { statusCode, upstreamRequests, cacheHits }) => {
+    count(key.name, {
+        upstream_requests: upstreamRequests,
+        cache_hits: cacheHits,
+        errors: statusCode >= 400 ? 1 : 0,
+    });
+};
+
+/**
+ * Describes a key's limits and usage (the last 'days' days, newest first).
+ */
+const describeKey = (key, days) => {
+    const entry = usage[key.name] || { total: emptyCounters(), days: {} };
+    return {
+        name: key.name,
+        priority: key.priority,
+        admin: key.admin,
+        identities: key.identities,
+        rate_limit_per_minute: key.rateLimitPerMinute,
+        daily_quota: key.dailyQuota || null,
+        today: entry.days[currentDay()] || emptyCounters(),
+        total: entry.total,
+        days: Object.keys(entry.days).sort().reverse().slice(0, days).map(day => ({ day, ...entry.days[day] })),
+    };
+};
+
+/**
+ * Returns the usage of one key, or of every key for admin keys (and when authentication is off).
+ */
+export const getUsage = (key, days) => {
+    const visible = !key || key.admin ? [...keys.values()] : [key];
+    return {
+        auth_enabled: AUTH_ENABLED,
+        quota_resets_in_seconds: secondsUntilQuotaReset(),
+        keys: visible.map(visibleKey => describeKey(visibleKey, days)),
+    };
+};
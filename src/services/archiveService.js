@@ -0,0 +1,326 @@
+import path from 'node:path';
+import Datastore from '@seald-io/nedb';
+import dotenv from 'dotenv';
+import { onNormalized, RAW } from '../normalizers/index.js';
+
+// Load environment variables immediately, this module is evaluated before index.js runs dotenv.config()
+dotenv.config();
+
+/**
+ * Local archive of every post and comment the API normalizes (optional, ARCHIVE_ENABLED=true).
+ * Stored in NeDB datastores (append-only files, compacted periodically) under ARCHIVE_DIR:
+ *  - posts.db:        the latest canonical post, keyed by post ID
+ *  - comments.db:     the latest canonical comment (without replies), keyed by comment ID
+ *  - post_history.db: score / num_comments over time, one point per change
+ * When a post or comment comes back deleted or removed, the content seen before is kept and the
+ * time the removal was first noticed is recorded. NeDB keeps the data in memory, so the archive is
+ * meant for the volumes of a research project, not a full Reddit mirror.
+ */
+
+// Configurable options (from .env)
+export const ARCHIVE_ENABLED = ['1', 'true'].includes((process.env.ARCHIVE_ENABLED || '').toLowerCase());
+const ARCHIVE_DIR = process.env.ARCHIVE_DIR || path.join(process.env.DATA_DIR || './data', 'archive');
+const ARCHIVE_FLUSH_MS = parseInt(process.env.ARCHIVE_FLUSH_MS, 10) || 1000;
+// Minimum time between two history points of a post (changes in between update the post only)
+const ARCHIVE_HISTORY_INTERVAL_SECONDS = parseInt(process.env.ARCHIVE_HISTORY_INTERVAL_SECONDS, 10) || 300;
+const COMPACTION_INTERVAL_MS = 10 * 60 * 1000;
+
+// Placeholders Reddit puts in place of deleted / removed content
+const DELETED_TEXT = '[deleted]';
+const REMOVED_TEXT = '[removed]';
+
+let stores = null;
+const pending = new Map(); // '<kind>:<id>' -> record waiting to be written
+let flushTimer = null;
+let flushing = Promise.resolve();
+const stats = { posts_written: 0, comments_written: 0, history_points_written: 0, write_errors: 0, last_flush_at: null };
+
+/**
+ * Opens the datastores and their indexes.
+ */
+const openStores = async () => {
+    const open = async (name, indexes) => {
+        const store = new Datastore({ filename: path.join(ARCHIVE_DIR, `${name}.db`) });
+        await store.loadDatabaseAsync();
+        for (const fieldName of indexes) {
+            await store.ensureIndexAsync({ fieldName });
+        }
+        store.setAutocompactionInterval(COMPACTION_INTERVAL_MS);
+        return store;
+    };
+
+    return {
+        posts: await open('posts', ['subreddit_key', 'author_key', 'created_utc']),
+        comments: await open('comments', ['post_id', 'subreddit_key', 'author_key', 'created_utc']),
+        history: await open('post_history', ['post_id']),
+    };
+};
+
+const storesReady = ARCHIVE_ENABLED ? openStores().then(opened => {
+    stores = opened;
+    console.log(`Archive enabled, storing posts and comments in ${ARCHIVE_DIR}`);
+}).catch(error => {
+    console.error(`FATAL ERROR: Failed to open the archive in ${ARCHIVE_DIR}:`, error.message);
+    process.exit(1);
+}) : Promise.resolve();
+
+/**
+ * Builds the record stored for a canonical post.
+ */
+const toPostRecord = (post) => {
+    const raw = post[RAW] || {};
+    const { [RAW]: _raw, ...fields } = post;
+    return {
+        ...fields,
+        subreddit_key: (raw.subreddit || post.subreddit?.replace(/^r\//, '') || '').toLowerCase(),
+        author_key: post.author.toLowerCase(),
+        is_deleted: post.author === DELETED_TEXT || raw.selftext === DELETED_TEXT,
+        is_removed: Boolean(raw.removed_by_category) || raw.selftext === REMOVED_TEXT,
+    };
+};
+
+/**
+ * Builds the record stored for a canonical comment (replies are stored as comments of their own).
+ */
+const toCommentRecord = (comment) => {
+    const raw = comment[RAW] || {};
+    const { [RAW]: _raw, replies, type, ...fields } = comment;
+    return {
+        ...fields,
+        post_id: raw.link_id ? raw.link_id.replace(/^t3_/, '') : null,
+        subreddit: raw.subreddit_name_prefixed || (raw.subreddit ? `r/${raw.subreddit}` : null),
+        subreddit_key: (raw.subreddit || '').toLowerCase() || null,
+        author_key: comment.author.toLowerCase(),
+        is_deleted: comment.author === DELETED_TEXT || comment.body === DELETED_TEXT,
+        is_removed: comment.body === REMOVED_TEXT,
+    };
+};
+
+/**
+ * Merges a fresh record into the stored one. Content that was deleted or removed since it was
+ * stored keeps its previous value, and the first time the deletion/removal was seen is recorded.
+ */
+const mergeRecord = (existing, record, textField, now) => {
+    const merged = { ...existing, ...record };
+    if (existing) {
+        if (record.author === DELETED_TEXT && existing.author !== DELETED_TEXT) {
+            merged.author = existing.author;
+            merged.author_key = existing.author_key;
+        }
+        if ([DELETED_TEXT, REMOVED_TEXT].includes(record[textField]) && existing[textField]) {
+            merged[textField] = existing[textField];
+        }
+    }
+    merged.first_seen_at = existing?.first_seen_at ?? now;
+    merged.last_seen_at = now;
+    merged.times_seen = (existing?.times_seen ?? 0) + 1;
+    merged.deleted_detected_at = existing?.deleted_detected_at ?? (record.is_deleted ? now : null);
+    merged.removed_detected_at = existing?.removed_detected_at ?? (record.is_removed ? now : null);
+    merged.is_deleted = Boolean(existing?.is_deleted || record.is_deleted);
+    merged.is_removed = Boolean(existing?.is_removed || record.is_removed);
+    return merged;
+};
+
+/**
+ * Upserts a post, and adds a history point when its score or comment count moved
+ * (at most one per ARCHIVE_HISTORY_INTERVAL_SECONDS).
+ */
+const writePost = async (record, now) => {
+    const existing = await stores.posts.findOneAsync({ _id: record.id });
+    const merged = mergeRecord(existing, record, 'selftext', now);
+
+    const lastPoint = existing?.last_history_point;
+    const changed = !lastPoint || lastPoint.score !== record.score || lastPoint.num_comments !== record.num_comments;
+    if (changed && (!lastPoint || now - lastPoint.at >= ARCHIVE_HISTORY_INTERVAL_SECONDS * 1000)) {
+        const point = { at: now, score: record.score, num_comments: record.num_comments };
+        await stores.history.insertAsync({ post_id: record.id, ...point });
+        merged.last_history_point = point;
+        stats.history_points_written++;
+    }
+
+    await stores.posts.updateAsync({ _id: record.id }, { ...merged, _id: record.id }, { upsert: true });
+    stats.posts_written++;
+};
+
+/**
+ * Upserts a comment.
+ */
+const writeComment = async (record, now) => {
+    const existing = await stores.comments.findOneAsync({ _id: record.id });
+    const merged = mergeRecord(existing, record, 'body', now);
+    await stores.comments.updateAsync({ _id: record.id }, { ...merged, _id: record.id }, { upsert: true });
+    stats.comments_written++;
+};
+
+/**
+ * Writes everything pending. Flushes run one at a time; records arriving meanwhile wait for the next one.
+ */
+const flush = () => {
+    flushTimer = null;
+    flushing = flushing.then(async () => {
+        await storesReady;
+        const batch = [...pending.values()];
+        pending.clear();
+        const now = Date.now();
+
+        for (const { kind, record } of batch) {
+            try {
+                await (kind === 'post' ? writePost(record, now) : writeComment(record, now));
+            } catch (error) {
+                stats.write_errors++;
+                console.error(`Archive failed to store ${kind} ${record.id}:`, error.message);
+            }
+        }
+        stats.last_flush_at = new Date(now).toISOString();
+    });
+    return flushing;
+};
+
+/**
+ * Writes pending records now instead of waiting for the timer, so reads include them.
+ */
+const flushPending = () => {
+    if (pending.size === 0) return flushing;
+    clearTimeout(flushTimer);
+    return flush();
+};
+
+// Collect normalized posts and comments. Only the latest version of an object per flush is written.
+if (ARCHIVE_ENABLED) {
+    onNormalized((kind, canonical) => {
+        if (!canonical.id) return;
+        const record = kind === 'post' ? toPostRecord(canonical) : toCommentRecord(canonical);
+        pending.set(`${kind}:${record.id}`, { kind, record });
+        if (!flushTimer) {
+            flushTimer = setTimeout(flush, ARCHIVE_FLUSH_MS);
+            flushTimer.unref();
+        }
+    });
+}
+
+/**
+ * Escapes text for use as a literal in a regular expression.
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Builds the NeDB query shared by the post and comment searches.
+ */
+const buildQuery = ({ subreddit, author, from, to, q, state }, textFields) => {
+    const query = {};
+    if (subreddit) query.subreddit_key = subreddit.toLowerCase();
+    if (author) query.author_key = author.toLowerCase();
+    if (from !== undefined || to !== undefined) {
+        query.created_utc = {
+            ...(from !== undefined && { $gte: from }),
+            ...(to !== undefined && { $lte: to }),
+        };
+    }
+    if (q) {
+        const pattern = new RegExp(escapeRegExp(q), 'i');
+        query.$or = textFields.map(field => ({ [field]: { $regex: pattern } }));
+    }
+    if (state === 'deleted') query.is_deleted = true;
+    if (state === 'removed') query.is_removed = true;
+    if (state === 'live') {
+        query.is_deleted = false;
+        query.is_removed = false;
+    }
+    return query;
+};
+
+const SORTS = {
+    new: { created_utc: -1 },
+    old: { created_utc: 1 },
+    top: { score: -1 },
+    last_seen: { last_seen_at: -1 },
+};
+
+/**
+ * Removes the internal fields of a stored record and groups the archive metadata.
+ */
+const toArchivedItem = (record) => {
+    const {
+        _id, subreddit_key, author_key, last_history_point,
+        first_seen_at, last_seen_at, times_seen, deleted_detected_at, removed_detected_at,
+        ...item
+    } = record;
+    const toIso = (ms) => (ms ? new Date(ms).toISOString() : null);
+    return {
+        ...item,
+        archive: {
+            first_seen_at: toIso(first_seen_at),
+            last_seen_at: toIso(last_seen_at),
+            times_seen: times_seen,
+            deleted_detected_at: toIso(deleted_detected_at),
+            removed_detected_at: toIso(removed_detected_at),
+        },
+    };
+};
+
+/**
+ * Runs a paged search on a datastore. Returns { total, items }.
+ */
+const search = async (store, query, { sort, limit, offset }) => {
+    await flushPending(); // Include what was just fetched
+    const [total, records] = await Promise.all([
+        store.countAsync(query),
+        store.findAsync(query).sort(SORTS[sort] || SORTS.new).skip(offset).limit(limit),
+    ]);
+    return { total, items: records.map(toArchivedItem) };
+};
+
+/**
+ * Searches archived posts by subreddit, author, creation time (unix seconds), text and state.
+ */
+export const searchArchivedPosts = async (filters) => {
+    await storesReady;
+    return search(stores.posts, buildQuery(filters, ['title', 'selftext']), filters);
+};
+
+/**
+ * Searches archived comments; like searchArchivedPosts, plus filtering by post.
+ */
+export const searchArchivedComments = async (filters) => {
+    await storesReady;
+    const query = buildQuery(filters, ['body']);
+    if (filters.post_id) query.post_id = filters.post_id;
+    return search(stores.comments, query, filters);
+};
+
+/**
+ * Returns an archived post with its score / num_comments history, or null.
+ */
+export const getArchivedPost = async (postId) => {
+    await storesReady;
+    await flushPending();
+    const record = await stores.posts.findOneAsync({ _id: postId });
+    if (!record) return null;
+
+    const history = await stores.history.findAsync({ post_id: postId }).sort({ at: 1 });
+    return {
+        ...toArchivedItem(record),
+        history: history.map(point => ({
+            at: new Date(point.at).toISOString(),
+            score: point.score,
+            num_comments: point.num_comments,
+        })),
+    };
+};
+
+/**
+ * Describes the archive: whether it's enabled, how much it holds and the write counters.
+ */
+export const getArchiveStatus = async () => {
+    if (!ARCHIVE_ENABLED) return { enabled: false };
+    await storesReady;
+    return {
+        enabled: true,
+        directory: ARCHIVE_DIR,
+        posts: await stores.posts.countAsync({}),
+        comments: await stores.comments.countAsync({}),
+        history_points: await stores.history.countAsync({}),
+        pending_writes: pending.size,
+        ...stats,
+    };
+};
@@ -0,0 +1,261 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import dotenv from 'dotenv';
+
+// Load environment variables immediately, this module is evaluated before index.js runs dotenv.config()
+dotenv.config();
+
+/**
+ * Response cache for the redditApi Axios instance.
+ * The interceptors in redditService.js look responses up here before a request is paced/sent,
+ * and store successful GET responses afterwards.
+ */
+
+// Configurable options (from .env)
+const CACHE_BACKEND = (process.env.CACHE_BACKEND || 'memory').toLowerCase(); // 'memory' | 'file' | 'none'
+const CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 500;
+const CACHE_DIR = process.env.CACHE_DIR || './.cache/reddit';
+const CACHE_SWEEP_INTERVAL_SECONDS = parseInt(process.env.CACHE_SWEEP_INTERVAL_SECONDS, 10) || 300; // File backend only
+
+/**
+ * Per-route TTLs in seconds, matched against the upstream request path.
+ * Each can be overridden with CACHE_TTL_<NAME> (e.g. CACHE_TTL_ABOUT=3600), 0 disables caching for it.
+ * Paths that match no rule are not cached.
+ */
+const CACHE_RULES = [
+    { name: 'rules', pattern: /^\/r\/[^/]+\/about\/rules\/?$/, ttl: 3600 },
+    { name: 'about', pattern: /^\/r\/[^/]+\/about\/?$/, ttl: 900 },
+    { name: 'listing', pattern: /^\/r\/[^/]+\/(hot|new|top|rising|controversial|best)\/?$/, ttl: 60 },
+    { name: 'post', pattern: /^\/by_id\/[^/]+\/?$/, ttl: 60 },
+    { name: 'comments', pattern: /^\/comments\/[^/]+\/?$/, ttl: 60 },
+    { name: 'morechildren', pattern: /^\/api\/morechildren\/?$/, ttl: 300 },
+    { name: 'user', pattern: /^\/user\/[^/]+\/about\/?$/, ttl: 900 },
+    { name: 'search', pattern: /^(\/r\/[^/]+)?\/search\/?$/, ttl: 120 },
+].map(rule => {
+    const override = parseInt(process.env[`CACHE_TTL_${rule.name.toUpperCase()}`], 10);
+    return { ...rule, ttl: isNaN(override) ? rule.ttl : override };
+});
+
+/**
+ * In-memory LRU store. A Map keeps insertion order, so re-inserting on read
+ * moves an entry to the back and the first key is always the least recently used.
+ */
+class MemoryCacheStore {
+    constructor(maxEntries) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    async set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async size() {
+        return this.entries.size;
+    }
+}
+
+/**
+ * File-backed store, one JSON file per entry (file name is a hash of the key).
+ * Survives restarts; expired files are removed when they're read, and by sweep(), which also
+ * keeps the directory to maxEntries files.
+ */
+class FileCacheStore {
+    constructor(directory, maxEntries) {
+        this.directory = directory;
+        this.maxEntries = maxEntries;
+        this.sweeping = false;
+        this.ready = fs.mkdir(directory, { recursive: true });
+    }
+
+    filePath(key) {
+        const hash = crypto.createHash('sha1').update(key).digest('hex');
+        return path.join(this.directory, `${hash}.json`);
+    }
+
+    async get(key) {
+        await this.ready;
+        try {
+            return JSON.parse(await fs.readFile(this.filePath(key), 'utf8'));
+        } catch (error) {
+            return null; // Missing or unreadable entries are treated as a miss
+        }
+    }
+
+    async set(key, entry) {
+        await this.ready;
+        await fs.writeFile(this.filePath(key), JSON.stringify(entry));
+    }
+
+    async delete(key) {
+        await this.ready;
+        await fs.rm(this.filePath(key), { force: true });
+    }
+
+    async size() {
+        await this.ready;
+        return (await fs.readdir(this.directory)).filter(file => file.endsWith('.json')).length;
+    }
+
+    /**
+     * Removes expired and unreadable entries, then the least recently written ones beyond maxEntries.
+     * Returns the number of files removed.
+     */
+    async sweep() {
+        if (this.sweeping) return 0;
+        this.sweeping = true;
+        try {
+            await this.ready;
+            const now = Date.now();
+            const files = (await fs.readdir(this.directory)).filter(file => file.endsWith('.json'));
+            const kept = [];
+            let removed = 0;
+            for (const file of files) {
+                const filePath = path.join(this.directory, file);
+                try {
+                    const [content, info] = await Promise.all([fs.readFile(filePath, 'utf8'), fs.stat(filePath)]);
+                    if (JSON.parse(content).expiresAt > now) {
+                        kept.push({ filePath, writtenAt: info.mtimeMs });
+                        continue;
+                    }
+                } catch (error) {
+                    if (error.code === 'ENOENT') continue; // Removed in the meantime
+                }
+                await fs.rm(filePath, { force: true });
+                removed++;
+            }
+
+            const excess = kept.sort((a, b) => a.writtenAt - b.writtenAt).slice(0, Math.max(0, kept.length - this.maxEntries));
+            for (const { filePath } of excess) {
+                await fs.rm(filePath, { force: true });
+                removed++;
+            }
+            return removed;
+        } finally {
+            this.sweeping = false;
+        }
+    }
+}
+
+/**
+ * Sweeps the file store now and every CACHE_SWEEP_INTERVAL_SECONDS.
+ */
+function scheduleFileSweeps(fileStore) {
+    const sweep = () => fileStore.sweep()
+        .then(removed => {
+            if (removed > 0) console.log(`Response cache sweep removed ${removed} file(s).`);
+        })
+        .catch(error => {
+            stats.errors++;
+            console.warn('Response cache sweep failed:', error.message);
+        });
+    sweep();
+    setInterval(sweep, CACHE_SWEEP_INTERVAL_SECONDS * 1000).unref();
+}
+
+function createCacheStore() {
+    if (CACHE_BACKEND === 'none') return null;
+    if (CACHE_BACKEND === 'file') {
+        console.log(`Using file-backed response cache in ${CACHE_DIR} (max ${CACHE_MAX_ENTRIES} entries)`);
+        return new FileCacheStore(CACHE_DIR, CACHE_MAX_ENTRIES);
+    }
+    if (CACHE_BACKEND !== 'memory') {
+        console.warn(`Unknown CACHE_BACKEND '${CACHE_BACKEND}', falling back to the in-memory cache.`);
+    }
+    return new MemoryCacheStore(CACHE_MAX_ENTRIES);
+}
+
+const store = createCacheStore();
+const backendName = store instanceof FileCacheStore ? 'file' : (store ? 'memory' : 'none');
+const stats = { hits: 0, misses: 0, stores: 0, errors: 0 };
+if (store instanceof FileCacheStore) scheduleFileSweeps(store);
+
+/**
+ * Returns the TTL (seconds) for an upstream request path, 0 when it shouldn't be cached.
+ */
+export function getCacheTtl(requestPath) {
+    const rule = CACHE_RULES.find(r => r.pattern.test(requestPath));
+    return rule ? rule.ttl : 0;
+}
+
+/**
+ * Builds a stable cache key from an Axios request config (method, path and sorted params).
+ */
+export function getCacheKey(config) {
+    const params = config.params || {};
+    const sortedParams = Object.keys(params)
+        .filter(key => params[key] !== undefined)
+        .sort()
+        .map(key => `${key}=${params[key]}`)
+        .join('&');
+    return `${(config.method || 'get').toUpperCase()} ${config.url}?${sortedParams}`;
+}
+
+/**
+ * Looks up a cached response. Returns { data, status, headers, expiresAt } or null.
+ * Cache failures are never fatal, they just count as a miss.
+ */
+export async function getCachedResponse(key) {
+    if (!store) return null;
+    try {
+        const entry = await store.get(key);
+        if (entry && entry.expiresAt > Date.now()) {
+            stats.hits++;
+            return entry;
+        }
+        if (entry) await store.delete(key);
+    } catch (error) {
+        stats.errors++;
+        console.warn('Response cache lookup failed:', error.message);
+    }
+    stats.misses++;
+    return null;
+}
+
+/**
+ * Stores a response for ttl seconds.
+ */
+export async function setCachedResponse(key, response, ttl) {
+    if (!store || ttl <= 0) return;
+    try {
+        await store.set(key, {
+            data: response.data,
+            status: response.status,
+            headers: { 'content-type': response.headers?.['content-type'] },
+            storedAt: Date.now(),
+            expiresAt: Date.now() + ttl * 1000,
+        });
+        stats.stores++;
+    } catch (error) {
+        stats.errors++;
+        console.warn('Response cache store failed:', error.message);
+    }
+}
+
+/**
+ * Returns cache counters and the current number of entries.
+ */
+export async function getCacheStats() {
+    return {
+        backend: backendName,
+        entries: store ? await store.size() : 0,
+        ...stats,
+    };
+}
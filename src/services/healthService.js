@@ -0,0 +1,59 @@
+import dotenv from 'dotenv';
+import { DEFAULT_IDENTITY, getIdentityNames, getTokenStatus, getSchedulerStats } from './redditService.js';
+import { getUpstreamState } from './metricsService.js';
+
+// Load environment variables immediately, this module is evaluated before index.js runs dotenv.config()
+dotenv.config();
+
+// Configurable options (from .env)
+const READY_MAX_UPSTREAM_FAILURES = parseInt(process.env.READY_MAX_UPSTREAM_FAILURES, 10) || 5; // Consecutive network errors / 5xx
+const READY_MAX_QUEUE_DEPTH = parseInt(process.env.READY_MAX_QUEUE_DEPTH, 10) || 100;
+const READY_MAX_QUEUE_WAIT_MS = parseInt(process.env.READY_MAX_QUEUE_WAIT_MS, 10) || 30 * 1000;
+
+const startedAt = Date.now();
+
+/**
+ * Checks whether the service can answer requests:
+ *  - token:    the default identity holds a valid token, or hasn't failed to get one (it's fetched on demand)
+ *  - upstream: Reddit answered at least one of the last READY_MAX_UPSTREAM_FAILURES requests
+ *  - queue:    no identity's scheduler backlog is over READY_MAX_QUEUE_DEPTH requests or READY_MAX_QUEUE_WAIT_MS
+ * Returns { ready, checks: { token, upstream, queue } }, each check with ok plus what it looked at.
+ */
+export function getHealthReport() {
+    const identities = getIdentityNames().map(name => ({
+        name: name,
+        token: getTokenStatus(name),
+        scheduler: getSchedulerStats(name),
+    }));
+
+    const tokens = identities.map(({ name, token }) => ({
+        identity: name,
+        valid: token.valid,
+        expires_at: token.expires_at,
+        last_error: token.last_error,
+    }));
+    const defaultToken = getTokenStatus(DEFAULT_IDENTITY);
+    const token = { ok: defaultToken.valid || !defaultToken.last_error, identities: tokens };
+
+    const upstreamState = getUpstreamState();
+    const upstream = { ok: upstreamState.consecutive_failures < READY_MAX_UPSTREAM_FAILURES, ...upstreamState };
+
+    const queues = identities.map(({ name, scheduler }) => ({
+        identity: name,
+        queued: scheduler.queued.total,
+        active: scheduler.active,
+        oldest_queued_ms: scheduler.oldest_queued_ms,
+    }));
+    const queue = {
+        ok: queues.every(entry => entry.queued <= READY_MAX_QUEUE_DEPTH && entry.oldest_queued_ms <= READY_MAX_QUEUE_WAIT_MS),
+        max_depth: READY_MAX_QUEUE_DEPTH,
+        max_wait_ms: READY_MAX_QUEUE_WAIT_MS,
+        identities: queues,
+    };
+
+    return {
+        ready: token.ok && upstream.ok && queue.ok,
+        uptime_seconds: Math.floor((Date.now() - startedAt) / 1000),
+        checks: { token, upstream, queue },
+    };
+}
@@ -0,0 +1,187 @@
+import client from 'prom-client';
+
+/**
+ * Prometheus metrics, served at /metrics.
+ * Upstream requests, retries and cache lookups are counted as they happen (see redditService.js);
+ * rate limit, queue and token gauges are sampled from the identities on every scrape.
+ * Also keeps track of whether Reddit answered lately, for the readiness check.
+ */
+
+export const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const upstreamRequests = new client.Counter({
+    name: 'reddit_upstream_requests_total',
+    help: 'Requests sent to the Reddit API (cache hits excluded), by endpoint and response status.',
+    labelNames: ['identity', 'method', 'endpoint', 'status'],
+    registers: [registry],
+});
+
+const upstreamDuration = new client.Histogram({
+    name: 'reddit_upstream_request_duration_seconds',
+    help: 'Duration of requests to the Reddit API (without the time queued in the scheduler).',
+    labelNames: ['method', 'endpoint', 'status'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+    registers: [registry],
+});
+
+const upstreamRetries = new client.Counter({
+    name: 'reddit_upstream_retries_total',
+    help: 'Requests to the Reddit API retried by axios-retry, by endpoint and reason.',
+    labelNames: ['endpoint', 'reason'],
+    registers: [registry],
+});
+
+const cacheLookups = new client.Counter({
+    name: 'reddit_cache_lookups_total',
+    help: 'Response cache lookups of cacheable upstream requests (bypass = ?fresh=1).',
+    labelNames: ['result'],
+    registers: [registry],
+});
+
+const cacheHitRatio = new client.Gauge({
+    name: 'reddit_cache_hit_ratio',
+    help: 'Share of cache lookups answered from the cache since the start (bypasses excluded).',
+    registers: [registry],
+});
+
+const cacheEntries = new client.Gauge({
+    name: 'reddit_cache_entries',
+    help: 'Responses currently held by the response cache.',
+    registers: [registry],
+});
+
+const rateLimitRemaining = new client.Gauge({
+    name: 'reddit_ratelimit_remaining',
+    help: 'Requests left in the current Reddit rate limit window (x-ratelimit-remaining).',
+    labelNames: ['identity'],
+    registers: [registry],
+});
+
+const rateLimitReset = new client.Gauge({
+    name: 'reddit_ratelimit_reset_seconds',
+    help: 'Seconds until the Reddit rate limit window resets (x-ratelimit-reset).',
+    labelNames: ['identity'],
+    registers: [registry],
+});
+
+const queueDepth = new client.Gauge({
+    name: 'reddit_scheduler_queued_requests',
+    help: 'Upstream requests waiting in the scheduler queue.',
+    labelNames: ['identity', 'priority'],
+    registers: [registry],
+});
+
+const activeRequests = new client.Gauge({
+    name: 'reddit_scheduler_active_requests',
+    help: 'Upstream requests in flight.',
+    labelNames: ['identity'],
+    registers: [registry],
+});
+
+const tokenValid = new client.Gauge({
+    name: 'reddit_token_valid',
+    help: 'Whether the identity holds a valid access token (1) or not (0).',
+    labelNames: ['identity'],
+    registers: [registry],
+});
+
+// Whether Reddit answered lately: network errors, timeouts and 5xx count as failures
+const upstreamState = {
+    lastSuccessAt: null,
+    lastFailureAt: null,
+    lastFailure: null,
+    consecutiveFailures: 0,
+};
+
+/**
+ * Turns a request path into a low-cardinality endpoint label (/r/{subreddit}/new, /comments/{id}, ...).
+ */
+export const toEndpoint = (url = '') => url.split('?')[0]
+    .replace(/^\/r\/[^/]+/, '/r/{subreddit}')
+    .replace(/^\/(user|u)\/[^/]+/, '/user/{username}')
+    .replace(/^\/comments\/.*/, '/comments/{id}')
+    .replace(/^\/by_id\/.*/, '/by_id/{ids}');
+
+/**
+ * Describes how a request to Reddit ended, for the status label: the HTTP status, 'timeout' or 'network_error'.
+ */
+const toStatusLabel = (error, response) => {
+    if (response) return String(response.status);
+    if (error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT') return 'timeout';
+    return 'network_error';
+};
+
+/**
+ * Records a finished request to Reddit (response, or error when no response came back).
+ */
+export function recordUpstreamRequest({ identity, method, url, durationMs, response, error }) {
+    const labels = { method: (method || 'get').toUpperCase(), endpoint: toEndpoint(url), status: toStatusLabel(error, response) };
+    upstreamRequests.inc({ ...labels, identity });
+    upstreamDuration.observe(labels, durationMs / 1000);
+
+    if (!response || response.status >= 500) {
+        upstreamState.lastFailureAt = Date.now();
+        upstreamState.lastFailure = response ? `HTTP ${response.status}` : error?.message || labels.status;
+        upstreamState.consecutiveFailures++;
+    } else {
+        upstreamState.lastSuccessAt = Date.now();
+        upstreamState.consecutiveFailures = 0;
+    }
+}
+
+/**
+ * Records a retry scheduled by axios-retry.
+ */
+export function recordUpstreamRetry({ url, error }) {
+    const status = error.response?.status;
+    const reason = status === 429 ? 'rate_limited' : status ? String(status) : toStatusLabel(error);
+    upstreamRetries.inc({ endpoint: toEndpoint(url), reason });
+}
+
+/**
+ * Records a response cache lookup: 'hit', 'miss' or 'bypass'.
+ */
+export function recordCacheLookup(result) {
+    cacheLookups.inc({ result });
+}
+
+/**
+ * Returns whether Reddit answered lately (see upstreamState).
+ */
+export function getUpstreamState() {
+    return {
+        consecutive_failures: upstreamState.consecutiveFailures,
+        last_success_at: upstreamState.lastSuccessAt ? new Date(upstreamState.lastSuccessAt).toISOString() : null,
+        last_failure_at: upstreamState.lastFailureAt ? new Date(upstreamState.lastFailureAt).toISOString() : null,
+        last_failure: upstreamState.lastFailure,
+    };
+}
+
+/**
+ * Samples the gauges that describe current state, right before a scrape.
+ * identities: [{ name, token, scheduler }] (token and scheduler status as returned by redditService.js)
+ */
+export async function renderMetrics({ identities, cache }) {
+    identities.forEach(({ name, token, scheduler }) => {
+        tokenValid.set({ identity: name }, token?.valid ? 1 : 0);
+        if (!scheduler) return;
+        activeRequests.set({ identity: name }, scheduler.active);
+        Object.entries(scheduler.queued)
+            .filter(([priority]) => priority !== 'total')
+            .forEach(([priority, count]) => queueDepth.set({ identity: name, priority }, count));
+        if (scheduler.rate_limit) {
+            rateLimitRemaining.set({ identity: name }, scheduler.rate_limit.remaining);
+            // reset_seconds was true when the headers came in
+            const elapsedSeconds = (Date.now() - Date.parse(scheduler.rate_limit.updated_at)) / 1000;
+            rateLimitReset.set({ identity: name }, Math.max(0, scheduler.rate_limit.reset_seconds - elapsedSeconds));
+        }
+    });
+
+    const lookups = Object.fromEntries((await cacheLookups.get()).values.map(({ labels, value }) => [labels.result, value]));
+    const answered = (lookups.hit || 0) + (lookups.miss || 0);
+    cacheHitRatio.set(answered > 0 ? (lookups.hit || 0) / answered : 0);
+    cacheEntries.set(cache.entries);
+
+    return registry.metrics();
+}
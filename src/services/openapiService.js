@@ -0,0 +1,211 @@
+import { routeSchemas } from '../routes/routeSchemas.js';
+import { COMMON_QUERY } from '../middleware/validateRequest.js';
+import { getSchemaDocument } from '../normalizers/schemas.js';
+import { DEFAULT_SCHEMA_VERSION } from '../normalizers/index.js';
+import { AUTH_ENABLED } from './apiKeyService.js';
+import { ERROR_CODES } from '../utils/errors.js';
+
+/**
+ * Builds the OpenAPI 3.1 document served at /api/openapi.json from the route definitions
+ * (src/routes/routeSchemas.js) and the response object schemas (src/normalizers/schemas.js).
+ * Response objects are documented in the default schema version, the others are at /api/schemas/:version.
+ */
+
+const STREAM_MEDIA_TYPES = {
+    'application/x-ndjson': "One JSON object per line: {\"event\": 'post' | 'comment' | 'more' | 'progress' | 'end' | 'error', \"data\": ...}.",
+    'text/event-stream': "Server-Sent Events with the same events as the NDJSON stream.",
+};
+
+// Routes that don't need an API key: the schemas (public like the documentation) and the health checks
+const PUBLIC_TAGS = ['Schemas', 'Health'];
+
+// The JSON error envelope of every error response (see src/utils/errors.js)
+const ERROR_SCHEMA = {
+    type: 'object',
+    properties: {
+        error: {
+            type: 'object',
+            properties: {
+                code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+                message: { type: 'string' },
+                status: { type: 'integer' },
+                request_id: { type: 'string', description: 'Also sent as the X-Request-Id header.' },
+                retry_after: { type: 'integer', description: 'Seconds to wait before retrying, also sent as the Retry-After header.' },
+                details: { type: 'object' },
+            },
+            required: ['code', 'message', 'status', 'request_id'],
+        },
+    },
+    required: ['error'],
+};
+
+const EXPORT_MEDIA_TYPES = {
+    'text/csv': 'With ?format=csv: a header row, then one row per item (RFC 4180 quoting), sent as an attachment.',
+    'text/tab-separated-values': 'With ?format=tsv: like CSV, tabs and line breaks in values are escaped as \\t, \\n, \\r.',
+    'application/jsonl': 'With ?format=jsonl: one flat JSON object per line.',
+};
+
+/**
+ * Rewrites schema references to point into components.schemas:
+ * 'name' (route definitions) and '#/$defs/name' (normalizers/schemas.js) both become '#/components/schemas/name'.
+ */
+const resolveRefs = (schema) => JSON.parse(JSON.stringify(schema), (key, value) => {
+    if (key === '$ref' && typeof value === 'string') {
+        return `#/components/schemas/${value.replace(/^#\/\$defs\//, '')}`;
+    }
+    return value;
+});
+
+/**
+ * Converts a parameter definition (validateRequest format) to an OpenAPI parameter object.
+ */
+const toParameter = (name, location, definition) => {
+    const { required, description, patternMessage, ...schema } = definition;
+    return {
+        name: name,
+        in: location,
+        required: location === 'path' || Boolean(required),
+        ...(description && { description }),
+        schema: schema,
+    };
+};
+
+/**
+ * Converts body field definitions (validateRequest format) to an OpenAPI request body object.
+ */
+const toRequestBody = (definitions) => {
+    const properties = {};
+    const required = [];
+    Object.entries(definitions).forEach(([name, definition]) => {
+        const { required: isRequired, patternMessage, ...schema } = definition;
+        properties[name] = schema;
+        if (isRequired) required.push(name);
+    });
+    return {
+        required: true,
+        content: {
+            'application/json': {
+                schema: { type: 'object', properties, required, additionalProperties: false },
+            },
+        },
+    };
+};
+
+/**
+ * Builds the operation object of one route definition.
+ */
+const toOperation = (operationId, route) => {
+    const parameters = [
+        ...Object.entries(route.params || {}).map(([name, definition]) => toParameter(name, 'path', definition)),
+        ...Object.entries(route.query || {}).map(([name, definition]) => toParameter(name, 'query', definition)),
+        ...Object.keys(COMMON_QUERY).map(name => ({ $ref: `#/components/parameters/${name}` })),
+        { $ref: '#/components/parameters/identity' },
+    ];
+
+    // Routes answering something else than JSON name their content type
+    const content = route.contentType ? { [route.contentType]: { schema: { type: 'string' } } } : {
+        'application/json': { schema: route.response ? resolveRefs(route.response) : { type: 'object' } },
+    };
+    if (route.streaming) {
+        Object.entries(STREAM_MEDIA_TYPES).forEach(([mediaType, description]) => {
+            content[mediaType] = { schema: { type: 'string', description } };
+        });
+    }
+    if (route.exportable) {
+        Object.entries(EXPORT_MEDIA_TYPES).forEach(([mediaType, description]) => {
+            content[mediaType] = { schema: { type: 'string', description } };
+        });
+    }
+
+    const successStatus = route.successStatus || 200;
+    return {
+        operationId: operationId,
+        tags: [route.tag],
+        summary: route.summary,
+        ...(route.description && { description: route.description }),
+        parameters: parameters,
+        ...(route.body && { requestBody: toRequestBody(route.body) }),
+        ...(AUTH_ENABLED && PUBLIC_TAGS.includes(route.tag) && { security: [] }),
+        responses: {
+            [successStatus]: successStatus === 204 ? { description: 'No Content' } : {
+                description: route.streaming ? 'OK. Send an Accept header for one of the stream media types to stream the items.' : 'OK',
+                content: content,
+            },
+            400: { $ref: '#/components/responses/Error' },
+            ...(AUTH_ENABLED && !PUBLIC_TAGS.includes(route.tag) && {
+                401: { $ref: '#/components/responses/Error' },
+                429: { $ref: '#/components/responses/RateLimited' },
+            }),
+            default: { $ref: '#/components/responses/Error' },
+        },
+    };
+};
+
+let cachedDocument = null;
+
+/**
+ * Returns the OpenAPI document (built once, the definitions don't change at runtime).
+ */
+export const getOpenApiDocument = () => {
+    if (cachedDocument) return cachedDocument;
+
+    const paths = {};
+    Object.entries(routeSchemas).forEach(([operationId, route]) => {
+        paths[route.path] = paths[route.path] || {};
+        paths[route.path][route.method] = toOperation(operationId, route);
+    });
+
+    cachedDocument = {
+        openapi: '3.1.0',
+        info: {
+            title: 'Reddit Scraper API',
+            version: process.env.npm_package_version || '1.0.0',
+            description: `Wrapper around the Reddit API. Response objects are shown in schema version '${DEFAULT_SCHEMA_VERSION}', select another with ?schema= (JSON Schemas at /api/schemas).`,
+        },
+        servers: [{ url: '/' }],
+        tags: [...new Set(Object.values(routeSchemas).map(route => route.tag))].map(name => ({ name })),
+        paths: paths,
+        ...(AUTH_ENABLED && { security: [{ apiKey: [] }, { bearer: [] }] }),
+        components: {
+            ...(AUTH_ENABLED && {
+                securitySchemes: {
+                    apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+                    bearer: { type: 'http', scheme: 'bearer', description: 'The API key as a bearer token.' },
+                },
+            }),
+            schemas: resolveRefs(getSchemaDocument(DEFAULT_SCHEMA_VERSION).$defs),
+            parameters: {
+                ...Object.fromEntries(Object.entries(COMMON_QUERY).map(([name, definition]) => [name, toParameter(name, 'query', definition)])),
+                identity: {
+                    name: 'X-Reddit-Identity',
+                    in: 'header',
+                    required: false,
+                    description: 'Configured Reddit identity to make the upstream requests with (see /api/auth/status). API keys can only select the identities they list.',
+                    schema: { type: 'string' },
+                },
+            },
+            responses: {
+                Error: {
+                    description: 'Error',
+                    content: {
+                        'application/json': {
+                            schema: ERROR_SCHEMA,
+                        },
+                    },
+                },
+                RateLimited: {
+                    description: "The API key's rate limit or daily quota is used up",
+                    headers: {
+                        'Retry-After': { description: 'Seconds until the request can be retried.', schema: { type: 'integer' } },
+                    },
+                    content: {
+                        'application/json': {
+                            schema: ERROR_SCHEMA,
+                        },
+                    },
+                },
+            },
+        },
+    };
+    return cachedDocument;
+};
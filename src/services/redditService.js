@@ -1,20 +1,30 @@
+import fs from 'node:fs';
 import axios from 'axios';
 import axiosRetry from 'axios-retry'; // Import axios-retry
 import dotenv from 'dotenv';
+import { getCacheKey, getCacheTtl, getCachedResponse, setCachedResponse } from './cacheService.js';
+import { getRequestContext } from '../middleware/requestContext.js';
+import { RequestScheduler } from './requestScheduler.js';
+import { createTokenProvider } from './tokenProvider.js';
+import { ApiError } from '../utils/errors.js';
+import { recordUpstreamRequest, recordUpstreamRetry, recordCacheLookup } from './metricsService.js';
 
 // Load environment variables immediately (though index.js should also do this)
 // This ensures they are available if this module is imported elsewhere before index runs fully.
 dotenv.config();
 
-const REDDIT_API_BASE_URL = 'https://oauth.reddit.com';
-const REDDIT_TOKEN_URL = 'https://www.reddit.com/api/v1/access_token';
+// Both can be pointed at a local mock server for testing
+const REDDIT_API_BASE_URL = process.env.REDDIT_API_BASE_URL || 'https://oauth.reddit.com';
+const REDDIT_TOKEN_URL = process.env.REDDIT_TOKEN_URL || 'https://www.reddit.com/api/v1/access_token';
 
 const clientId = process.env.REDDIT_CLIENT_ID;
 const clientSecret = process.env.REDDIT_CLIENT_SECRET;
 const userAgent = process.env.REDDIT_USER_AGENT;
 
-// Configurable options (could also be from .env)
-const BASE_REQUEST_DELAY_MS = 1100; // Add ~1.1 second delay between requests
+// Configurable options (from .env, with defaults)
+const BASE_REQUEST_DELAY_MS = parseInt(process.env.REDDIT_MIN_INTERVAL_MS, 10) || 1100; // ~1.1 second average spacing between requests
+const REQUEST_CONCURRENCY = parseInt(process.env.REDDIT_CONCURRENCY, 10) || 2; // Max requests in flight
+const REQUEST_BURST = parseInt(process.env.REDDIT_BURST, 10) || 1; // Requests that may start back to back
 const RETRY_COUNT = 3;
 
 // Basic check for essential credentials
@@ -24,72 +34,115 @@ if (!clientId || !clientSecret || !userAgent) {
     process.exit(1);
 }
 
-let accessToken = null;
-let tokenExpiry = null;
-let isFetchingToken = false; // Simple flag to prevent concurrent token requests
-let lastRequestTime = 0; // Track time of last request
+// Identity used when a request doesn't select one
+export const DEFAULT_IDENTITY = 'app';
 
 /**
- * Fetches an application-only access token from Reddit.
- * Uses Basic Authentication with Client ID and Client Secret.
+ * Reads the identity definitions from the environment.
+ * 'app' (application-only, client_credentials) always exists. User-context identities come from:
+ *  - REDDIT_USERNAME + REDDIT_PASSWORD -> 'user' (password grant, needs a "script" app)
+ *  - REDDIT_REFRESH_TOKEN -> 'refresh' (refresh_token grant)
+ *  - REDDIT_IDENTITIES_FILE -> JSON array of
+ *    { name, grant_type: 'password' | 'refresh_token', username, password, refresh_token,
+ *      client_id?, client_secret? }
+ * Which API keys may use an identity is set on the keys (identities, see apiKeyService.js).
  */
-async function getAppOnlyToken() {
-    if (isFetchingToken) {
-        console.log('Token fetch already in progress, waiting...');
-        // Basic wait mechanism - could be improved with Promises
-        await new Promise(resolve => setTimeout(resolve, 1000)); 
-        return accessToken; // Return potentially updated token
-    }
+function loadIdentityConfigs() {
+    const configs = [{ name: DEFAULT_IDENTITY, grant_type: 'client_credentials' }];
 
-    isFetchingToken = true;
-    console.log('Fetching new Reddit application-only access token...');
+    if (process.env.REDDIT_USERNAME && process.env.REDDIT_PASSWORD) {
+        configs.push({
+            name: 'user',
+            grant_type: 'password',
+            username: process.env.REDDIT_USERNAME,
+            password: process.env.REDDIT_PASSWORD,
+        });
+    }
+    if (process.env.REDDIT_REFRESH_TOKEN) {
+        configs.push({ name: 'refresh', grant_type: 'refresh_token', refresh_token: process.env.REDDIT_REFRESH_TOKEN });
+    }
 
-    try {
-        const authString = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
-        
-        const response = await axios.post(REDDIT_TOKEN_URL, 
-            'grant_type=client_credentials', // Form data
-            {
-                headers: {
-                    'Authorization': `Basic ${authString}`,
-                    'User-Agent': userAgent,
-                    'Content-Type': 'application/x-www-form-urlencoded'
-                }
-            }
-        );
-
-        if (response.data && response.data.access_token) {
-            accessToken = response.data.access_token;
-            // Calculate expiry time (response.data.expires_in is in seconds)
-            // Subtract a buffer (e.g., 60 seconds) to request a new token before actual expiry
-            tokenExpiry = Date.now() + (response.data.expires_in - 60) * 1000; 
-            console.log('Successfully obtained Reddit access token.');
-            isFetchingToken = false;
-            return accessToken;
-        } else {
-            throw new Error('Invalid response received from Reddit token endpoint');
+    if (process.env.REDDIT_IDENTITIES_FILE) {
+        try {
+            const fileConfigs = JSON.parse(fs.readFileSync(process.env.REDDIT_IDENTITIES_FILE, 'utf8'));
+            configs.push(...fileConfigs);
+        } catch (error) {
+            console.error(`FATAL ERROR: Could not read identities from ${process.env.REDDIT_IDENTITIES_FILE}:`, error.message);
+            process.exit(1);
         }
-    } catch (error) {
-        console.error('Error fetching Reddit access token:', error.response ? error.response.data : error.message);
-        accessToken = null; 
-        tokenExpiry = null;
-        isFetchingToken = false;
-        // Depending on the error, you might want to throw it to stop the application
-        // or allow retries later.
-        throw new Error(`Failed to obtain Reddit access token. Check credentials and Reddit status. ${error.message}`); 
     }
+
+    return configs;
 }
 
 /**
- * Checks if the current token is valid (exists and not expired).
+ * Builds the token request fields for an identity's grant type.
  */
-function isTokenValid() {
-    return accessToken && tokenExpiry && Date.now() < tokenExpiry;
+function getGrantFields(identityConfig) {
+    switch (identityConfig.grant_type) {
+        case 'client_credentials':
+            return { grant_type: 'client_credentials' };
+        case 'password':
+            return { grant_type: 'password', username: identityConfig.username, password: identityConfig.password };
+        case 'refresh_token':
+            return { grant_type: 'refresh_token', refresh_token: identityConfig.refresh_token };
+        default:
+            throw new Error(`Unsupported grant_type '${identityConfig.grant_type}' for identity '${identityConfig.name}'.`);
+    }
+}
+
+/**
+ * Creates an identity: its own token provider (see tokenProvider.js) and its own request
+ * scheduler (see requestScheduler.js), since Reddit rate-limits every OAuth client/user separately.
+ */
+function createIdentity(identityConfig) {
+    return {
+        name: identityConfig.name,
+        grantType: identityConfig.grant_type,
+        username: identityConfig.username || null,
+        tokenProvider: createTokenProvider({
+            clientId: identityConfig.client_id || clientId,
+            clientSecret: identityConfig.client_secret || clientSecret,
+            userAgent,
+            tokenUrl: REDDIT_TOKEN_URL,
+            grant: getGrantFields(identityConfig),
+        }),
+        scheduler: new RequestScheduler({
+            concurrency: REQUEST_CONCURRENCY,
+            minIntervalMs: BASE_REQUEST_DELAY_MS,
+            burst: REQUEST_BURST,
+        }),
+    };
+}
+
+const identities = new Map();
+loadIdentityConfigs().forEach(identityConfig => {
+    if (!identityConfig.name || identities.has(identityConfig.name)) {
+        console.error(`FATAL ERROR: Identity names must be unique and non-empty (got '${identityConfig.name}').`);
+        process.exit(1);
+    }
+    if (identityConfig.api_keys) {
+        console.error(`FATAL ERROR: api_keys of identity '${identityConfig.name}' is no longer supported. List the identity in the identities of the API key instead (API_KEYS_FILE).`);
+        process.exit(1);
+    }
+    identities.set(identityConfig.name, createIdentity(identityConfig));
+});
+
+/**
+ * Resolves the identity for an upstream request: explicit config, then the request context, then 'app'.
+ */
+function resolveIdentity(config) {
+    const name = config.identity || getRequestContext()?.identity || DEFAULT_IDENTITY;
+    const identity = identities.get(name);
+    if (!identity) {
+        throw new Error(`Unknown Reddit identity '${name}'.`);
+    }
+    return identity;
 }
 
 /**
  * Creates an Axios instance configured for making authenticated requests to the Reddit API.
- * Includes token refresh, request delay, and retry logic.
+ * Includes token refresh, request scheduling, caching and retry logic.
  */
 const redditApi = axios.create({
     baseURL: REDDIT_API_BASE_URL,
@@ -98,45 +151,119 @@ const redditApi = axios.create({
     }
 });
 
+// Route the actual HTTP call through the identity's scheduler. Wrapping the adapter (instead of sleeping
+// in an interceptor) means the slot is held for the whole request, and cache hits (which swap in their
+// own adapter) never wait in the queue.
+// Priority comes from the request config ({ priority: 'bulk' }) or the request context, default 'interactive'.
+const httpAdapter = axios.getAdapter(redditApi.defaults.adapter);
+redditApi.defaults.adapter = (config) => {
+    const { scheduler, name: identity } = resolveIdentity(config);
+    const priority = config.priority || getRequestContext()?.priority || 'interactive';
+    return scheduler.schedule(async () => {
+        const startedAt = Date.now();
+        const record = (outcome) => recordUpstreamRequest({ identity, method: config.method, url: config.url, durationMs: Date.now() - startedAt, ...outcome });
+        try {
+            const response = await httpAdapter(config);
+            record({ response });
+            scheduler.updateFromHeaders(response.headers);
+            return response;
+        } catch (error) {
+            record({ response: error.response, error });
+            if (error.response) scheduler.updateFromHeaders(error.response.headers);
+            throw error;
+        }
+    }, { priority });
+};
+
 // Axios request interceptor
 redditApi.interceptors.request.use(async (config) => {
-    // 1. Enforce Delay Between Requests
-    const now = Date.now();
-    const timeSinceLastRequest = now - lastRequestTime;
-    if (timeSinceLastRequest < BASE_REQUEST_DELAY_MS) {
-        const delay = BASE_REQUEST_DELAY_MS - timeSinceLastRequest;
-        console.log(`Delaying request by ${delay}ms to respect rate limits...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
+    // Cached responses never reach Reddit, so they don't need a token
+    if (config.cacheStatus === 'HIT') {
+        return config;
     }
-    // Update last request time *before* making the request
-    lastRequestTime = Date.now(); 
 
-    // 2. Check and Refresh Token
-    if (!isTokenValid()) {
-        console.log('Access token invalid or expired, fetching new token...');
-        try {
-            await getAppOnlyToken(); // Fetch new token
-        } catch (tokenError) {
-            console.error('Failed to refresh token during request interception:', tokenError);
-            return Promise.reject(tokenError); 
-        }
-    }
-    
-    // 3. Add Authorization Header
-    if (accessToken) {
-        config.headers.Authorization = `Bearer ${accessToken}`;
-    } else {
-        // This shouldn't happen if getAppOnlyToken worked, but handle defensively
-        console.error('Cannot make API request: No valid access token available.');
-        return Promise.reject(new Error('No valid access token available'));
+    // 1. Get a valid token (concurrent requests share a single refresh)
+    // (Pacing happens in the scheduled adapter above, right before the request is sent)
+    let accessToken;
+    try {
+        accessToken = await resolveIdentity(config).tokenProvider.getToken();
+    } catch (tokenError) {
+        console.error('Failed to refresh token during request interception:', tokenError.message);
+        return Promise.reject(new ApiError('AUTH_FAILED', 'Could not obtain a Reddit access token for this service.', { cause: tokenError }));
     }
 
+    // 2. Add Authorization Header
+    config.headers.Authorization = `Bearer ${accessToken}`;
+    config.accessToken = accessToken; // Remembered so a 401 only invalidates this exact token
+
     return config;
 }, (error) => {
     // Handle request configuration errors
     return Promise.reject(error);
 });
 
+// Cache lookup interceptor.
+// Axios runs request interceptors in reverse order of registration, so this one runs
+// before the token interceptor above and can short-circuit it on a hit.
+redditApi.interceptors.request.use(async (config) => {
+    // Pin the identity on the config so retries and every later stage use the same one
+    config.identity = resolveIdentity(config).name;
+
+    const method = (config.method || 'get').toLowerCase();
+    if (method !== 'get' || config.cacheStatus) {
+        return config; // Only GETs are cached, and retries keep their original lookup
+    }
+
+    const context = getRequestContext();
+    const ttl = getCacheTtl(config.url);
+    // Identities can see different content (private subreddits), so they never share entries
+    const cacheKey = `${config.identity} ${getCacheKey(config)}`;
+    const cached = ttl > 0 && !context?.bypassCache ? await getCachedResponse(cacheKey) : null;
+    if (ttl > 0) recordCacheLookup(cached ? 'hit' : context?.bypassCache ? 'bypass' : 'miss');
+
+    if (cached) {
+        config.cacheStatus = 'HIT';
+        // Serve the stored response instead of performing the HTTP request
+        config.adapter = async () => ({
+            data: cached.data,
+            status: cached.status,
+            statusText: 'OK',
+            headers: { ...cached.headers, 'x-cache': 'HIT' },
+            config: config,
+            request: {},
+        });
+        context?.cacheLookups.push({ status: 'HIT', ttlRemaining: Math.floor((cached.expiresAt - Date.now()) / 1000) });
+    } else {
+        config.cacheStatus = 'MISS';
+        config.cacheKey = cacheKey;
+        config.cacheTtl = ttl;
+        context?.cacheLookups.push({ status: 'MISS', ttlRemaining: ttl });
+    }
+    return config;
+});
+
+// Store successful responses for cacheable requests
+redditApi.interceptors.response.use(async (response) => {
+    const { config } = response;
+    if (config.cacheStatus === 'MISS' && config.cacheTtl > 0 && response.status === 200) {
+        await setCachedResponse(config.cacheKey, response, config.cacheTtl);
+    }
+    return response;
+});
+
+// A token can be revoked before its expiry, Reddit then answers 401.
+// Drop the token and replay the request once with a freshly fetched one.
+redditApi.interceptors.response.use(undefined, async (error) => {
+    const config = error.config;
+    if (error.response?.status === 401 && config && !config.authRetried) {
+        console.warn(`Reddit rejected the access token for ${config.url}, refreshing and retrying once...`);
+        config.authRetried = true;
+        resolveIdentity(config).tokenProvider.invalidate(config.accessToken);
+        return redditApi(config);
+    }
+    return Promise.reject(error);
+});
+
 // Configure axios-retry
 axiosRetry(redditApi, {
     retries: RETRY_COUNT, // Number of retries
@@ -152,20 +279,85 @@ axiosRetry(redditApi, {
         return error.response?.status === 429 || axiosRetry.isNetworkOrIdempotentRequestError(error);
     },
     shouldResetTimeout: true, // Reset timeout on retries
+    onRetry: (retryCount, error, requestConfig) => recordUpstreamRetry({ url: requestConfig.url, error }),
 });
 
 // --- Initial Token Fetch --- 
-// Immediately try to fetch a token when the service loads.
+// Immediately try to fetch a token for every identity when the service loads.
 // This is async, so subsequent imports might get the axios instance before
 // the token is ready, but the interceptor will handle fetching it on the first request.
-getAppOnlyToken().catch(error => {
-    console.error("Initial token fetch failed on service load:", error.message);
-    // The application might still run, but API calls will fail until a token is obtained.
+identities.forEach(identity => {
+    identity.tokenProvider.getToken().catch(error => {
+        console.error(`Initial token fetch for identity '${identity.name}' failed on service load:`, error.message);
+        // The application might still run, but API calls will fail until a token is obtained.
+    });
 });
 
 
+/**
+ * Replaces an identity's token provider (e.g. with one pointed at a mock token endpoint).
+ */
+export function setTokenProvider(provider, identityName = DEFAULT_IDENTITY) {
+    const identity = identities.get(identityName);
+    if (!identity) throw new Error(`Unknown Reddit identity '${identityName}'.`);
+    identity.tokenProvider = provider;
+}
+
+/**
+ * Returns the state of an identity's access token.
+ */
+export function getTokenStatus(identityName = DEFAULT_IDENTITY) {
+    return identities.get(identityName)?.tokenProvider.getStatus() || null;
+}
+
+/**
+ * Returns queue depth, wait times and rate limit state of an identity's request scheduler.
+ */
+export function getSchedulerStats(identityName = DEFAULT_IDENTITY) {
+    return identities.get(identityName)?.scheduler.getStats() || null;
+}
+
+/**
+ * Returns the names of the configured identities.
+ */
+export function getIdentityNames() {
+    return [...identities.keys()];
+}
+
+/**
+ * Checks whether an identity with this name is configured.
+ */
+export function hasIdentity(name) {
+    return identities.has(name);
+}
+
+/**
+ * Describes every configured identity (never includes secrets or tokens).
+ * With verify=true, a token is fetched for identities that have none, so broken credentials show up.
+ */
+export async function getIdentityStatuses({ verify = false } = {}) {
+    const statuses = [];
+    for (const identity of identities.values()) {
+        if (verify && !identity.tokenProvider.isValid()) {
+            await identity.tokenProvider.getToken().catch(() => {}); // The error ends up in the token status
+        }
+        const token = identity.tokenProvider.getStatus();
+        const scheduler = identity.scheduler.getStats();
+        statuses.push({
+            name: identity.name,
+            grant_type: identity.grantType,
+            username: identity.username,
+            default: identity.name === DEFAULT_IDENTITY,
+            // Healthy while it holds a valid token, or hasn't failed to get one yet
+            healthy: token.valid || !token.last_error,
+            token: token,
+            rate_limit: scheduler.rate_limit,
+            queued: scheduler.queued.total,
+        });
+    }
+    return statuses;
+}
+
 // Export the configured Axios instance as the primary way to interact with the API
 export default redditApi;
-
-// You could also export helper functions if needed, e.g.:
-// export { getAppOnlyToken }; 
\ No newline at end of file
+ 
\ No newline at end of file
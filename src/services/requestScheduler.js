@@ -0,0 +1,187 @@
+/**
+ * Concurrency-safe scheduler for upstream Reddit requests.
+ * Requests wait in one FIFO queue per priority and are started when both a concurrency slot
+ * and a token from the token bucket are available. The bucket's refill rate adapts to
+ * Reddit's X-Ratelimit-Remaining / X-Ratelimit-Reset headers.
+ */
+
+// Lower index = served first. 'interactive' requests jump ahead of queued 'bulk' crawls.
+export const PRIORITIES = ['interactive', 'bulk'];
+
+// Number of recent wait times kept for the stats
+const WAIT_SAMPLE_SIZE = 200;
+
+export class RequestScheduler {
+    /**
+     * @param {object} options
+     * @param {number} options.concurrency - max requests in flight at once
+     * @param {number} options.minIntervalMs - fastest allowed average spacing between request starts
+     * @param {number} options.burst - token bucket capacity (requests that may start back to back)
+     */
+    constructor({ concurrency = 1, minIntervalMs = 1100, burst = 1 } = {}) {
+        this.concurrency = concurrency;
+        this.minIntervalMs = minIntervalMs;
+        this.intervalMs = minIntervalMs; // Current refill interval, only ever slower than minIntervalMs
+        this.burst = burst;
+
+        this.tokens = burst;
+        this.lastRefill = Date.now();
+        this.pausedUntil = 0; // Set when Reddit reports no remaining requests in the current window
+
+        this.queues = Object.fromEntries(PRIORITIES.map(priority => [priority, []]));
+        this.active = 0;
+        this.timer = null;
+
+        this.rateLimit = null; // Last X-Ratelimit-* values seen
+        this.completed = 0;
+        this.failed = 0;
+        this.waitSamples = Object.fromEntries(PRIORITIES.map(priority => [priority, []]));
+    }
+
+    /**
+     * Queues a task (a function returning a promise) and resolves/rejects with its result.
+     */
+    schedule(task, { priority = 'interactive' } = {}) {
+        const queueName = PRIORITIES.includes(priority) ? priority : 'interactive';
+        return new Promise((resolve, reject) => {
+            this.queues[queueName].push({ task, resolve, reject, priority: queueName, enqueuedAt: Date.now() });
+            this.drain();
+        });
+    }
+
+    /**
+     * Adapts the refill rate to Reddit's rate limit headers.
+     * With R requests remaining and the window resetting in S seconds, requests are spread
+     * evenly over what's left of the window (never faster than minIntervalMs).
+     */
+    updateFromHeaders(headers = {}) {
+        const remaining = parseFloat(headers['x-ratelimit-remaining']);
+        const resetSeconds = parseFloat(headers['x-ratelimit-reset']);
+        if (!Number.isFinite(remaining) || !Number.isFinite(resetSeconds)) return;
+
+        const now = Date.now();
+        this.rateLimit = {
+            remaining: remaining,
+            used: parseFloat(headers['x-ratelimit-used']) || null,
+            reset_seconds: resetSeconds,
+            updated_at: new Date(now).toISOString(),
+        };
+
+        if (remaining < 1) {
+            this.pausedUntil = now + resetSeconds * 1000;
+            console.warn(`Reddit rate limit exhausted, pausing upstream requests for ${resetSeconds}s.`);
+        } else {
+            this.pausedUntil = 0;
+            // Keep one request of headroom for requests already in flight
+            this.intervalMs = Math.max(this.minIntervalMs, (resetSeconds * 1000) / Math.max(remaining - this.active, 1));
+        }
+        this.drain();
+    }
+
+    refillTokens(now) {
+        const elapsed = now - this.lastRefill;
+        this.tokens = Math.min(this.burst, this.tokens + elapsed / this.intervalMs);
+        this.lastRefill = now;
+    }
+
+    nextJob() {
+        for (const priority of PRIORITIES) {
+            if (this.queues[priority].length > 0) return this.queues[priority].shift();
+        }
+        return null;
+    }
+
+    queuedCount() {
+        return PRIORITIES.reduce((total, priority) => total + this.queues[priority].length, 0);
+    }
+
+    /**
+     * Starts as many queued jobs as slots and tokens allow, and schedules a wake-up
+     * for when the next token becomes available.
+     */
+    drain() {
+        while (this.active < this.concurrency && this.queuedCount() > 0) {
+            const now = Date.now();
+            if (now < this.pausedUntil) {
+                return this.wakeUpIn(this.pausedUntil - now);
+            }
+
+            this.refillTokens(now);
+            if (this.tokens < 1) {
+                return this.wakeUpIn((1 - this.tokens) * this.intervalMs);
+            }
+
+            this.tokens -= 1;
+            this.run(this.nextJob(), now);
+        }
+    }
+
+    wakeUpIn(delayMs) {
+        if (this.timer) return;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.drain();
+        }, Math.ceil(delayMs));
+    }
+
+    run(job, startedAt) {
+        this.active++;
+        this.recordWait(job.priority, startedAt - job.enqueuedAt);
+
+        Promise.resolve()
+            .then(job.task)
+            .then(result => {
+                this.completed++;
+                job.resolve(result);
+            }, error => {
+                this.failed++;
+                job.reject(error);
+            })
+            .finally(() => {
+                this.active--;
+                this.drain();
+            });
+    }
+
+    recordWait(priority, waitMs) {
+        const samples = this.waitSamples[priority];
+        samples.push(waitMs);
+        if (samples.length > WAIT_SAMPLE_SIZE) samples.shift();
+    }
+
+    /**
+     * Queue depth, in-flight requests, wait times and the current pacing.
+     */
+    getStats() {
+        const now = Date.now();
+        const waitStats = Object.fromEntries(PRIORITIES.map(priority => {
+            const samples = this.waitSamples[priority];
+            const sorted = [...samples].sort((a, b) => a - b);
+            return [priority, {
+                samples: samples.length,
+                avg_ms: samples.length ? Math.round(samples.reduce((sum, ms) => sum + ms, 0) / samples.length) : 0,
+                p95_ms: sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))] : 0,
+                max_ms: sorted.length ? sorted[sorted.length - 1] : 0,
+            }];
+        }));
+
+        return {
+            concurrency: this.concurrency,
+            active: this.active,
+            queued: {
+                ...Object.fromEntries(PRIORITIES.map(priority => [priority, this.queues[priority].length])),
+                total: this.queuedCount(),
+            },
+            oldest_queued_ms: Math.max(0, ...PRIORITIES.map(priority => {
+                const oldest = this.queues[priority][0];
+                return oldest ? now - oldest.enqueuedAt : 0;
+            })),
+            interval_ms: Math.round(this.intervalMs),
+            paused_until: this.pausedUntil > now ? new Date(this.pausedUntil).toISOString() : null,
+            completed: this.completed,
+            failed: this.failed,
+            wait: waitStats,
+            rate_limit: this.rateLimit,
+        };
+    }
+}
@@ -0,0 +1,122 @@
+import axios from 'axios';
+
+/**
+ * Creates a token provider that owns one Reddit OAuth token.
+ * All callers that need a token while it is missing/expired await the same in-flight refresh,
+ * so there is never more than one request to the token endpoint at a time.
+ *
+ * Everything it talks to is injectable (token URL, HTTP client, clock), which lets it run
+ * against a local mock token endpoint.
+ *
+ * @param {object} options
+ * @param {string} options.clientId
+ * @param {string} options.clientSecret
+ * @param {string} options.userAgent
+ * @param {string} [options.tokenUrl] - defaults to Reddit's access_token endpoint
+ * @param {object} [options.grant] - form fields for the token request, defaults to the app-only grant
+ * @param {object} [options.httpClient] - anything with an Axios compatible post(), defaults to axios
+ * @param {number} [options.expiryBufferSeconds] - refresh this long before the token actually expires
+ * @param {Function} [options.now] - clock, defaults to Date.now
+ */
+export function createTokenProvider({
+    clientId,
+    clientSecret,
+    userAgent,
+    tokenUrl = 'https://www.reddit.com/api/v1/access_token',
+    grant = { grant_type: 'client_credentials' },
+    httpClient = axios,
+    expiryBufferSeconds = 60,
+    now = Date.now,
+}) {
+    let accessToken = null;
+    let tokenExpiry = null;
+    let refreshPromise = null; // Shared by every caller waiting for the current refresh
+    let lastRefreshAt = null;
+    let lastError = null;
+    let refreshCount = 0;
+
+    const isValid = () => Boolean(accessToken && tokenExpiry && now() < tokenExpiry);
+
+    /**
+     * Requests a new token from the token endpoint.
+     * Uses Basic Authentication with Client ID and Client Secret.
+     */
+    const fetchToken = async () => {
+        console.log(`Fetching new Reddit access token (${grant.grant_type})...`);
+        try {
+            const authString = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
+
+            const response = await httpClient.post(tokenUrl,
+                new URLSearchParams(grant).toString(), // Form data
+                {
+                    headers: {
+                        'Authorization': `Basic ${authString}`,
+                        'User-Agent': userAgent,
+                        'Content-Type': 'application/x-www-form-urlencoded'
+                    }
+                }
+            );
+
+            // Reddit answers some failures (e.g. wrong password) with 200 and an 'error' field
+            if (!response.data || !response.data.access_token) {
+                throw new Error(response.data?.error || 'Invalid response received from Reddit token endpoint');
+            }
+
+            accessToken = response.data.access_token;
+            // Subtract a buffer to request a new token before the actual expiry (expires_in is in seconds)
+            tokenExpiry = now() + (response.data.expires_in - expiryBufferSeconds) * 1000;
+            lastRefreshAt = now();
+            lastError = null;
+            refreshCount++;
+            console.log('Successfully obtained Reddit access token.');
+            return accessToken;
+        } catch (error) {
+            console.error('Error fetching Reddit access token:', error.response ? error.response.data : error.message);
+            accessToken = null;
+            tokenExpiry = null;
+            lastError = { message: error.message, at: new Date(now()).toISOString() };
+            throw new Error(`Failed to obtain Reddit access token. Check credentials and Reddit status. ${error.message}`);
+        }
+    };
+
+    return {
+        /**
+         * Resolves with a valid token, refreshing it first if needed.
+         */
+        getToken() {
+            if (isValid()) return Promise.resolve(accessToken);
+            if (!refreshPromise) {
+                refreshPromise = fetchToken().finally(() => { refreshPromise = null; });
+            }
+            return refreshPromise;
+        },
+
+        /**
+         * Drops the current token so the next getToken() refreshes it.
+         * When the rejected token is passed, a token that was already replaced by a newer one
+         * (e.g. by a concurrent request's refresh) is left alone.
+         */
+        invalidate(rejectedToken) {
+            if (rejectedToken && rejectedToken !== accessToken) return;
+            accessToken = null;
+            tokenExpiry = null;
+        },
+
+        isValid,
+
+        /**
+         * Token state for status/health reporting (never includes the token itself).
+         */
+        getStatus() {
+            return {
+                grant_type: grant.grant_type,
+                valid: isValid(),
+                expires_at: tokenExpiry ? new Date(tokenExpiry).toISOString() : null,
+                refreshing: Boolean(refreshPromise),
+                last_refresh_at: lastRefreshAt ? new Date(lastRefreshAt).toISOString() : null,
+                refresh_count: refreshCount,
+                last_error: lastError,
+            };
+        },
+    };
+}
@@ -0,0 +1,240 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import dotenv from 'dotenv';
+import redditApi from './redditService.js';
+import { runInContext } from '../middleware/requestContext.js';
+
+// Load environment variables immediately, this module is evaluated before index.js runs dotenv.config()
+dotenv.config();
+
+/**
+ * Subreddit trend snapshots: every TRENDS_INTERVAL_SECONDS the subreddits listed in TRENDS_SUBREDDITS
+ * are sampled and a snapshot is recorded:
+ *  - subscribers / active_user_count from /about
+ *  - new_posts_per_hour: post velocity, from the creation times in the first page of /new
+ *  - hot_avg_score / hot_avg_comments: averages over the first page of /hot (stickied posts left out)
+ * Snapshots are persisted to DATA_DIR/trends.json and kept for TRENDS_RETENTION_DAYS.
+ */
+
+// Configurable options (from .env)
+const DATA_DIR = process.env.DATA_DIR || './data';
+const TRENDS_FILE = path.join(DATA_DIR, 'trends.json');
+export const TRENDS_INTERVAL_SECONDS = Math.max(300, parseInt(process.env.TRENDS_INTERVAL_SECONDS, 10) || 3600);
+export const TRENDS_RETENTION_DAYS = parseInt(process.env.TRENDS_RETENTION_DAYS, 10) || 90;
+
+// Page size of the /new and /hot samples (Reddit's max)
+const SAMPLE_PAGE_SIZE = 100;
+// Longest window the post velocity is measured over
+const VELOCITY_WINDOW_SECONDS = 24 * 3600;
+
+/**
+ * Reads the tracked subreddits from TRENDS_SUBREDDITS. Exits on a broken configuration, like the API keys.
+ */
+function loadTrackedSubreddits() {
+    const names = (process.env.TRENDS_SUBREDDITS || '').split(',').map(name => name.trim().replace(/^r\//i, '')).filter(Boolean);
+    const invalid = names.find(name => !/^[A-Za-z0-9_]{1,21}$/.test(name));
+    if (invalid) {
+        console.error(`FATAL ERROR: '${invalid}' in TRENDS_SUBREDDITS is not a subreddit name.`);
+        process.exit(1);
+    }
+    return [...new Set(names.map(name => name.toLowerCase()))];
+}
+
+const trackedSubreddits = loadTrackedSubreddits();
+
+export const TRENDS_ENABLED = trackedSubreddits.length > 0;
+
+// lowercase name -> { snapshots: [...], last_attempt_at, last_error } (persisted)
+let trends = {};
+let timer = null;
+let saveQueue = Promise.resolve();
+
+/**
+ * Writes all snapshots to disk. Writes are serialized and atomic (temp file + rename).
+ */
+const saveTrends = () => {
+    saveQueue = saveQueue.then(async () => {
+        await fs.mkdir(DATA_DIR, { recursive: true });
+        const tempFile = `${TRENDS_FILE}.${process.pid}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify(trends));
+        await fs.rename(tempFile, TRENDS_FILE);
+    }).catch(error => {
+        console.error('Failed to save subreddit trends:', error.message);
+    });
+    return saveQueue;
+};
+
+const round = (value, digits = 2) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+const average = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+/**
+ * Reads the posts of a listing response, or throws on an unexpected structure.
+ */
+const toListingPosts = (response, listing) => {
+    if (!response.data || response.data.kind !== 'Listing' || !Array.isArray(response.data.data?.children)) {
+        throw new Error(`Unexpected response structure received from Reddit API for ${listing}.`);
+    }
+    return response.data.data.children.filter(child => child.kind === 't3').map(child => child.data);
+};
+
+/**
+ * Posts per hour in /new: the posts of the last VELOCITY_WINDOW_SECONDS, or, when the page is full
+ * (stickied posts included) before that, the posts since the oldest non-stickied one on the page.
+ */
+const measureVelocity = (newPosts, nowSeconds) => {
+    const unstickied = newPosts.filter(post => !post.stickied);
+    const pageFull = newPosts.length >= SAMPLE_PAGE_SIZE && unstickied.length > 0;
+    const windowSeconds = pageFull
+        ? Math.min(VELOCITY_WINDOW_SECONDS, Math.max(60, nowSeconds - Math.min(...unstickied.map(post => post.created_utc))))
+        : VELOCITY_WINDOW_SECONDS;
+    const recent = unstickied.filter(post => post.created_utc >= nowSeconds - windowSeconds);
+    return { perHour: recent.length / (windowSeconds / 3600), windowHours: windowSeconds / 3600 };
+};
+
+/**
+ * Samples a subreddit and returns a snapshot.
+ */
+const takeSnapshot = async (name) => {
+    // Background requests: queued behind interactive ones, and never served from the cache
+    const [aboutResponse, newResponse, hotResponse] = await runInContext({ priority: 'bulk', bypassCache: true }, () => Promise.all([
+        redditApi.get(`/r/${name}/about`),
+        redditApi.get(`/r/${name}/new`, { params: { limit: SAMPLE_PAGE_SIZE } }),
+        redditApi.get(`/r/${name}/hot`, { params: { limit: SAMPLE_PAGE_SIZE } }),
+    ]));
+
+    const about = aboutResponse.data?.kind === 't5' ? aboutResponse.data.data : null;
+    if (!about) {
+        throw new Error('Unexpected response structure from /about endpoint.');
+    }
+    const now = Math.floor(Date.now() / 1000);
+    const velocity = measureVelocity(toListingPosts(newResponse, 'new posts'), now);
+    const hotPosts = toListingPosts(hotResponse, 'hot posts').filter(post => !post.stickied);
+
+    return {
+        taken_at: new Date(now * 1000).toISOString(),
+        taken_utc: now,
+        subscribers: about.subscribers ?? null,
+        active_user_count: about.active_user_count ?? null,
+        new_posts_per_hour: round(velocity.perHour),
+        velocity_window_hours: round(velocity.windowHours),
+        hot_posts_sampled: hotPosts.length,
+        hot_avg_score: round(average(hotPosts.map(post => post.score || 0))),
+        hot_avg_comments: round(average(hotPosts.map(post => post.num_comments || 0))),
+    };
+};
+
+/**
+ * Takes a snapshot of one tracked subreddit and drops the snapshots past the retention period.
+ * Failures are kept as last_error and retried on the next round.
+ */
+const collectSubreddit = async (name) => {
+    const entry = trends[name] || (trends[name] = { snapshots: [], last_attempt_at: null, last_error: null });
+    entry.last_attempt_at = new Date().toISOString();
+    try {
+        entry.snapshots.push(await takeSnapshot(name));
+        entry.last_error = null;
+    } catch (error) {
+        entry.last_error = error.response ? `Reddit API returned ${error.response.status}` : error.message;
+        console.error(`Failed to take a trend snapshot of r/${name}:`, entry.last_error);
+    }
+    const cutoff = Math.floor(Date.now() / 1000) - TRENDS_RETENTION_DAYS * 86400;
+    entry.snapshots = entry.snapshots.filter(snapshot => snapshot.taken_utc >= cutoff);
+};
+
+/**
+ * Returns when a subreddit is due for its next snapshot (ms timestamp).
+ */
+const nextDueAt = (name) => {
+    const lastAttempt = trends[name]?.last_attempt_at;
+    return lastAttempt ? Date.parse(lastAttempt) + TRENDS_INTERVAL_SECONDS * 1000 : 0;
+};
+
+/**
+ * Snapshots every subreddit that is due, then schedules the next round at the earliest due time.
+ */
+const runRound = async () => {
+    timer = null;
+    const due = trackedSubreddits.filter(name => nextDueAt(name) <= Date.now());
+    for (const name of due) {
+        await collectSubreddit(name);
+        await saveTrends();
+    }
+    if (due.length > 0) {
+        console.log(`Trend snapshot round done for ${due.length} subreddit(s).`);
+    }
+    scheduleRound();
+};
+
+const scheduleRound = () => {
+    const delayMs = Math.max(0, Math.min(...trackedSubreddits.map(nextDueAt)) - Date.now());
+    timer = setTimeout(runRound, delayMs);
+    timer.unref();
+};
+
+/**
+ * Loads persisted snapshots and starts the collector (when TRENDS_SUBREDDITS is set). Called once from index.js.
+ */
+export const startTrendCollector = async () => {
+    if (!TRENDS_ENABLED || timer) return;
+    try {
+        trends = JSON.parse(await fs.readFile(TRENDS_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Failed to load subreddit trends from ${TRENDS_FILE}:`, error.message);
+        }
+    }
+    console.log(`Tracking trends of ${trackedSubreddits.length} subreddit(s) every ${TRENDS_INTERVAL_SECONDS}s: ${trackedSubreddits.join(', ')}`);
+    scheduleRound();
+};
+
+/**
+ * Whether a subreddit is listed in TRENDS_SUBREDDITS.
+ */
+export const isTracked = (name) => trackedSubreddits.includes(name.toLowerCase());
+
+/**
+ * Summarizes a metric over a series of snapshots: first / last / min / max / average, the change
+ * from the first to the last snapshot (absolute and in percent) and that change per day.
+ */
+const summarizeMetric = (snapshots, field) => {
+    const points = snapshots.filter(snapshot => snapshot[field] !== null && snapshot[field] !== undefined);
+    if (points.length === 0) return null;
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    const change = last[field] - first[field];
+    const days = (last.taken_utc - first.taken_utc) / 86400;
+    return {
+        first: first[field],
+        last: last[field],
+        min: Math.min(...points.map(point => point[field])),
+        max: Math.max(...points.map(point => point[field])),
+        avg: round(average(points.map(point => point[field]))),
+        change: round(change),
+        change_percent: first[field] ? round((change / first[field]) * 100, 3) : null,
+        per_day: days > 0 ? round(change / days) : null,
+    };
+};
+
+/**
+ * Returns the snapshots of a tracked subreddit taken in the last rangeSeconds, with growth rates
+ * per metric (see summarizeMetric).
+ */
+export const getTrends = (name, rangeSeconds) => {
+    const entry = trends[name.toLowerCase()] || { snapshots: [], last_attempt_at: null, last_error: null };
+    const since = Math.floor(Date.now() / 1000) - rangeSeconds;
+    const snapshots = entry.snapshots.filter(snapshot => snapshot.taken_utc >= since);
+
+    return {
+        interval_seconds: TRENDS_INTERVAL_SECONDS,
+        retention_days: TRENDS_RETENTION_DAYS,
+        snapshot_count: snapshots.length,
+        last_attempt_at: entry.last_attempt_at,
+        last_error: entry.last_error,
+        next_snapshot_at: new Date(Math.max(Date.now(), nextDueAt(name.toLowerCase()))).toISOString(),
+        growth: Object.fromEntries(['subscribers', 'active_user_count', 'new_posts_per_hour', 'hot_avg_score', 'hot_avg_comments']
+            .map(field => [field, summarizeMetric(snapshots, field)])),
+        snapshots: snapshots,
+    };
+};
@@ -0,0 +1,395 @@
+import crypto from 'node:crypto';
+import dns from 'node:dns';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import https from 'node:https';
+import net from 'node:net';
+import path from 'node:path';
+import axios from 'axios';
+import axiosRetry from 'axios-retry';
+import dotenv from 'dotenv';
+import redditApi from './redditService.js';
+import { runInContext } from '../middleware/requestContext.js';
+import { normalizePost, presentPost, DEFAULT_SCHEMA_VERSION } from '../normalizers/index.js';
+
+// Load environment variables immediately, this module is evaluated before index.js runs dotenv.config()
+dotenv.config();
+
+/**
+ * Subreddit watchers: each watcher polls a subreddit's 'new' listing on an interval and POSTs
+ * posts it hasn't seen before (optionally filtered by keywords / flair) to a webhook.
+ * Watchers and their progress are persisted to DATA_DIR/watchers.json and resumed on startup.
+ *
+ * Watchers belong to the API key that created them (owner, null while authentication is off). The
+ * list / get / status / delete functions take the owner to scope them to; null means every watcher.
+ *
+ * Webhook requests carry an HMAC-SHA256 signature of '<timestamp>.<body>' made with the watcher's
+ * secret, in 'X-Watcher-Signature: sha256=<hex>' with the timestamp in 'X-Watcher-Timestamp'.
+ * Webhooks on loopback, link-local or private addresses are refused (unless WATCHER_ALLOW_PRIVATE_WEBHOOKS
+ * is set), both when the watcher is created and on every connection, and redirects are not followed.
+ */
+
+// Configurable options (from .env)
+const DATA_DIR = process.env.DATA_DIR || './data';
+const WATCHERS_FILE = path.join(DATA_DIR, 'watchers.json');
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const WEBHOOK_RETRIES = parseInt(process.env.WEBHOOK_RETRIES, 10) || 4; // Retries after the first attempt
+export const WATCHER_MIN_INTERVAL_SECONDS = parseInt(process.env.WATCHER_MIN_INTERVAL_SECONDS, 10) || 60;
+const ALLOW_PRIVATE_WEBHOOKS = ['1', 'true'].includes((process.env.WATCHER_ALLOW_PRIVATE_WEBHOOKS || '').toLowerCase());
+
+// Reddit's max page size; a watcher sees at most this many new posts per poll
+const POLL_PAGE_SIZE = 100;
+// IDs remembered per watcher to recognise posts already handled
+const SEEN_IDS_LIMIT = 200;
+
+// Addresses webhooks may not point at: this host, link-local (cloud metadata), private networks and the like
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is one webhooks may not be delivered to (BlockList checks IPv4-mapped IPv6 addresses as IPv4).
+ */
+const isPrivateAddress = (address) => PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+const privateAddressError = (host, address) => Object.assign(
+    new Error(`Webhook host '${host}' is a private address (${address}). Set WATCHER_ALLOW_PRIVATE_WEBHOOKS=true to allow it.`),
+    { code: 'EPRIVATEADDRESS' },
+);
+
+/**
+ * DNS lookup for webhook connections that refuses private addresses. Checking the address actually
+ * connected to (instead of resolving beforehand) also covers DNS answers that change in between.
+ */
+const lookupPublicAddress = (hostname, options, callback) => {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+        const blocked = (Array.isArray(address) ? address : [{ address }]).find(entry => isPrivateAddress(entry.address));
+        if (blocked) return callback(privateAddressError(hostname, blocked.address));
+        callback(null, address, family);
+    });
+};
+
+/**
+ * Checks that a webhook URL doesn't point at a private address: IP literals directly (connections to
+ * them skip the lookup), host names by resolving them. Throws an error with code EPRIVATEADDRESS, or
+ * the DNS error for hosts that don't resolve.
+ */
+export const checkWebhookUrl = async (webhookUrl) => {
+    if (ALLOW_PRIVATE_WEBHOOKS) return;
+    const host = new URL(webhookUrl).hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) throw privateAddressError(host, blocked.address);
+};
+
+// HTTP client for webhook deliveries, with exponential backoff on network errors, 5xx and 429.
+// Redirects aren't followed, a 3xx answer counts as a failed delivery.
+const webhookClient = axios.create({
+    timeout: WEBHOOK_TIMEOUT_MS,
+    maxRedirects: 0,
+    ...(!ALLOW_PRIVATE_WEBHOOKS && {
+        httpAgent: new http.Agent({ lookup: lookupPublicAddress }),
+        httpsAgent: new https.Agent({ lookup: lookupPublicAddress }),
+    }),
+});
+axiosRetry(webhookClient, {
+    retries: WEBHOOK_RETRIES,
+    retryDelay: (retryCount, error) => {
+        // 1st retry: 2s, 2nd: 4s, 3rd: 8s, ...
+        const delay = Math.pow(2, retryCount) * 1000;
+        console.warn(`Webhook delivery to ${error.config?.url} failed (attempt ${retryCount}: ${error.response?.status || error.code}). Retrying in ${delay / 1000}s...`);
+        return delay;
+    },
+    retryCondition: (error) => {
+        const status = error.response?.status;
+        if (error.code === 'EPRIVATEADDRESS') return false;
+        return !error.response || status >= 500 || status === 429 || status === 408;
+    },
+    shouldResetTimeout: true,
+});
+
+const watchers = new Map(); // id -> watcher state (persisted)
+const timers = new Map(); // id -> pending poll timeout
+const polling = new Set(); // ids of watchers with a poll in flight
+let saveQueue = Promise.resolve();
+
+/**
+ * Writes all watchers to disk. Writes are serialized and atomic (temp file + rename).
+ */
+const saveWatchers = () => {
+    saveQueue = saveQueue.then(async () => {
+        await fs.mkdir(DATA_DIR, { recursive: true });
+        const tempFile = `${WATCHERS_FILE}.${process.pid}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify([...watchers.values()], null, 2));
+        await fs.rename(tempFile, WATCHERS_FILE);
+    }).catch(error => {
+        console.error('Failed to save watchers:', error.message);
+    });
+    return saveQueue;
+};
+
+/**
+ * Returns a watcher without its secret, plus when it polls next.
+ */
+const toPublicWatcher = (watcher) => {
+    const { secret, seen_ids, ...rest } = watcher;
+    return {
+        ...rest,
+        next_poll_at: timers.get(watcher.id)?.dueAt ?? null,
+    };
+};
+
+/**
+ * Checks a post against a watcher's filters. Keywords match the title or body (case-insensitive,
+ * any keyword), flairs match the link flair text (case-insensitive, any flair).
+ */
+const matchesFilters = (watcher, post) => {
+    if (watcher.keywords.length > 0) {
+        const text = `${post.title || ''}\n${post.selftext || ''}`.toLowerCase();
+        if (!watcher.keywords.some(keyword => text.includes(keyword.toLowerCase()))) return false;
+    }
+    if (watcher.flairs.length > 0) {
+        const flair = (post.link_flair_text || '').toLowerCase();
+        if (!watcher.flairs.some(wanted => flair === wanted.toLowerCase())) return false;
+    }
+    return true;
+};
+
+/**
+ * POSTs a signed payload to the watcher's webhook (retried with backoff by the client).
+ */
+const deliverWebhook = async (watcher, payload) => {
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const signature = crypto.createHmac('sha256', watcher.secret).update(`${timestamp}.${body}`).digest('hex');
+
+    await checkWebhookUrl(watcher.webhook_url);
+
+    const response = await webhookClient.post(watcher.webhook_url, body, {
+        headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'reddit-scraper-api-watcher',
+            'X-Watcher-Id': watcher.id,
+            'X-Watcher-Delivery': payload.delivery_id,
+            'X-Watcher-Timestamp': timestamp,
+            'X-Watcher-Signature': `sha256=${signature}`,
+        },
+    });
+    return response.status;
+};
+
+/**
+ * Polls a watcher's subreddit once and delivers new matching posts.
+ * The first poll only records what is there, so a new watcher doesn't replay the whole listing.
+ * Posts count as seen only once their delivery succeeded; failed deliveries are retried on the next poll.
+ */
+const pollWatcher = async (watcher) => {
+    const startedAt = new Date().toISOString();
+    try {
+        // Background requests: queued behind interactive ones, and never served from the listing cache
+        const response = await runInContext({ identity: watcher.identity, priority: 'bulk', bypassCache: true }, () =>
+            redditApi.get(`/r/${watcher.subreddit}/new`, { params: { limit: POLL_PAGE_SIZE } }));
+        if (!response.data || response.data.kind !== 'Listing' || !Array.isArray(response.data.data?.children)) {
+            throw new Error('Unexpected response structure received from Reddit API for posts.');
+        }
+
+        const seenIds = new Set(watcher.seen_ids);
+        const newPosts = response.data.data.children
+            .filter(child => child.kind === 't3')
+            .map(child => child.data)
+            .filter(post => !seenIds.has(post.id) && post.created_utc >= (watcher.last_seen_created_utc ?? 0))
+            .reverse(); // Oldest first
+
+        const isBaseline = watcher.last_seen_created_utc === null;
+        const matches = isBaseline ? [] : newPosts.filter(post => matchesFilters(watcher, post));
+        watcher.stats.polls++;
+        watcher.last_polled_at = startedAt;
+        watcher.last_error = null;
+
+        if (matches.length > 0) {
+            const deliveryId = crypto.randomUUID();
+            try {
+                const status = await deliverWebhook(watcher, {
+                    event: 'posts.new',
+                    delivery_id: deliveryId,
+                    watcher_id: watcher.id,
+                    subreddit: watcher.subreddit,
+                    post_count: matches.length,
+                    posts: matches.map(post => presentPost(normalizePost(post), watcher.schema)),
+                });
+                watcher.stats.posts_matched += matches.length;
+                watcher.stats.deliveries++;
+                watcher.last_delivery = { id: deliveryId, at: new Date().toISOString(), status: status, post_count: matches.length, error: null };
+                console.log(`Watcher ${watcher.id} delivered ${matches.length} new post(s) from r/${watcher.subreddit}.`);
+            } catch (error) {
+                watcher.stats.failed_deliveries++;
+                watcher.last_delivery = {
+                    id: deliveryId,
+                    at: new Date().toISOString(),
+                    status: error.response?.status ?? null,
+                    post_count: matches.length,
+                    error: error.message,
+                };
+                console.error(`Watcher ${watcher.id} failed to deliver to ${watcher.webhook_url}:`, error.message);
+                return; // Keep the posts unseen so the next poll retries them
+            }
+        }
+
+        if (newPosts.length > 0) {
+            const newest = newPosts[newPosts.length - 1];
+            watcher.last_seen_id = newest.id;
+            watcher.last_seen_created_utc = Math.max(watcher.last_seen_created_utc ?? 0, newest.created_utc);
+            watcher.seen_ids = [...newPosts.map(post => post.id).reverse(), ...watcher.seen_ids].slice(0, SEEN_IDS_LIMIT);
+        } else if (isBaseline) {
+            watcher.last_seen_created_utc = 0; // Empty subreddit, deliver everything from now on
+        }
+    } catch (error) {
+        watcher.last_polled_at = startedAt;
+        watcher.last_error = error.response ? `Reddit API returned ${error.response.status}` : error.message;
+        console.error(`Watcher ${watcher.id} failed to poll r/${watcher.subreddit}:`, watcher.last_error);
+    } finally {
+        await saveWatchers();
+    }
+};
+
+/**
+ * Schedules the next poll of an active watcher. While a poll is in flight nothing is scheduled:
+ * the poll schedules the next one when it's done, so a watcher never polls twice at once
+ * (which would deliver the same posts twice).
+ */
+const scheduleWatcher = (watcher, delayMs = watcher.interval_seconds * 1000) => {
+    clearTimeout(timers.get(watcher.id)?.timeout);
+    if (watcher.status !== 'active' || polling.has(watcher.id)) {
+        timers.delete(watcher.id);
+        return;
+    }
+
+    const timeout = setTimeout(async () => {
+        timers.delete(watcher.id);
+        polling.add(watcher.id);
+        try {
+            await pollWatcher(watcher);
+        } finally {
+            polling.delete(watcher.id);
+        }
+        // The watcher may have been paused, resumed or deleted while polling
+        if (watchers.get(watcher.id) === watcher) scheduleWatcher(watcher);
+    }, delayMs);
+    timeout.unref();
+    timers.set(watcher.id, { timeout, dueAt: new Date(Date.now() + delayMs).toISOString() });
+};
+
+/**
+ * Loads persisted watchers and starts polling the active ones. Called once from index.js.
+ */
+export const startWatchers = async () => {
+    try {
+        const saved = JSON.parse(await fs.readFile(WATCHERS_FILE, 'utf8'));
+        saved.forEach(watcher => watchers.set(watcher.id, watcher));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Failed to load watchers from ${WATCHERS_FILE}:`, error.message);
+        }
+    }
+
+    // Spread the first polls out instead of firing them all at once
+    [...watchers.values()].forEach((watcher, index) => scheduleWatcher(watcher, Math.min(index * 2000, watcher.interval_seconds * 1000)));
+    if (watchers.size > 0) {
+        console.log(`Loaded ${watchers.size} watcher(s), ${timers.size} active.`);
+    }
+};
+
+/**
+ * Registers a watcher and polls it right away (which records the baseline).
+ * Returns the watcher including its webhook secret (the only time the secret is returned).
+ */
+export const createWatcher = async ({ subreddit, keywords = [], flairs = [], interval_seconds, webhook_url, secret, schema, identity, owner }) => {
+    const watcher = {
+        id: `w_${crypto.randomBytes(6).toString('hex')}`,
+        subreddit: subreddit,
+        keywords: keywords,
+        flairs: flairs,
+        interval_seconds: interval_seconds,
+        webhook_url: webhook_url,
+        secret: secret || crypto.randomBytes(24).toString('hex'),
+        schema: schema || DEFAULT_SCHEMA_VERSION,
+        identity: identity || null,
+        owner: owner || null,
+        status: 'active',
+        created_at: new Date().toISOString(),
+        last_polled_at: null,
+        last_error: null,
+        last_seen_id: null,
+        last_seen_created_utc: null,
+        seen_ids: [],
+        last_delivery: null,
+        stats: { polls: 0, posts_matched: 0, deliveries: 0, failed_deliveries: 0 },
+    };
+    watchers.set(watcher.id, watcher);
+    await saveWatchers();
+    scheduleWatcher(watcher, 0);
+
+    console.log(`Created watcher ${watcher.id} for r/${subreddit} (every ${interval_seconds}s).`);
+    return { ...toPublicWatcher(watcher), secret: watcher.secret };
+};
+
+/**
+ * Returns a watcher if it exists and belongs to the owner (any owner for null), else null.
+ */
+const findWatcher = (id, owner) => {
+    const watcher = watchers.get(id);
+    return watcher && (owner === null || watcher.owner === owner) ? watcher : null;
+};
+
+/**
+ * Lists the owner's watchers (without secrets).
+ */
+export const listWatchers = (owner) => [...watchers.values()]
+    .filter(watcher => owner === null || watcher.owner === owner)
+    .map(toPublicWatcher);
+
+/**
+ * Returns a watcher (without its secret), or null if it doesn't exist or belongs to someone else.
+ */
+export const getWatcher = (id, owner) => {
+    const watcher = findWatcher(id, owner);
+    return watcher ? toPublicWatcher(watcher) : null;
+};
+
+/**
+ * Pauses or resumes a watcher. Returns the updated watcher, or null if it doesn't exist or belongs to someone else.
+ * A resumed watcher polls right away.
+ */
+export const setWatcherStatus = async (id, status, owner) => {
+    const watcher = findWatcher(id, owner);
+    if (!watcher) return null;
+
+    if (watcher.status !== status) {
+        watcher.status = status;
+        await saveWatchers();
+        scheduleWatcher(watcher, 0);
+        console.log(`Watcher ${id} is now ${status}.`);
+    }
+    return toPublicWatcher(watcher);
+};
+
+/**
+ * Deletes a watcher. Returns false if it doesn't exist or belongs to someone else.
+ */
+export const deleteWatcher = async (id, owner) => {
+    const watcher = findWatcher(id, owner);
+    if (!watcher) return false;
+
+    clearTimeout(timers.get(id)?.timeout);
+    timers.delete(id);
+    watchers.delete(id);
+    await saveWatchers();
+    console.log(`Deleted watcher ${id}.`);
+    return true;
+};
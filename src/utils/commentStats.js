@@ -0,0 +1,215 @@
+import { STOPWORDS } from './stopwords.js';
+
+/**
+ * Thread statistics computed from a canonical comment tree (see normalizers/comments.js),
+ * for GET /api/post/:postId/stats. Everything is computed locally.
+ */
+
+// Timeline bucket sizes (seconds); 'auto' picks the smallest one giving at most MAX_AUTO_BUCKETS buckets
+export const TIMELINE_BUCKETS = { '5m': 300, '15m': 900, '1h': 3600, '6h': 21600, '1d': 86400 };
+const MAX_AUTO_BUCKETS = 48;
+
+// Upper bounds of the score distribution buckets, the last one is open-ended
+const SCORE_BUCKET_BOUNDS = [-1, 0, 1, 5, 10, 50, 100, 500, 1000];
+
+const BODY_EXCERPT_LENGTH = 200;
+
+const isDeletedBody = (body) => body === '[deleted]' || body === '[removed]';
+
+/**
+ * Walks the tree depth-first. Returns one entry per comment ('more' placeholders are skipped):
+ * { comment, depth, directReplies, totalReplies }, and the placeholders.
+ */
+const walkTree = (items, depth = 0, entries = [], placeholders = []) => {
+    items.forEach(item => {
+        if (item.type === 'more') {
+            placeholders.push(item);
+            return;
+        }
+        const entry = { comment: item, depth: depth, directReplies: 0, totalReplies: 0 };
+        entries.push(entry);
+        const before = entries.length;
+        walkTree(item.replies || [], depth + 1, entries, placeholders);
+        entry.directReplies = (item.replies || []).filter(reply => reply.type === 'comment').length;
+        entry.totalReplies = entries.length - before;
+    });
+    return { entries, placeholders };
+};
+
+/**
+ * Returns the value at quantile q (0-1) of an ascending list.
+ */
+const quantile = (sorted, q) => (sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))] : null);
+
+/**
+ * Counts scores into the SCORE_BUCKET_BOUNDS ranges.
+ */
+const scoreDistribution = (scores) => {
+    const buckets = SCORE_BUCKET_BOUNDS.map((max, i) => ({
+        min: i === 0 ? null : SCORE_BUCKET_BOUNDS[i - 1] + 1,
+        max: max,
+        count: 0,
+    }));
+    buckets.push({ min: SCORE_BUCKET_BOUNDS[SCORE_BUCKET_BOUNDS.length - 1] + 1, max: null, count: 0 });
+    scores.forEach(score => {
+        const index = SCORE_BUCKET_BOUNDS.findIndex(max => score <= max);
+        buckets[index === -1 ? buckets.length - 1 : index].count++;
+    });
+    return buckets;
+};
+
+/**
+ * Splits a markdown comment body into lower-case terms: links, code and markdown/HTML entities are
+ * dropped, possessive 's is removed, and stopwords, numbers and terms shorter than 3 letters are left out.
+ */
+export const tokenize = (body) => (body || '')
+    .toLowerCase()
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1') // [text](url) keeps the text
+    .replace(/https?:\/\/\S+|www\.\S+/g, ' ')
+    .replace(/`[^`]*`/g, ' ')
+    .replace(/&[a-z]+;|&#\d+;/g, ' ')
+    .replace(/[‘’]/g, "'")
+    .split(/[^\p{L}\p{N}']+/u)
+    .map(term => term.replace(/^'+|'+$/g, '').replace(/'s$/, ''))
+    .filter(term => term.length >= 3 && !STOPWORDS.has(term) && !/^\d+$/.test(term));
+
+/**
+ * Picks the timeline bucket size (seconds) for a time span.
+ */
+const pickBucketSeconds = (bucket, spanSeconds) => {
+    if (bucket !== 'auto') return TIMELINE_BUCKETS[bucket];
+    const sizes = Object.values(TIMELINE_BUCKETS);
+    return sizes.find(size => spanSeconds / size <= MAX_AUTO_BUCKETS) || sizes[sizes.length - 1];
+};
+
+/**
+ * Counts comments per time bucket, starting at the post's creation (or the first comment).
+ */
+const buildTimeline = (entries, postCreatedUtc, bucket) => {
+    const times = entries.map(({ comment }) => comment.created_utc).filter(Number.isFinite);
+    if (times.length === 0) return { bucket_seconds: null, start_utc: null, buckets: [] };
+
+    const start = Math.min(postCreatedUtc ?? Infinity, ...times);
+    const bucketSeconds = pickBucketSeconds(bucket, Math.max(...times) - start);
+    const buckets = [];
+    entries.forEach(({ comment, depth }) => {
+        if (!Number.isFinite(comment.created_utc)) return;
+        const index = Math.floor((comment.created_utc - start) / bucketSeconds);
+        while (buckets.length <= index) {
+            buckets.push({ start_utc: start + buckets.length * bucketSeconds, comments: 0, top_level: 0, replies: 0 });
+        }
+        buckets[index].comments++;
+        buckets[index][depth === 0 ? 'top_level' : 'replies']++;
+    });
+
+    let cumulative = 0;
+    buckets.forEach(entry => {
+        cumulative += entry.comments;
+        entry.cumulative = cumulative;
+        entry.per_hour = Math.round((entry.comments * 3600 / bucketSeconds) * 100) / 100;
+    });
+    return { bucket_seconds: bucketSeconds, start_utc: start, buckets: buckets };
+};
+
+/**
+ * Computes the thread statistics of a canonical comment tree.
+ * Options:
+ *  - post:   { author, created_utc, num_comments } of the post, for is_submitter fallbacks and the timeline start
+ *  - bucket: timeline bucket size, 'auto' or a key of TIMELINE_BUCKETS
+ *  - top:    number of authors, most replied comments and terms to return
+ */
+export function computeThreadStats(comments, { post = {}, bucket = 'auto', top = 10 } = {}) {
+    const { entries, placeholders } = walkTree(comments);
+    const live = entries.filter(({ comment }) => comment.author !== '[deleted]' && !isDeletedBody(comment.body));
+
+    // Depth
+    const depthCounts = {};
+    entries.forEach(({ depth }) => { depthCounts[depth] = (depthCounts[depth] || 0) + 1; });
+    const maxDepth = entries.length ? Math.max(...entries.map(({ depth }) => depth)) : null;
+
+    // Authors (deleted accounts are counted in totals only)
+    const authors = new Map();
+    live.forEach(({ comment }) => {
+        const author = authors.get(comment.author) || { author: comment.author, comments: 0, total_score: 0, is_submitter: false };
+        author.comments++;
+        author.total_score += comment.score || 0;
+        author.is_submitter = author.is_submitter || Boolean(comment.is_submitter) || comment.author === post.author;
+        authors.set(comment.author, author);
+    });
+    const rankedAuthors = [...authors.values()]
+        .sort((a, b) => b.comments - a.comments || b.total_score - a.total_score)
+        .map(author => ({ ...author, avg_score: Math.round((author.total_score / author.comments) * 100) / 100 }));
+
+    const submitterComments = live.filter(({ comment }) => comment.is_submitter || comment.author === post.author).length;
+
+    // Scores
+    const scores = entries.map(({ comment }) => comment.score).filter(Number.isFinite).sort((a, b) => a - b);
+    const scoreTotal = scores.reduce((sum, score) => sum + score, 0);
+
+    // Most replied comments
+    const mostReplied = [...entries]
+        .filter(({ totalReplies }) => totalReplies > 0)
+        .sort((a, b) => b.directReplies - a.directReplies || b.totalReplies - a.totalReplies)
+        .slice(0, top)
+        .map(({ comment, depth, directReplies, totalReplies }) => ({
+            id: comment.id,
+            author: comment.author,
+            score: comment.score,
+            depth: depth,
+            direct_replies: directReplies,
+            total_replies: totalReplies,
+            created_utc: comment.created_utc,
+            permalink: comment.permalink,
+            body_excerpt: (comment.body || '').length > BODY_EXCERPT_LENGTH ? `${comment.body.slice(0, BODY_EXCERPT_LENGTH)}...` : comment.body || '',
+        }));
+
+    // Terms: occurrences, and in how many comments they appear
+    const terms = new Map();
+    live.forEach(({ comment }) => {
+        const tokens = tokenize(comment.body);
+        tokens.forEach(token => {
+            const term = terms.get(token) || { term: token, count: 0, comments: 0 };
+            term.count++;
+            terms.set(token, term);
+        });
+        new Set(tokens).forEach(token => { terms.get(token).comments++; });
+    });
+
+    return {
+        coverage: {
+            comments_analyzed: entries.length,
+            more_placeholders: placeholders.length,
+            hidden_comments: placeholders.reduce((sum, placeholder) => sum + (placeholder.count || 0), 0),
+            post_num_comments: post.num_comments ?? null,
+        },
+        totals: {
+            comments: entries.length,
+            top_level: depthCounts[0] || 0,
+            deleted_or_removed: entries.length - live.length,
+            unique_authors: authors.size,
+            max_depth: maxDepth,
+            avg_depth: entries.length ? Math.round((entries.reduce((sum, { depth }) => sum + depth, 0) / entries.length) * 100) / 100 : null,
+            by_depth: depthCounts,
+        },
+        submitter: {
+            author: post.author || null,
+            comments: submitterComments,
+            share: live.length ? Math.round((submitterComments / live.length) * 1000) / 1000 : 0,
+        },
+        authors: rankedAuthors.slice(0, top),
+        scores: {
+            min: scores.length ? scores[0] : null,
+            max: scores.length ? scores[scores.length - 1] : null,
+            mean: scores.length ? Math.round((scoreTotal / scores.length) * 100) / 100 : null,
+            median: quantile(scores, 0.5),
+            p90: quantile(scores, 0.9),
+            total: scoreTotal,
+            distribution: scoreDistribution(scores),
+        },
+        timeline: buildTimeline(entries, post.created_utc, bucket),
+        most_replied: mostReplied,
+        terms: [...terms.values()]
+            .sort((a, b) => b.count - a.count || b.comments - a.comments || a.term.localeCompare(b.term))
+            .slice(0, top),
+    };
+}
@@ -0,0 +1,172 @@
+import { getRequestContext } from '../middleware/requestContext.js';
+
+/**
+ * Error codes of the API and their HTTP status. Every error response uses the same envelope:
+ *   { "error": { "code", "message", "status", "request_id", "retry_after"?, "details"? } }
+ * Clients should branch on the code, the message is for humans and may change.
+ */
+export const ERROR_CODES = {
+    // The request itself
+    VALIDATION_FAILED: 400,
+    INVALID_JSON: 400,
+    BAD_REQUEST: 400,
+    API_KEY_REQUIRED: 401,
+    API_KEY_INVALID: 401,
+    NOT_FOUND: 404,
+    PAYLOAD_TOO_LARGE: 413,
+    RATE_LIMITED: 429,
+    QUOTA_EXCEEDED: 429,
+    // Reddit content
+    SUBREDDIT_NOT_FOUND: 404,
+    SUBREDDIT_PRIVATE: 403,
+    SUBREDDIT_QUARANTINED: 403,
+    SUBREDDIT_RESTRICTED: 403,
+    SUBREDDIT_BANNED: 410,
+    POST_NOT_FOUND: 404,
+    USER_NOT_FOUND: 404,
+    FORBIDDEN: 403,
+    // Reddit itself
+    AUTH_FAILED: 502,
+    UPSTREAM_RATE_LIMITED: 503,
+    UPSTREAM_UNAVAILABLE: 502,
+    UPSTREAM_INVALID_RESPONSE: 502,
+    UPSTREAM_TIMEOUT: 504,
+    // This service
+    SERVICE_DISABLED: 503,
+    SUBREDDIT_NOT_TRACKED: 404,
+    INTERNAL_ERROR: 500,
+};
+
+/**
+ * An error with a code from ERROR_CODES, handled by the general error handler in app.js.
+ * Options:
+ *  - status:     overrides the code's HTTP status
+ *  - retryAfter: seconds, sent as the Retry-After header
+ *  - details:    extra JSON for the client (e.g. the upstream status)
+ *  - cause:      the original error, for logs only
+ */
+export class ApiError extends Error {
+    constructor(code, message, { status, retryAfter, details, cause } = {}) {
+        super(message, { cause });
+        this.name = 'ApiError';
+        this.code = code;
+        this.status = status || ERROR_CODES[code] || 500;
+        this.retryAfter = retryAfter;
+        this.details = details;
+    }
+}
+
+// Codes for errors that only carry an HTTP status (Express, body-parser, third party middleware)
+const CODE_BY_STATUS = { 400: 'BAD_REQUEST', 401: 'API_KEY_INVALID', 403: 'FORBIDDEN', 404: 'NOT_FOUND', 413: 'PAYLOAD_TOO_LARGE', 429: 'RATE_LIMITED' };
+
+// Reddit's 'reason' on 403/404 answers for subreddits it won't show
+const SUBREDDIT_REASONS = {
+    private: ['SUBREDDIT_PRIVATE', (name) => `r/${name} is private.`],
+    quarantined: ['SUBREDDIT_QUARANTINED', (name) => `r/${name} is quarantined.`],
+    banned: ['SUBREDDIT_BANNED', (name) => `r/${name} is banned.`],
+    gated: ['SUBREDDIT_RESTRICTED', (name) => `r/${name} is gated and needs an identity that opted in.`],
+    gold_only: ['SUBREDDIT_RESTRICTED', (name) => `r/${name} is only open to premium members.`],
+};
+
+// What a 404 means per kind of resource. Reddit answers 400 for malformed subreddit names.
+const NOT_FOUND_BY_RESOURCE = {
+    subreddit: ['SUBREDDIT_NOT_FOUND', (name) => `Subreddit 'r/${name}' not found or invalid.`],
+    post: ['POST_NOT_FOUND', (name) => `Post '${name}' not found.`],
+    user: ['USER_NOT_FOUND', (name) => `User 'u/${name}' not found.`],
+};
+
+/**
+ * Reads how long to wait from a Reddit response: Retry-After (seconds or a date), else (for rate limits)
+ * x-ratelimit-reset, which Reddit sends on every response.
+ */
+const readRetryAfter = (headers = {}, { rateLimited = false } = {}) => {
+    const retryAfter = headers['retry-after'];
+    if (retryAfter !== undefined) {
+        const seconds = /^\d+$/.test(retryAfter) ? parseInt(retryAfter, 10) : Math.ceil((Date.parse(retryAfter) - Date.now()) / 1000);
+        if (Number.isFinite(seconds)) return Math.max(1, seconds);
+    }
+    const reset = rateLimited ? parseFloat(headers['x-ratelimit-reset']) : NaN;
+    return Number.isFinite(reset) ? Math.max(1, Math.ceil(reset)) : undefined;
+};
+
+/**
+ * Converts an error from a Reddit API call into an ApiError.
+ * target names the resource the call was about ({ subreddit: name }, { post: id }, { user: name }),
+ * so a 404 becomes SUBREDDIT_NOT_FOUND etc.; defaultMessage is used when nothing more specific is known.
+ */
+export function fromUpstreamError(error, defaultMessage = 'Error interacting with Reddit API', target = {}) {
+    if (error instanceof ApiError) return error;
+    const [resource, name] = Object.entries(target)[0] || [];
+
+    if (!error.response) {
+        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+            return new ApiError('UPSTREAM_TIMEOUT', `${defaultMessage}: Reddit did not answer in time.`, { cause: error });
+        }
+        if (error.isAxiosError) {
+            return new ApiError('UPSTREAM_UNAVAILABLE', `${defaultMessage}: Reddit could not be reached.`, { cause: error });
+        }
+        return new ApiError('INTERNAL_ERROR', defaultMessage, { cause: error });
+    }
+
+    const { status, data, headers } = error.response;
+    const details = { upstream_status: status, ...(data?.reason && { reason: data.reason }) };
+
+    const subredditReason = SUBREDDIT_REASONS[data?.reason];
+    if (subredditReason && (status === 403 || status === 404)) {
+        const [code, describe] = subredditReason;
+        return new ApiError(code, resource === 'subreddit' ? describe(name) : `${defaultMessage}: the subreddit is ${data.reason.replace('_', ' ')}.`, { details, cause: error });
+    }
+    if (status === 429) {
+        return new ApiError('UPSTREAM_RATE_LIMITED', 'Reddit is rate limiting this service, try again later.', { retryAfter: readRetryAfter(headers, { rateLimited: true }), details, cause: error });
+    }
+    if (status === 401) {
+        // The token interceptor already replayed the request with a fresh token
+        return new ApiError('AUTH_FAILED', 'Reddit rejected the access token of this service.', { details, cause: error });
+    }
+    if (status === 404 || (status === 400 && resource === 'subreddit')) {
+        const [code, describe] = NOT_FOUND_BY_RESOURCE[resource] || ['NOT_FOUND', () => `${defaultMessage}: not found.`];
+        return new ApiError(code, describe(name), { details, cause: error });
+    }
+    if (status === 403) {
+        return new ApiError('FORBIDDEN', `${defaultMessage}: Reddit denied access.`, { details, cause: error });
+    }
+    if (status >= 500) {
+        return new ApiError('UPSTREAM_UNAVAILABLE', `${defaultMessage}: Reddit answered ${status}.`, { retryAfter: readRetryAfter(headers), details, cause: error });
+    }
+    return new ApiError('BAD_REQUEST', data?.message || data?.explanation || `${defaultMessage}: Reddit answered ${status}.`, { status, details, cause: error });
+}
+
+/**
+ * Logs an error from a Reddit API call and passes it to next() (or a stream's fail()) as an ApiError.
+ */
+export function handleUpstreamError(error, next, defaultMessage, target) {
+    console.error(defaultMessage, error.response ? error.response.data : error.message);
+    next(fromUpstreamError(error, defaultMessage, target));
+}
+
+/**
+ * Converts any error passed to next() into an ApiError. Errors without a code keep their status;
+ * unexpected ones become INTERNAL_ERROR without leaking their message.
+ */
+export function toApiError(error) {
+    if (error instanceof ApiError) return error;
+    if (error.type === 'entity.parse.failed') return new ApiError('INVALID_JSON', 'The request body is not valid JSON.', { cause: error });
+    const status = error.status || error.statusCode || 500;
+    if (status >= 500) return new ApiError('INTERNAL_ERROR', 'Internal Server Error', { status, cause: error });
+    return new ApiError(CODE_BY_STATUS[status] || 'BAD_REQUEST', error.message, { status, cause: error });
+}
+
+/**
+ * Returns the JSON body describing an error (the envelope's 'error' object).
+ */
+export function toErrorBody(error) {
+    const apiError = toApiError(error);
+    return {
+        code: apiError.code,
+        message: apiError.message,
+        status: apiError.status,
+        request_id: getRequestContext()?.requestId || null,
+        ...(apiError.retryAfter !== undefined && { retry_after: apiError.retryAfter }),
+        ...(apiError.details && { details: apiError.details }),
+    };
+}
@@ -0,0 +1,178 @@
+/**
+ * Helpers for exporting listings as flat tables (CSV, TSV or JSON Lines) with ?format= and ?fields=.
+ * The export writer has the same interface as the stream writer (see streamWriter.js), so the listing
+ * controllers drive both the same way: it writes a row for every item event and ignores the rest
+ * ('more' placeholders, progress and the end summary).
+ *
+ * Nested objects are flattened into dotted columns (media.video.hls_url), arrays are written as JSON.
+ * Without ?fields= the columns are the top-level scalar fields of the first rows; ?fields= picks
+ * columns by name, a nested object's name selects all its columns (fields=id,media). Unknown names are
+ * rejected with VALIDATION_FAILED before anything is sent.
+ *
+ * Text cells starting with =, +, -, @, a tab or a CR are prefixed with ' so spreadsheets don't run them as formulas.
+ */
+import { ApiError } from './errors.js';
+
+export const EXPORT_FORMATS = ['csv', 'tsv', 'jsonl'];
+
+const EXPORT_CONTENT_TYPES = {
+    csv: 'text/csv',
+    tsv: 'text/tab-separated-values',
+    jsonl: 'application/jsonl',
+};
+
+/**
+ * Returns the export format the client asked for with ?format=, or null for a regular response.
+ */
+export function getExportFormat(req) {
+    const format = req.validated?.query?.format;
+    return EXPORT_FORMATS.includes(format) ? format : null;
+}
+
+/**
+ * Flattens nested objects into a single level with dotted keys. Arrays and null stay values.
+ */
+const flattenObject = (object, prefix = '', flat = {}) => {
+    Object.entries(object).forEach(([key, value]) => {
+        const column = prefix ? `${prefix}.${key}` : key;
+        if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+            flattenObject(value, column, flat);
+        } else {
+            flat[column] = value;
+        }
+    });
+    return flat;
+};
+
+/**
+ * Reads a dotted column from an item. A column naming an object (because it was null in the rows the
+ * columns were picked from) yields the object, which is written as JSON.
+ */
+const getColumnValue = (item, column) => column.split('.').reduce((value, key) => value?.[key], item);
+
+/**
+ * Quotes a CSV cell when needed (RFC 4180): separators, quotes and line breaks are kept inside quotes.
+ */
+const toCsvCell = (text) => (/[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+
+/**
+ * TSV can't quote, so tabs, line breaks and backslashes are escaped (\t, \n, \r, \\).
+ */
+const toTsvCell = (text) => text.replace(/[\\\t\n\r]/g, (char) => ({ '\\': '\\\\', '\t': '\\t', '\n': '\\n', '\r': '\\r' })[char]);
+
+/**
+ * Converts a value to cell text: null/undefined become empty cells, arrays and objects are written as JSON.
+ * Text that a spreadsheet would read as a formula gets a leading ' (numbers are left alone).
+ */
+const toCellText = (value) => {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(value)) return `'${value}`;
+    return String(value);
+};
+
+/**
+ * Makes a value safe to use in a Content-Disposition file name (at most 100 characters).
+ */
+const toFilenamePart = (text) => String(text).replace(/[^A-Za-z0-9_-]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 100) || 'export';
+
+/**
+ * Creates an export writer. Nothing is sent before the first row (or the end), so an error before that
+ * still reaches the general error handler through next() with its status code.
+ * Options:
+ *  - format:   'csv' | 'tsv' | 'jsonl'
+ *  - rowEvent: the event whose items become rows (e.g. 'post', 'comment')
+ *  - filename: file name without extension
+ *  - fields:   comma separated column selection (?fields=), optional
+ */
+export function createExportWriter(req, res, next, { format, rowEvent, filename, fields }) {
+    const requestedFields = fields ? fields.split(',').map(field => field.trim()).filter(Boolean) : null;
+    let columns = null;
+    let closed = false;
+    let rejected = false; // The field selection was refused, the error went to next()
+    res.on('close', () => { closed = true; });
+
+    const start = () => {
+        if (res.headersSent) return;
+        res.status(200);
+        res.set({
+            'Content-Type': `${EXPORT_CONTENT_TYPES[format]}; charset=utf-8`,
+            'Content-Disposition': `attachment; filename="${toFilenamePart(filename)}.${format}"`,
+            'Cache-Control': 'no-cache',
+        });
+        if (format !== 'jsonl' && columns.length > 0) {
+            const separator = format === 'csv' ? ',' : '\t';
+            const toCell = format === 'csv' ? toCsvCell : toTsvCell;
+            res.write(`${columns.map(toCell).join(separator)}\n`);
+        }
+    };
+
+    // Picks the columns from the first batch of rows
+    const resolveColumns = (flatRows) => {
+        const available = [...new Set(flatRows.flatMap(row => Object.keys(row)))];
+        if (!requestedFields) {
+            // Top-level scalar fields only, nested objects and arrays need to be asked for
+            return available.filter(column => !column.includes('.') && flatRows.every(row => !Array.isArray(row[column])));
+        }
+        // A column below an object that was null in these rows (media.video.hls_url with media: null) is known too
+        const unknown = requestedFields.filter(field => !available.some(column => column === field || column.startsWith(`${field}.`) || field.startsWith(`${column}.`)));
+        if (unknown.length > 0) {
+            throw new ApiError('VALIDATION_FAILED', `Unknown field${unknown.length > 1 ? 's' : ''} in fields: ${unknown.join(', ')}. Available columns: ${available.join(', ')}.`, {
+                details: { parameter: 'fields', unknown: unknown },
+            });
+        }
+        return requestedFields.flatMap(field => {
+            const matching = available.filter(column => column === field || column.startsWith(`${field}.`));
+            return matching.length > 0 ? matching : [field];
+        });
+    };
+
+    const writeRows = (items) => {
+        if (closed || items.length === 0) return !closed;
+        if (!columns) {
+            try {
+                columns = resolveColumns(items.map(item => flattenObject(item)));
+            } catch (error) {
+                // Nothing was sent yet: answer with the error and make producers stop
+                rejected = true;
+                closed = true;
+                next(error);
+                return false;
+            }
+        }
+        start();
+
+        const lines = items.map(item => {
+            if (format === 'jsonl') {
+                return JSON.stringify(Object.fromEntries(columns.map(column => [column, getColumnValue(item, column) ?? null])));
+            }
+            const separator = format === 'csv' ? ',' : '\t';
+            const toCell = format === 'csv' ? toCsvCell : toTsvCell;
+            return columns.map(column => toCell(toCellText(getColumnValue(item, column)))).join(separator);
+        });
+        res.write(`${lines.join('\n')}\n`);
+        return true;
+    };
+
+    return {
+        format: format,
+        // True once the client went away - long running producers should stop early
+        get closed() { return closed; },
+        write: (event, data) => (event === rowEvent ? writeRows([data]) : !closed),
+        writeRows: writeRows,
+        progress: () => !closed,
+        end: () => {
+            if (rejected) return;
+            if (!columns) columns = requestedFields || [];
+            start();
+            if (!closed) res.end();
+        },
+        fail: (error) => {
+            if (rejected) return;
+            // Once rows went out the status can't change anymore, cut the download so it isn't mistaken for a complete file
+            if (!res.headersSent) return next(error);
+            console.error('Export aborted after the response started:', error.message);
+            res.destroy(error);
+        },
+    };
+}
@@ -0,0 +1,245 @@
+import { ApiError } from './errors.js';
+
+/**
+ * Server-side filtering and ranking of listing posts (the ?filter= and ?rank= parameters).
+ *
+ * A filter is an expression over the fields of the canonical post (see normalizers/posts.js):
+ *   score>100 AND post_type:image AND NOT over_18
+ *   (flair IN (News, "Ask Me Anything") OR num_comments>=50) AND NOT stickied
+ * - comparisons: field op value, ops > >= < <= on numbers, = (or :) and != on everything,
+ *   ~ (contains) on text, IN (a, b, ...) for a list. Text compares case-insensitively.
+ * - a boolean field on its own is a condition (over_18, NOT stickied)
+ * - AND, OR, NOT and parentheses; AND binds tighter than OR; keywords are case-insensitive
+ * - values: numbers, true / false / null, bare words or "quoted strings"
+ */
+
+// Fields a filter can use and their type; age_hours is derived from created_utc
+export const FILTER_FIELDS = {
+    id: 'string',
+    title: 'string',
+    author: 'string',
+    subreddit: 'string',
+    flair: 'string',
+    post_type: 'string',
+    selftext: 'string',
+    media_url: 'string',
+    score: 'number',
+    num_comments: 'number',
+    created_utc: 'number',
+    age_hours: 'number',
+    is_self: 'boolean',
+    over_18: 'boolean',
+    spoiler: 'boolean',
+    stickied: 'boolean',
+};
+
+const OPERATORS_BY_TYPE = {
+    number: ['>', '>=', '<', '<=', '=', '!=', 'IN'],
+    string: ['=', '!=', '~', 'IN'],
+    boolean: ['=', '!='],
+};
+
+const KEYWORDS = ['AND', 'OR', 'NOT', 'IN'];
+
+/**
+ * Rejects a filter with a message pointing at the offending position.
+ */
+const syntaxError = (message, position) => new ApiError('VALIDATION_FAILED', `Invalid filter: ${message} (at position ${position + 1}).`, {
+    details: { parameter: 'filter', position: position + 1 },
+});
+
+/**
+ * Splits a filter expression into tokens: { type: 'op' | 'paren' | 'comma' | 'string' | 'word', value, position }.
+ */
+const tokenize = (expression) => {
+    const tokens = [];
+    const pattern = /\s*(?:(>=|<=|!=|[><=:~])|([(),])|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|([^\s()<>=!:~,"']+)|(\S))/gy;
+    let match;
+    while (pattern.lastIndex < expression.length && (match = pattern.exec(expression))) {
+        const position = match.index + match[0].length - match[0].trimStart().length;
+        const [, op, punctuation, doubleQuoted, singleQuoted, word, unexpected] = match;
+        if (op) tokens.push({ type: 'op', value: op === ':' ? '=' : op, position });
+        else if (punctuation) tokens.push({ type: punctuation === ',' ? 'comma' : 'paren', value: punctuation, position });
+        else if (doubleQuoted !== undefined || singleQuoted !== undefined) {
+            tokens.push({ type: 'string', value: (doubleQuoted ?? singleQuoted).replace(/\\(.)/g, '$1'), position });
+        } else if (word) tokens.push({ type: 'word', value: word, position });
+        else if (unexpected) throw syntaxError(`unexpected '${unexpected}'`, position);
+    }
+    return tokens;
+};
+
+/**
+ * Converts a value token for a field of the given type.
+ */
+const parseValue = (token, field, type) => {
+    if (!token || !['word', 'string'].includes(token.type)) {
+        throw syntaxError(`expected a value for '${field}'`, token?.position ?? 0);
+    }
+    if (token.type === 'word' && token.value.toLowerCase() === 'null') return null;
+    if (type === 'number') {
+        const number = Number(token.value);
+        if (token.type === 'string' || !Number.isFinite(number)) throw syntaxError(`'${field}' takes a number, got '${token.value}'`, token.position);
+        return number;
+    }
+    if (type === 'boolean') {
+        const lower = token.value.toLowerCase();
+        if (token.type === 'string' || !['true', 'false'].includes(lower)) throw syntaxError(`'${field}' takes true or false, got '${token.value}'`, token.position);
+        return lower === 'true';
+    }
+    return token.value.toLowerCase();
+};
+
+/**
+ * Reads the value of a filter field from a canonical post. Text is lower-cased, subreddits lose their 'r/' prefix.
+ */
+const readField = (post, field) => {
+    if (field === 'age_hours') return Number.isFinite(post.created_utc) ? (Date.now() / 1000 - post.created_utc) / 3600 : null;
+    const value = post[field];
+    if (typeof value !== 'string') return value ?? null;
+    return field === 'subreddit' ? value.replace(/^r\//i, '').toLowerCase() : value.toLowerCase();
+};
+
+/**
+ * Builds the test of one comparison.
+ */
+const compare = (field, op, expected) => {
+    // Subreddits can be given with or without their prefix
+    const normalize = field === 'subreddit' ? (value) => (typeof value === 'string' ? value.replace(/^r\//, '') : value) : (value) => value;
+    const wanted = Array.isArray(expected) ? expected.map(normalize) : normalize(expected);
+
+    return (post) => {
+        const actual = readField(post, field);
+        switch (op) {
+            case '=': return actual === wanted;
+            case '!=': return actual !== wanted;
+            case 'IN': return wanted.includes(actual);
+            case '~': return typeof actual === 'string' && actual.includes(wanted);
+            default:
+                if (actual === null || wanted === null) return false;
+                if (op === '>') return actual > wanted;
+                if (op === '>=') return actual >= wanted;
+                if (op === '<') return actual < wanted;
+                return actual <= wanted;
+        }
+    };
+};
+
+/**
+ * Recursive descent parser: or := and (OR and)*, and := unary (AND unary)*,
+ * unary := NOT unary | ( or ) | condition. Returns predicates over canonical posts.
+ */
+const createParser = (tokens) => {
+    let index = 0;
+    const peek = () => tokens[index];
+    const isKeyword = (token, keyword) => token?.type === 'word' && token.value.toUpperCase() === keyword;
+    const endPosition = () => (tokens.length ? tokens[tokens.length - 1].position + 1 : 0);
+
+    const parseCondition = () => {
+        const token = tokens[index++];
+        if (!token || token.type !== 'word' || KEYWORDS.includes(token.value.toUpperCase())) {
+            throw syntaxError(token ? `expected a field name, got '${token.value}'` : 'expected a field name', token?.position ?? endPosition());
+        }
+        const field = token.value.toLowerCase();
+        const type = FILTER_FIELDS[field];
+        if (!type) {
+            throw syntaxError(`unknown field '${token.value}', use one of: ${Object.keys(FILTER_FIELDS).join(', ')}`, token.position);
+        }
+
+        const next = peek();
+        const op = next?.type === 'op' ? next.value : isKeyword(next, 'IN') ? 'IN' : null;
+        if (!op) {
+            // A boolean field on its own
+            if (type !== 'boolean') throw syntaxError(`'${field}' needs a comparison, e.g. ${field}${type === 'number' ? '>10' : ':value'}`, token.position);
+            return (post) => post[field] === true;
+        }
+        index++;
+        if (!OPERATORS_BY_TYPE[type].includes(op)) {
+            throw syntaxError(`'${op}' doesn't apply to ${type} field '${field}'`, next.position);
+        }
+
+        if (op !== 'IN') return compare(field, op, parseValue(tokens[index++], field, type));
+
+        if (peek()?.value !== '(') throw syntaxError(`expected '(' after IN`, peek()?.position ?? endPosition());
+        index++;
+        const values = [parseValue(tokens[index++], field, type)];
+        while (peek()?.type === 'comma') {
+            index++;
+            values.push(parseValue(tokens[index++], field, type));
+        }
+        if (peek()?.value !== ')') throw syntaxError(`expected ',' or ')' in the IN list`, peek()?.position ?? endPosition());
+        index++;
+        return compare(field, 'IN', values);
+    };
+
+    const parseUnary = () => {
+        if (isKeyword(peek(), 'NOT')) {
+            index++;
+            const operand = parseUnary();
+            return (post) => !operand(post);
+        }
+        if (peek()?.value === '(') {
+            const open = tokens[index++];
+            const inner = parseOr();
+            if (peek()?.value !== ')') throw syntaxError('missing closing parenthesis', open.position);
+            index++;
+            return inner;
+        }
+        return parseCondition();
+    };
+
+    const parseAnd = () => {
+        const operands = [parseUnary()];
+        while (isKeyword(peek(), 'AND')) {
+            index++;
+            operands.push(parseUnary());
+        }
+        return operands.length === 1 ? operands[0] : (post) => operands.every(operand => operand(post));
+    };
+
+    const parseOr = () => {
+        const operands = [parseAnd()];
+        while (isKeyword(peek(), 'OR')) {
+            index++;
+            operands.push(parseAnd());
+        }
+        return operands.length === 1 ? operands[0] : (post) => operands.some(operand => operand(post));
+    };
+
+    return () => {
+        const predicate = parseOr();
+        if (index < tokens.length) {
+            const token = tokens[index];
+            throw syntaxError(`unexpected '${token.value}', combine conditions with AND / OR`, token.position);
+        }
+        return predicate;
+    };
+};
+
+/**
+ * Compiles a filter expression into a predicate over canonical posts.
+ * Throws an ApiError (VALIDATION_FAILED) describing the first problem in the expression.
+ */
+export function compileFilter(expression) {
+    const tokens = tokenize(expression);
+    if (tokens.length === 0) throw syntaxError('the expression is empty', 0);
+    return createParser(tokens)();
+}
+
+// Re-sorting of the posts a listing page returns (?rank=), each a score to sort by, highest first
+export const RANKINGS = {
+    // Discussion relative to votes: comments per point of score
+    comment_ratio: (post) => (post.num_comments || 0) / Math.max(post.score || 0, 1),
+    // Score decayed by age, like Hacker News: score / (age in hours + 2)^1.8
+    age_weighted: (post) => (post.score || 0) / Math.pow(Math.max(0, (Date.now() / 1000 - post.created_utc) / 3600) + 2, 1.8),
+};
+
+/**
+ * Sorts canonical posts by one of the RANKINGS (stable, so ties keep the listing order).
+ */
+export function rankPosts(posts, rank) {
+    const scoreOf = RANKINGS[rank];
+    return posts
+        .map((post, index) => ({ post, index, value: scoreOf(post) }))
+        .sort((a, b) => b.value - a.value || a.index - b.index)
+        .map(({ post }) => post);
+}
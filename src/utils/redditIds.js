@@ -0,0 +1,53 @@
+/**
+ * Helpers for recognising Reddit IDs in user input.
+ */
+
+// Base36 post IDs, e.g. 19x4wqm
+const POST_ID_PATTERN = /^[a-z0-9]{1,12}$/i;
+
+/**
+ * Extracts a post ID from any of the forms clients commonly have at hand:
+ *  - a bare ID (19x4wqm) or fullname (t3_19x4wqm)
+ *  - a reddit.com URL (https://www.reddit.com/r/sub/comments/19x4wqm/title/, old./new./np. and /comments/ID)
+ *  - a short link (https://redd.it/19x4wqm)
+ * Returns the lowercase ID, or null if the input isn't recognised.
+ */
+export function parsePostId(input) {
+    if (!input || typeof input !== 'string') return null;
+    const value = input.trim();
+
+    const bare = value.replace(/^t3_/i, '');
+    if (POST_ID_PATTERN.test(bare)) return bare.toLowerCase();
+
+    let url;
+    try {
+        // Allow URLs pasted without a scheme (www.reddit.com/..., redd.it/...)
+        url = new URL(/^https?:\/\//i.test(value) ? value : `https://${value}`);
+    } catch (error) {
+        return null;
+    }
+
+    const host = url.hostname.toLowerCase();
+    const segments = url.pathname.split('/').filter(Boolean);
+
+    if (host === 'redd.it') {
+        return segments[0] && POST_ID_PATTERN.test(segments[0]) ? segments[0].toLowerCase() : null;
+    }
+    if (host === 'reddit.com' || host.endsWith('.reddit.com')) {
+        const commentsIndex = segments.indexOf('comments');
+        const id = commentsIndex !== -1 ? segments[commentsIndex + 1] : null;
+        return id && POST_ID_PATTERN.test(id) ? id.toLowerCase() : null;
+    }
+    return null;
+}
+
+/**
+ * Compares two base36 IDs of the same kind (comments, posts) numerically. Reddit hands them out in
+ * increasing order, so a larger ID is a newer item. Returns a negative number, 0 or a positive number.
+ */
+export function compareIds(a, b) {
+    const left = a.toLowerCase().replace(/^0+/, '');
+    const right = b.toLowerCase().replace(/^0+/, '');
+    // Digits sort before letters in ASCII, like in base36, so equal length IDs compare as strings
+    return left.length - right.length || (left < right ? -1 : left > right ? 1 : 0);
+}
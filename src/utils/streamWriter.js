@@ -0,0 +1,71 @@
+import { toErrorBody } from './errors.js';
+
+/**
+ * Helpers for streaming responses as NDJSON or Server-Sent Events.
+ * Controllers check getStreamFormat(req) and, when the client asked for a stream,
+ * write each mapped item as soon as it is ready instead of building one big res.json payload.
+ */
+
+const STREAM_CONTENT_TYPES = {
+    ndjson: 'application/x-ndjson',
+    sse: 'text/event-stream',
+};
+
+/**
+ * Returns 'ndjson' or 'sse' when the client explicitly asked for a streamed response via
+ * the Accept header, or null for a regular JSON response (including Accept: *\/*).
+ */
+export function getStreamFormat(req) {
+    const preferred = req.accepts(['application/json', STREAM_CONTENT_TYPES.ndjson, STREAM_CONTENT_TYPES.sse]);
+    if (preferred === STREAM_CONTENT_TYPES.ndjson) return 'ndjson';
+    if (preferred === STREAM_CONTENT_TYPES.sse) return 'sse';
+    return null;
+}
+
+/**
+ * Starts a streamed response and returns a small writer around it.
+ * Every message is an event name plus a JSON payload:
+ *  - NDJSON: one line per message, {"event": "...", "data": {...}}
+ *  - SSE:    "event: ...\ndata: {...}\n\n"
+ * Errors after the headers are sent can't change the status code anymore,
+ * so they are written as an 'error' event before the stream is closed.
+ */
+export function createStreamWriter(req, res, format) {
+    let closed = false;
+    res.on('close', () => { closed = true; });
+
+    res.status(200);
+    res.set({
+        'Content-Type': `${STREAM_CONTENT_TYPES[format]}; charset=utf-8`,
+        'Cache-Control': 'no-cache',
+        'X-Accel-Buffering': 'no', // Stop reverse proxies (nginx) from buffering the stream
+    });
+    res.flushHeaders();
+
+    const write = (event, data) => {
+        if (closed) return false;
+        if (format === 'sse') {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        } else {
+            res.write(`${JSON.stringify({ event: event, data: data })}\n`);
+        }
+        return true;
+    };
+
+    return {
+        format: format,
+        // True once the client went away - long running producers should stop early
+        get closed() { return closed; },
+        write: write,
+        progress: (data) => write('progress', data),
+        end: (summary) => {
+            write('end', summary);
+            if (!closed) res.end();
+        },
+        fail: (error) => {
+            // Same object as the 'error' of the JSON error envelope
+            write('error', toErrorBody(error));
+            if (!closed) res.end();
+        },
+    };
+}
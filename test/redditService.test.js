@@ -0,0 +1,68 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+// Local mock of Reddit: a token endpoint handing out token-1, token-2, ... and an API that rejects
+// every token in rejectedTokens with 401
+let server;
+let redditApi;
+let tokenRequests = 0;
+const apiRequests = [];
+const rejectedTokens = new Set();
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+        if (req.url.startsWith('/api/v1/access_token')) {
+            tokenRequests++;
+            return res.end(JSON.stringify({ access_token: `token-${tokenRequests}`, token_type: 'bearer', expires_in: 3600 }));
+        }
+        const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+        apiRequests.push({ url: req.url, token });
+        if (rejectedTokens.has(token)) {
+            res.statusCode = 401;
+            return res.end(JSON.stringify({ message: 'Unauthorized', error: 401 }));
+        }
+        res.end(JSON.stringify({ kind: 't5', data: { display_name: 'test' } }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    // redditService reads its configuration when it's first imported
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    Object.assign(process.env, {
+        REDDIT_CLIENT_ID: 'id',
+        REDDIT_CLIENT_SECRET: 'secret',
+        REDDIT_USER_AGENT: 'test',
+        REDDIT_API_BASE_URL: baseUrl,
+        REDDIT_TOKEN_URL: `${baseUrl}/api/v1/access_token`,
+        REDDIT_MIN_INTERVAL_MS: '1',
+        CACHE_BACKEND: 'none',
+    });
+    ({ default: redditApi } = await import('../src/services/redditService.js'));
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('a 401 invalidates the token and replays the request once with a new one', async () => {
+    // Make sure the initial token fetch went through, then revoke that token
+    await redditApi.get('/r/test/about');
+    const token = apiRequests[apiRequests.length - 1].token;
+    rejectedTokens.add(token);
+    apiRequests.length = 0;
+    const tokenRequestsBefore = tokenRequests;
+
+    const response = await redditApi.get('/r/test/about');
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(apiRequests.map(request => request.token), [token, `token-${tokenRequestsBefore + 1}`]);
+    assert.equal(tokenRequests, tokenRequestsBefore + 1);
+});
+
+test('the replay happens only once', async () => {
+    // Reject every token from here on
+    for (let i = 1; i <= tokenRequests + 5; i++) rejectedTokens.add(`token-${i}`);
+    apiRequests.length = 0;
+
+    await assert.rejects(redditApi.get('/r/test/about'), error => error.response?.status === 401);
+    assert.equal(apiRequests.length, 2);
+});
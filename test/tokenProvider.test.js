@@ -0,0 +1,58 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createTokenProvider } from '../src/services/tokenProvider.js';
+
+// Local mock token endpoint: hands out token-1, token-2, ... and counts the requests
+let server;
+let tokenUrl;
+let tokenRequests = 0;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        tokenRequests++;
+        const token = `token-${tokenRequests}`;
+        // Answer a little later, so concurrent callers overlap with the refresh
+        setTimeout(() => {
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({ access_token: token, token_type: 'bearer', expires_in: 3600 }));
+        }, 50);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    tokenUrl = `http://127.0.0.1:${server.address().port}/api/v1/access_token`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const createProvider = () => {
+    tokenRequests = 0;
+    return createTokenProvider({ clientId: 'id', clientSecret: 'secret', userAgent: 'test', tokenUrl });
+};
+
+test('concurrent callers share a single refresh', async () => {
+    const provider = createProvider();
+
+    const tokens = await Promise.all(Array.from({ length: 5 }, () => provider.getToken()));
+
+    assert.equal(tokenRequests, 1);
+    assert.deepEqual(tokens, Array(5).fill('token-1'));
+    assert.equal(provider.getStatus().refresh_count, 1);
+});
+
+test('invalidate(rejectedToken) forces exactly one refresh, a stale token does not', async () => {
+    const provider = createProvider();
+    const rejected = await provider.getToken();
+
+    // Two requests rejected with the same token: only the first invalidation drops it
+    provider.invalidate(rejected);
+    const [first, second] = await Promise.all([provider.getToken(), provider.getToken()]);
+    assert.equal(tokenRequests, 2);
+    assert.equal(first, 'token-2');
+    assert.equal(second, 'token-2');
+
+    // token-1 is stale by now, invalidating it again keeps token-2
+    provider.invalidate(rejected);
+    assert.equal(provider.isValid(), true);
+    assert.equal(await provider.getToken(), 'token-2');
+    assert.equal(tokenRequests, 2);
+});